@@ -6,10 +6,23 @@ const mongoose = require("mongoose");
 const swaggerUi = require("swagger-ui-express");
 const swaggerJsdoc = require("swagger-jsdoc");
 const routes = require("./routes/index.routes");
+const wellKnownRoutes = require("./routes/wellKnown.routes");
+const inventory = require("./services/InventoryService");
+const trash = require("./services/TrashService");
+const logger = require("./helpers/logger");
+const requestId = require("./middlewares/requestId");
+const requestLogger = require("./middlewares/requestLogger");
+const locale = require("./middlewares/locale");
+const notFound = require("./middlewares/notFound");
+const errorHandler = require("./middlewares/errorHandler");
 const PORT = config.get("port") || 7070;
 
 const app = express();
 
+if (config.has("trust_proxy")) {
+  app.set("trust proxy", config.get("trust_proxy"));
+}
+
 const swaggerOptions = {
   definition: {
     openapi: "3.0.0",
@@ -36,23 +49,35 @@ const swaggerOptions = {
   apis: ["./routes/*.js", "./controllers/*.js"],
 };
 
+app.use(requestId);
+app.use(requestLogger);
+app.use(locale);
+
 const swaggerDocs = swaggerJsdoc(swaggerOptions);
 app.use("/api/docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
 app.use(express.json());
+// the OAuth token endpoints take form posts
+app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 app.use(cors());
 
 app.use("/api", routes);
+app.use("/.well-known", wellKnownRoutes);
+
+app.use(notFound);
+app.use(errorHandler);
 
 async function start() {
   try {
     await mongoose.connect(config.get("dbUri"));
+    inventory.startSweeper();
+    trash.startSweeper();
     app.listen(PORT, () => {
-      console.log(`\nServer has been started in ${PORT} port...`);
+      logger.info(`Server has been started in ${PORT} port`);
     });
   } catch (error) {
-    logger.error(error.message);
+    logger.error("Server could not start", { error });
   }
 }
 
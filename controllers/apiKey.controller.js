@@ -0,0 +1,255 @@
+const ApiKey = require("../models/ApiKey.model");
+const { BadRequestError, NotFoundError } = require("../errors");
+const catchErrors = require("../helpers/catchErrors");
+const apiKeys = require("../services/ApiKeyService");
+const mongoose = require("mongoose");
+const audit = require("../services/AuditService");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The ID of the key
+ *         name:
+ *           type: string
+ *           description: The name given to the key
+ *         prefix:
+ *           type: string
+ *           description: The first characters of the key
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: The permissions the key is limited to
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           description: The last time the key was used
+ *         last_used_ip:
+ *           type: string
+ *           description: The IP address of the last request made with the key
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /user/api-keys:
+ *   get:
+ *     summary: List my API keys
+ *     description: Returns the active API keys of the authenticated user. The keys themselves cannot be read again.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ */
+const getApiKeys = async (req, res) => {
+  const keys = await ApiKey.find({
+    user: req.user.id,
+    revoked_at: null,
+  }).sort({ createdAt: -1 });
+
+  res.status(200).send(keys);
+};
+
+/**
+ * @swagger
+ * /user/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: Creates a key that authenticates requests with the X-API-Key header instead of a Bearer token. It acts as the authenticated user, limited to its scopes. The key is shown only in this answer.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Nightly import
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [product:create, product:update, product:delete, inventory:manage, inventory:reserve, reservation:manage]
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 key:
+ *                   type: string
+ *                   description: The API key
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ */
+const createApiKey = async (req, res) => {
+  const { apiKey, key } = await apiKeys.create({ _id: req.user.id }, req.body);
+
+  await audit.record(req, "api_key.create", {
+    target: { type: "api_key", id: apiKey._id },
+    after: apiKey,
+  });
+
+  res.status(201).send({ key, apiKey });
+};
+
+/**
+ * @swagger
+ * /user/api-keys/{keyId}:
+ *   put:
+ *     summary: Rename or rescope one of my API keys
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         description: ID of the API key
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: API key updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid ID sent
+ *       404:
+ *         description: The user has no such active API key
+ */
+const updateApiKey = async (req, res) => {
+  const { keyId } = req.params;
+
+  if (!mongoose.isValidObjectId(`${keyId}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
+
+  const filter = { _id: keyId, user: req.user.id, revoked_at: null };
+  const before = await ApiKey.findOne(filter);
+
+  if (!before) {
+    throw new NotFoundError("API key does not exist", {
+      code: "api_key_not_found",
+    });
+  }
+
+  const apiKey = await ApiKey.findOneAndUpdate(filter, req.body, {
+    new: true,
+  });
+
+  if (!apiKey) {
+    throw new NotFoundError("API key does not exist", {
+      code: "api_key_not_found",
+    });
+  }
+
+  await audit.record(req, "api_key.update", {
+    target: { type: "api_key", id: apiKey._id },
+    before,
+    after: apiKey,
+  });
+
+  res.status(200).send(apiKey);
+};
+
+/**
+ * @swagger
+ * /user/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke one of my API keys
+ *     description: Requests made with the key are rejected from now on.
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         description: ID of the API key to revoke
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Revoked
+ *       400:
+ *         description: Invalid ID sent
+ *       404:
+ *         description: The user has no such active API key
+ */
+const revokeApiKey = async (req, res) => {
+  const { keyId } = req.params;
+
+  if (!mongoose.isValidObjectId(`${keyId}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
+
+  const revoked = await apiKeys.revoke({ _id: keyId, user: req.user.id });
+
+  if (!revoked) {
+    throw new NotFoundError("API key does not exist", {
+      code: "api_key_not_found",
+    });
+  }
+
+  await audit.record(req, "api_key.revoke", {
+    target: { type: "api_key", id: keyId },
+  });
+
+  res.status(200).send({ message: req.t("Revoked") });
+};
+
+module.exports = catchErrors({
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+});
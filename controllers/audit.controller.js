@@ -0,0 +1,182 @@
+const AuditLog = require("../models/AuditLog.model");
+const catchErrors = require("../helpers/catchErrors");
+const escapeRegExp = require("lodash/escapeRegExp");
+const paginate = require("../helpers/paginate");
+const range = require("../helpers/range");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         actor:
+ *           type: string
+ *           nullable: true
+ *           description: The user who acted, null for anonymous requests
+ *         api_key:
+ *           type: string
+ *           description: The API key the actor used
+ *         client_id:
+ *           type: string
+ *           description: The OAuth client the actor used
+ *         action:
+ *           type: string
+ *           example: product.update
+ *         outcome:
+ *           type: string
+ *           enum: [success, failure]
+ *         target:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               example: product
+ *             id:
+ *               type: string
+ *         changes:
+ *           type: object
+ *           description: The changed fields, each with its value from and to. Secrets only tell that they changed.
+ *           example:
+ *             price:
+ *               from: 1000
+ *               to: 1250
+ *         details:
+ *           type: object
+ *           example:
+ *             reason: invalid_credentials
+ *         ip:
+ *           type: string
+ *         user_agent:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Search the audit log
+ *     description: Sign ups, sign ins, sign outs and every change of the users, their credentials and the products, the newest first. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         description: Comma separated fields among createdAt and action, prefixed with - for a descending order.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor
+ *         description: ID of the user who acted
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         description: An action such as user.signin, or the beginning of the actions such as user.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure]
+ *       - in: query
+ *         name: target_type
+ *         description: e.g. user, product, session or api_key
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: target_id
+ *         description: Requires target_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: A page of entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *                 meta:
+ *                   $ref: '#/components/schemas/ListMeta'
+ *                 links:
+ *                   $ref: '#/components/schemas/ListLinks'
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: The user is not an admin
+ */
+const getAuditLog = async (req, res) => {
+  const { actor, action, outcome, target_type, target_id, ip, from, to } =
+    req.query;
+
+  const filter = {};
+
+  if (actor) {
+    filter.actor = actor;
+  }
+
+  if (action) {
+    filter.action = action.endsWith(".")
+      ? { $regex: `^${escapeRegExp(action)}` }
+      : action;
+  }
+
+  if (outcome) {
+    filter.outcome = outcome;
+  }
+
+  if (target_type) {
+    filter["target.type"] = target_type;
+  }
+
+  if (target_id) {
+    filter["target.id"] = target_id;
+  }
+
+  if (ip) {
+    filter.ip = ip;
+  }
+
+  if (from || to) {
+    filter.createdAt = range(from, to);
+  }
+
+  const entries = await paginate(AuditLog, { filter }, req, [
+    ["createdAt", -1],
+  ]);
+
+  res.status(200).send(entries);
+};
+
+module.exports = catchErrors({
+  getAuditLog,
+});
@@ -0,0 +1,403 @@
+const Category = require("../models/Category.model");
+const { BadRequestError, NotFoundError, ConflictError } = require("../errors");
+const catchErrors = require("../helpers/catchErrors");
+const categories = require("../services/CategoryService");
+const audit = require("../services/AuditService");
+const mongoose = require("mongoose");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Fresh Fruit
+ *         slug:
+ *           type: string
+ *           example: fresh-fruit
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: The ID of the parent category, null for a root category
+ *         ancestors:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: The IDs of the categories above, from the root down to the parent
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /category:
+ *   get:
+ *     summary: Get the category tree
+ *     description: Returns the root categories, each with its children nested in children, by name.
+ *     responses:
+ *       200:
+ *         description: The category tree
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Category'
+ *                   - type: object
+ *                     properties:
+ *                       children:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ */
+const getCategories = async (req, res) => {
+  const tree = await categories.tree();
+
+  res.status(200).send(tree);
+};
+
+/**
+ * @swagger
+ * /category/{id}:
+ *   get:
+ *     summary: Get a category by ID
+ *     description: Returns a category with its ancestors, from the root down, and its children.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Category'
+ *                 - type: object
+ *                   properties:
+ *                     ancestors:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Category'
+ *                     children:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Invalid ID sent
+ *       404:
+ *         description: Category does not exist
+ */
+const getCategoryById = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
+
+  const category = await Category.findById(id).lean();
+
+  if (!category) {
+    throw new NotFoundError("Category does not exist", {
+      code: "category_not_found",
+    });
+  }
+
+  const [ancestors, children] = await Promise.all([
+    Category.find({ _id: { $in: category.ancestors } }).lean(),
+    Category.find({ parent: category._id }).sort({ name: 1 }).lean(),
+  ]);
+
+  // In the order of the path, from the root down.
+  category.ancestors = category.ancestors.map((ancestorId) =>
+    ancestors.find((ancestor) => ancestor._id.equals(ancestorId))
+  );
+  category.children = children;
+
+  res.status(200).send(category);
+};
+
+/**
+ * @swagger
+ * /category:
+ *   post:
+ *     summary: Create a category
+ *     description: Admins only. The slug is made from the name when it is not given.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Fresh Fruit
+ *               slug:
+ *                 type: string
+ *                 example: fresh-fruit
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: The ID of the parent category
+ *     responses:
+ *       201:
+ *         description: Category created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Invalid category or missing parent category
+ *       403:
+ *         description: The user is not an admin
+ *       409:
+ *         description: The slug is used by another category
+ */
+const createCategory = async (req, res) => {
+  const { name, parent } = req.body;
+  const slug = req.body.slug || categories.slugify(name);
+
+  if (await Category.exists({ slug })) {
+    throw new ConflictError("Category slug already exists", {
+      code: "slug_taken",
+    });
+  }
+
+  const ancestors = await categories.ancestorsUnder(parent);
+
+  if (!ancestors) {
+    throw new BadRequestError("Parent category does not exist", {
+      code: "parent_not_found",
+    });
+  }
+
+  const category = await Category.create({
+    name,
+    slug,
+    parent: parent || null,
+    ancestors,
+  });
+
+  res.status(201).send(category);
+};
+
+/**
+ * @swagger
+ * /category/{id}:
+ *   put:
+ *     summary: Rename or move a category
+ *     description: Admins only. A category moves with everything under it; it cannot move under itself or one of its descendants.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: The ID of the new parent category, null to make it a root category
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Invalid ID, or the category cannot move there
+ *       404:
+ *         description: Category does not exist
+ *       409:
+ *         description: The slug is used by another category
+ */
+const updateCategory = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
+
+  const category = await Category.findById(id);
+
+  if (!category) {
+    throw new NotFoundError("Category does not exist", {
+      code: "category_not_found",
+    });
+  }
+
+  const { name, slug, parent } = req.body;
+
+  if (slug && (await Category.exists({ slug, _id: { $ne: id } }))) {
+    throw new ConflictError("Category slug already exists", {
+      code: "slug_taken",
+    });
+  }
+
+  if (parent !== undefined && !(await categories.move(category, parent))) {
+    throw new BadRequestError(
+      "The parent category does not exist or is under the category itself",
+      { code: "invalid_parent" }
+    );
+  }
+
+  if (name) {
+    category.name = name;
+  }
+
+  if (slug) {
+    category.slug = slug;
+  }
+
+  await category.save();
+
+  res.status(200).send(category);
+};
+
+/**
+ * @swagger
+ * /category/{id}:
+ *   delete:
+ *     summary: Delete a category
+ *     description: Admins only. The children of the category move up to its parent. A category that still has products is only deleted when they are moved to another category with reassign_to.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reassign_to
+ *         description: The ID of the category to move the products to
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Deleted
+ *                 reassigned:
+ *                   type: integer
+ *                   description: The number of products moved to reassign_to
+ *       400:
+ *         description: Invalid ID, or reassign_to does not exist
+ *       404:
+ *         description: Category does not exist
+ *       409:
+ *         description: The category has products and no reassign_to was given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 products:
+ *                   type: integer
+ */
+const deleteCategory = async (req, res) => {
+  const { id } = req.params;
+  const { reassign_to } = req.query;
+
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
+
+  const category = await Category.findById(id);
+
+  if (!category) {
+    throw new NotFoundError("Category does not exist", {
+      code: "category_not_found",
+    });
+  }
+
+  if (
+    reassign_to &&
+    (category._id.equals(reassign_to) ||
+      !(await Category.exists({ _id: reassign_to })))
+  ) {
+    throw new BadRequestError("The category to reassign to does not exist", {
+      code: "reassign_category_not_found",
+    });
+  }
+
+  const { deleted, products, moved } = await categories.remove(
+    category,
+    reassign_to
+  );
+
+  if (!deleted) {
+    throw new ConflictError(
+      "Category has products, reassign them to another category",
+      { code: "category_not_empty", products }
+    );
+  }
+
+  // Each product gets its own entry, so that its trail tells where its
+  // categories went.
+  await Promise.all(
+    moved.map(({ before, after }) =>
+      audit.record(req, "product.update", {
+        target: { type: "product", id: before._id },
+        before,
+        after,
+        details: { category: category._id, reassigned_to: reassign_to },
+      })
+    )
+  );
+
+  res.status(200).send({ message: req.t("Deleted"), reassigned: products });
+};
+
+module.exports = catchErrors({
+  getCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+});
@@ -0,0 +1,512 @@
+const Product = require("../models/Product.model");
+const Reservation = require("../models/Reservation.model");
+const InventoryMovement = require("../models/InventoryMovement.model");
+const { BadRequestError, NotFoundError, ConflictError } = require("../errors");
+const catchErrors = require("../helpers/catchErrors");
+const inventory = require("../services/InventoryService");
+const paginate = require("../helpers/paginate");
+const mongoose = require("mongoose");
+const audit = require("../services/AuditService");
+
+const stockOf = (product) => ({
+  product: product._id,
+  stock: product.stock,
+  reserved: product.reserved,
+  available: product.stock - product.reserved,
+  low_stock_threshold: product.low_stock_threshold,
+  low_stock: product.stock - product.reserved <= product.low_stock_threshold,
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Stock:
+ *       type: object
+ *       properties:
+ *         product:
+ *           type: string
+ *         stock:
+ *           type: integer
+ *           description: Units on hand, including the reserved ones
+ *         reserved:
+ *           type: integer
+ *           description: Units held by active reservations
+ *         available:
+ *           type: integer
+ *           description: Units that can be reserved
+ *         low_stock_threshold:
+ *           type: integer
+ *         low_stock:
+ *           type: boolean
+ *     Reservation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         user:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [active, committed, released, expired]
+ *         reference:
+ *           type: string
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *     InventoryMovement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [adjust, reserve, commit, release, expire]
+ *         quantity:
+ *           type: integer
+ *           description: Units moved, negative when an adjustment takes stock away
+ *         stock:
+ *           type: integer
+ *           description: Units on hand after the movement
+ *         reserved:
+ *           type: integer
+ *           description: Reserved units after the movement
+ *         low_stock:
+ *           type: boolean
+ *         reservation:
+ *           type: string
+ *         user:
+ *           type: string
+ *         reason:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /product/{id}/stock:
+ *   post:
+ *     summary: Adjust the stock of a product
+ *     description: Adds units to the stock, e.g. on delivery, or takes them away with a negative quantity, e.g. after an inventory count. Reserved units cannot be taken away. The product owner or an admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 example: 25
+ *               reason:
+ *                 type: string
+ *                 example: Delivery 2041
+ *     responses:
+ *       200:
+ *         description: The stock after the adjustment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Stock'
+ *       400:
+ *         description: Invalid ID or quantity sent
+ *       403:
+ *         description: The user does not own the product and is not an admin
+ *       404:
+ *         description: Product does not exist
+ *       409:
+ *         description: The stock would go below the reserved units
+ */
+const adjustStock = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
+
+  const before = await Product.findById(id);
+
+  if (!before) {
+    throw new NotFoundError("Product does not exist", {
+      code: "product_not_found",
+    });
+  }
+
+  const { quantity, reason } = req.body;
+
+  const product = await inventory.adjust(id, quantity, {
+    user: req.user.id,
+    reason,
+  });
+
+  if (!product) {
+    throw new ConflictError("Stock cannot go below the reserved units", {
+      code: "stock_below_reserved",
+    });
+  }
+
+  await audit.record(req, "product.stock_adjust", {
+    target: { type: "product", id: product._id },
+    before,
+    after: product,
+    details: { quantity, reason },
+  });
+
+  res.status(200).send(stockOf(product));
+};
+
+/**
+ * @swagger
+ * /product/{id}/stock/movements:
+ *   get:
+ *     summary: Get the inventory ledger of a product
+ *     description: Every change of the stock or of the reserved units of the product, newest first. The product owner or an admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [adjust, reserve, commit, release, expire]
+ *     responses:
+ *       200:
+ *         description: A page of movements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryMovement'
+ *                 meta:
+ *                   $ref: '#/components/schemas/ListMeta'
+ *                 links:
+ *                   $ref: '#/components/schemas/ListLinks'
+ *       400:
+ *         description: Invalid ID sent
+ *       403:
+ *         description: The user does not own the product and is not an admin
+ */
+const getMovements = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
+
+  const filter = { product: id };
+
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  const movements = await paginate(InventoryMovement, { filter }, req, [
+    ["createdAt", -1],
+  ]);
+
+  res.status(200).send(movements);
+};
+
+/**
+ * @swagger
+ * /inventory/low-stock:
+ *   get:
+ *     summary: Get the products low on stock
+ *     description: The products with no more units available than their low stock threshold, all of them for admins and their own ones for the other users.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         description: Comma separated fields among title, createdAt and updatedAt, prefixed with - for a descending order.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A page of products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 meta:
+ *                   $ref: '#/components/schemas/ListMeta'
+ *                 links:
+ *                   $ref: '#/components/schemas/ListLinks'
+ */
+const getLowStock = async (req, res) => {
+  const filter = inventory.lowStockFilter();
+
+  if (req.user.role !== "admin") {
+    filter.createdBy = req.user.id;
+  }
+
+  const products = await paginate(Product, { filter }, req, [["title", 1]]);
+
+  res.status(200).send(products);
+};
+
+/**
+ * @swagger
+ * /inventory/reservations:
+ *   post:
+ *     summary: Reserve units of a product
+ *     description: Holds units of a product, e.g. while an order is checked out, so that nobody else can buy them. Concurrent reservations never hold more units than the stock. The reservation expires unless it is committed or released in time.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product
+ *               - quantity
+ *             properties:
+ *               product:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 example: 2
+ *               reference:
+ *                 type: string
+ *                 example: order-1043
+ *     responses:
+ *       201:
+ *         description: Reservation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reservation'
+ *       404:
+ *         description: Product does not exist
+ *       409:
+ *         description: Not enough units are available
+ */
+const createReservation = async (req, res) => {
+  const { product, quantity, reference } = req.body;
+
+  if (!(await Product.exists({ _id: product }))) {
+    throw new NotFoundError("Product does not exist", {
+      code: "product_not_found",
+    });
+  }
+
+  const reservation = await inventory.reserve(product, quantity, {
+    user: req.user.id,
+    reference,
+  });
+
+  if (!reservation) {
+    throw new ConflictError("Not enough stock available", {
+      code: "not_enough_stock",
+    });
+  }
+
+  res.status(201).send(reservation);
+};
+
+/**
+ * @swagger
+ * /inventory/reservations/{id}:
+ *   get:
+ *     summary: Get a reservation
+ *     description: The user who made the reservation or an admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The reservation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reservation'
+ *       400:
+ *         description: Invalid ID sent
+ *       404:
+ *         description: Reservation does not exist
+ */
+const getReservation = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
+
+  const reservation = await Reservation.findById(id);
+
+  if (!reservation) {
+    throw new NotFoundError("Reservation does not exist", {
+      code: "reservation_not_found",
+    });
+  }
+
+  res.status(200).send(reservation);
+};
+
+// Commit or release a reservation of the request. With an audit `action`,
+// the change of the product is recorded.
+const settleReservation = (settle, action) => async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
+
+  const existing = await Reservation.findById(id);
+
+  if (!existing) {
+    throw new NotFoundError("Reservation does not exist", {
+      code: "reservation_not_found",
+    });
+  }
+
+  const productOf = () =>
+    Product.findById(existing.product, null, { withDeleted: true });
+
+  const before = action && (await productOf());
+
+  const reservation = await settle(id, { user: req.user.id });
+
+  if (!reservation) {
+    throw new ConflictError("Reservation is not active", {
+      code: "reservation_not_active",
+    });
+  }
+
+  if (action) {
+    await audit.record(req, action, {
+      target: { type: "product", id: existing.product },
+      before,
+      after: await productOf(),
+      details: {
+        quantity: reservation.quantity,
+        reservation: reservation._id,
+      },
+    });
+  }
+
+  res.status(200).send(reservation);
+};
+
+/**
+ * @swagger
+ * /inventory/reservations/{id}/commit:
+ *   post:
+ *     summary: Commit a reservation
+ *     description: Takes the reserved units out of the stock, e.g. once the order is paid. Expired reservations cannot be committed. The user who made the reservation or an admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The committed reservation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reservation'
+ *       404:
+ *         description: Reservation does not exist
+ *       409:
+ *         description: The reservation was already committed, released or has expired
+ */
+const commitReservation = settleReservation(
+  (id, meta) => inventory.commit(id, meta),
+  "product.stock_commit"
+);
+
+/**
+ * @swagger
+ * /inventory/reservations/{id}/release:
+ *   post:
+ *     summary: Release a reservation
+ *     description: Gives the reserved units back, e.g. when the order is canceled. The user who made the reservation or an admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The released reservation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reservation'
+ *       404:
+ *         description: Reservation does not exist
+ *       409:
+ *         description: The reservation was already committed, released or has expired
+ */
+const releaseReservation = settleReservation((id, meta) =>
+  inventory.release(id, meta)
+);
+
+module.exports = catchErrors({
+  adjustStock,
+  getMovements,
+  getLowStock,
+  createReservation,
+  getReservation,
+  commitReservation,
+  releaseReservation,
+});
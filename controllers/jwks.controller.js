@@ -0,0 +1,32 @@
+const catchErrors = require("../helpers/catchErrors");
+const jwt = require("../services/JwtService");
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Public keys of the access tokens
+ *     description: The JSON Web Key Set that verifies access tokens signed with RS256 or ES256, looked up by the kid header of a token. It lists the keys still accepted for verification, not only the current signing key. Served outside of /api.
+ *     servers:
+ *       - url: /
+ *     responses:
+ *       200:
+ *         description: A JSON Web Key Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ */
+const getJwks = async (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.status(200).send(jwt.accessKeys.jwks());
+};
+
+module.exports = catchErrors({
+  getJwks,
+});
@@ -0,0 +1,243 @@
+const { BadRequestError, NotFoundError, ConflictError } = require("../errors");
+const catchErrors = require("../helpers/catchErrors");
+const mfa = require("../services/MfaService");
+const audit = require("../services/AuditService");
+
+/**
+ * @swagger
+ * /user/mfa/enroll:
+ *   post:
+ *     summary: Start enrolling a second factor
+ *     description: Generates a new TOTP secret for the authenticated user. Add it to an authenticator app, e.g. by showing otpauth_url as a QR code, and confirm it with a first code at /user/mfa/confirm.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The secret to add to an authenticator app
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   description: The base32 encoded secret
+ *                 otpauth_url:
+ *                   type: string
+ *                   description: The otpauth URI of the secret
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+const enrollMfa = async (req, res) => {
+  const user = await mfa.findUser(req.user.id);
+
+  if (!user) {
+    throw new NotFoundError("User does not exist", { code: "user_not_found" });
+  }
+
+  if (user.mfa.enabled) {
+    throw new ConflictError("Two-factor authentication is already enabled", {
+      code: "mfa_already_enabled",
+    });
+  }
+
+  const enrollment = await mfa.enroll(user);
+
+  await audit.record(req, "user.mfa_enroll", {
+    target: { type: "user", id: user._id },
+  });
+
+  res.status(200).send(enrollment);
+};
+
+/**
+ * @swagger
+ * /user/mfa/confirm:
+ *   post:
+ *     summary: Turn two-factor authentication on
+ *     description: Confirms the enrolled secret with a code of the authenticator app. The recovery codes are shown only once, each of them can replace a code one time.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: A code of the authenticator app
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Two-factor authentication enabled
+ *                 recovery_codes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Nothing was enrolled or the code is wrong
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+const confirmMfa = async (req, res) => {
+  const user = await mfa.findUser(req.user.id);
+
+  if (!user) {
+    throw new NotFoundError("User does not exist", { code: "user_not_found" });
+  }
+
+  if (user.mfa.enabled) {
+    throw new ConflictError("Two-factor authentication is already enabled", {
+      code: "mfa_already_enabled",
+    });
+  }
+
+  if (!user.mfa.secret) {
+    throw new BadRequestError("Enroll a second factor first", {
+      code: "mfa_not_enrolled",
+    });
+  }
+
+  const recoveryCodes = await mfa.enable(user, req.body.code);
+
+  if (!recoveryCodes) {
+    throw new BadRequestError("Invalid code", { code: "invalid_code" });
+  }
+
+  await audit.record(req, "user.mfa_enable", {
+    target: { type: "user", id: user._id },
+    changes: { mfa: { from: { enabled: false }, to: { enabled: true } } },
+  });
+
+  res.status(200).send({
+    message: req.t("Two-factor authentication enabled"),
+    recovery_codes: recoveryCodes,
+  });
+};
+
+/**
+ * @swagger
+ * /user/mfa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     description: Forgets the secret and the recovery codes of the authenticated user.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: A code of the authenticator app or a recovery code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Two-factor authentication is not enabled or the code is wrong
+ */
+const disableMfa = async (req, res) => {
+  const user = await mfa.findUser(req.user.id);
+
+  if (!user || !user.mfa.enabled) {
+    throw new BadRequestError("Two-factor authentication is not enabled", {
+      code: "mfa_not_enabled",
+    });
+  }
+
+  if (!(await mfa.verify(user, req.body.code))) {
+    throw new BadRequestError("Invalid code", { code: "invalid_code" });
+  }
+
+  await mfa.disable(user);
+
+  await audit.record(req, "user.mfa_disable", {
+    target: { type: "user", id: user._id },
+    changes: { mfa: { from: { enabled: true }, to: { enabled: false } } },
+  });
+
+  res
+    .status(200)
+    .send({ message: req.t("Two-factor authentication disabled") });
+};
+
+/**
+ * @swagger
+ * /user/mfa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     description: Issues a new set of recovery codes, the previous ones stop working.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: A code of the authenticator app or a recovery code
+ *     responses:
+ *       200:
+ *         description: The new recovery codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recovery_codes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Two-factor authentication is not enabled or the code is wrong
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  const user = await mfa.findUser(req.user.id);
+
+  if (!user || !user.mfa.enabled) {
+    throw new BadRequestError("Two-factor authentication is not enabled", {
+      code: "mfa_not_enabled",
+    });
+  }
+
+  if (!(await mfa.verify(user, req.body.code))) {
+    throw new BadRequestError("Invalid code", { code: "invalid_code" });
+  }
+
+  const recoveryCodes = await mfa.regenerateRecoveryCodes(user);
+
+  await audit.record(req, "user.mfa_recovery_codes", {
+    target: { type: "user", id: user._id },
+    changes: { mfa: { changed: true } },
+  });
+
+  res.status(200).send({ recovery_codes: recoveryCodes });
+};
+
+module.exports = catchErrors({
+  enrollMfa,
+  confirmMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+});
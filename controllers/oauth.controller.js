@@ -0,0 +1,723 @@
+const OAuthClient = require("../models/OAuthClient.model");
+const OAuthConsent = require("../models/OAuthConsent.model");
+const User = require("../models/User.model");
+const { NotFoundError } = require("../errors");
+const catchErrors = require("../helpers/catchErrors");
+const oauth = require("../services/OAuthService");
+const oauthScopes = require("../helpers/oauthScopes");
+
+// Errors of the token, introspection and revocation endpoints follow
+// RFC 6749 instead of the usual problem documents.
+const oauthError = (res, status, error, description) => {
+  return res.status(status).send({ error, error_description: description });
+};
+
+const redirectTo = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+
+  Object.entries(params).forEach(([name, value]) => {
+    if (value !== undefined) {
+      url.searchParams.set(name, value);
+    }
+  });
+
+  return url.toString();
+};
+
+const findAuthorization = async (request) => {
+  const client = await oauth.findClient(request.client_id);
+
+  if (!client) {
+    return { error: "invalid_client", description: "Unknown client" };
+  }
+
+  const checked = oauth.checkAuthorization(client, request);
+
+  return checked.error ? checked : { client, scopes: checked.scopes };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OAuthClient:
+ *       type: object
+ *       properties:
+ *         client_id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         redirect_uris:
+ *           type: array
+ *           items:
+ *             type: string
+ *         grant_types:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [authorization_code, client_credentials]
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /oauth/clients:
+ *   post:
+ *     summary: Register an OAuth client
+ *     description: Registers an application that signs users in with their account. Confidential clients get a client_secret, shown only in this answer; public clients such as single page apps have none and rely on PKCE. Only admins can register clients.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               redirect_uris:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Required for the authorization code grant
+ *               grant_types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [authorization_code, client_credentials]
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [profile:read, product:create, product:update, product:delete]
+ *               confidential:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Client registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 client:
+ *                   $ref: '#/components/schemas/OAuthClient'
+ *                 client_secret:
+ *                   type: string
+ */
+const registerClient = async (req, res) => {
+  const { client, clientSecret } = await oauth.registerClient(
+    { _id: req.user.id },
+    req.body
+  );
+
+  res.status(201).send({ client, client_secret: clientSecret });
+};
+
+/**
+ * @swagger
+ * /oauth/clients:
+ *   get:
+ *     summary: List the OAuth clients
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The active clients
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/OAuthClient'
+ */
+const getClients = async (req, res) => {
+  const clients = await OAuthClient.find({ revoked_at: null }).sort({
+    createdAt: -1,
+  });
+
+  res.status(200).send(clients);
+};
+
+/**
+ * @swagger
+ * /oauth/clients/{clientId}:
+ *   delete:
+ *     summary: Revoke an OAuth client
+ *     description: The client cannot get new tokens anymore, and the tokens it already holds are rejected.
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Client revoked
+ *       404:
+ *         description: Client does not exist
+ */
+const revokeClient = async (req, res) => {
+  const revoked = await OAuthClient.updateOne(
+    { client_id: `${req.params.clientId}`, revoked_at: null },
+    { revoked_at: new Date() }
+  );
+
+  if (!revoked.modifiedCount) {
+    throw new NotFoundError("Client does not exist", {
+      code: "client_not_found",
+    });
+  }
+
+  res.status(200).send({ message: req.t("Revoked") });
+};
+
+/**
+ * @swagger
+ * /oauth/authorize:
+ *   get:
+ *     summary: Describe an authorization request for the consent screen
+ *     description: Checks the query of an authorization code request (RFC 6749 with PKCE, RFC 7636) and returns what the consent screen shows. consented tells whether the user already agreed to these scopes, in which case the screen may approve right away.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: response_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [code]
+ *       - in: query
+ *         name: client_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: redirect_uri
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scope
+ *         description: Space separated scopes, all the scopes of the client by default
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code_challenge
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code_challenge_method
+ *         schema:
+ *           type: string
+ *           enum: [S256]
+ *     responses:
+ *       200:
+ *         description: The request is valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 client:
+ *                   type: object
+ *                   properties:
+ *                     client_id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                 scopes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       scope:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                 consented:
+ *                   type: boolean
+ *       400:
+ *         description: The request is invalid, it must not be redirected
+ */
+const getAuthorization = async (req, res) => {
+  const authorization = await findAuthorization(req.query);
+
+  if (authorization.error) {
+    return oauthError(res, 400, authorization.error, authorization.description);
+  }
+
+  const { client, scopes } = authorization;
+
+  res.status(200).send({
+    client: { client_id: client.client_id, name: client.name },
+    scopes: scopes.map((scope) => ({
+      scope,
+      description: oauthScopes[scope],
+    })),
+    consented: await oauth.hasConsent(req.user, client, scopes),
+  });
+};
+
+/**
+ * @swagger
+ * /oauth/authorize:
+ *   post:
+ *     summary: Approve or deny an authorization request
+ *     description: Takes the parameters of the authorization request and the decision of the user. The consent screen then sends the browser to redirect_to, which carries the authorization code, or an access_denied error, and the state.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - response_type
+ *               - client_id
+ *               - redirect_uri
+ *               - code_challenge
+ *               - approve
+ *             properties:
+ *               response_type:
+ *                 type: string
+ *               client_id:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               code_challenge:
+ *                 type: string
+ *               code_challenge_method:
+ *                 type: string
+ *               approve:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Where to send the browser
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 redirect_to:
+ *                   type: string
+ *       400:
+ *         description: The request is invalid, it must not be redirected
+ */
+const authorize = async (req, res) => {
+  const authorization = await findAuthorization(req.body);
+
+  if (authorization.error) {
+    return oauthError(res, 400, authorization.error, authorization.description);
+  }
+
+  const { client, scopes } = authorization;
+  const { redirect_uri, state, code_challenge, approve } = req.body;
+
+  if (!approve) {
+    return res.status(200).send({
+      redirect_to: redirectTo(redirect_uri, {
+        error: "access_denied",
+        state,
+      }),
+    });
+  }
+
+  const code = await oauth.authorize(req.user, client, {
+    redirect_uri,
+    scopes,
+    code_challenge,
+  });
+
+  res.status(200).send({
+    redirect_to: redirectTo(redirect_uri, { code, state }),
+  });
+};
+
+/**
+ * @swagger
+ * /oauth/token:
+ *   post:
+ *     summary: Get an access token
+ *     description: The token endpoint of RFC 6749 for the authorization_code grant, with the code_verifier of PKCE, and the client_credentials grant. Clients authenticate with HTTP Basic or client_id and client_secret in the body; public clients only send their client_id.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grant_type
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 enum: [authorization_code, client_credentials]
+ *               code:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               code_verifier:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: An access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 access_token:
+ *                   type: string
+ *                 token_type:
+ *                   type: string
+ *                   example: Bearer
+ *                 expires_in:
+ *                   type: number
+ *                 scope:
+ *                   type: string
+ *       400:
+ *         description: invalid_request, invalid_grant, invalid_scope, unauthorized_client or unsupported_grant_type
+ *       401:
+ *         description: invalid_client
+ */
+const token = async (req, res) => {
+  res.set({ "Cache-Control": "no-store", Pragma: "no-cache" });
+
+  const client = await oauth.authenticateClient(req);
+
+  if (!client) {
+    return oauthError(
+      res,
+      401,
+      "invalid_client",
+      "Client authentication failed"
+    );
+  }
+
+  const { grant_type } = req.body;
+
+  if (!["authorization_code", "client_credentials"].includes(grant_type)) {
+    return oauthError(
+      res,
+      400,
+      "unsupported_grant_type",
+      "grant_type is not supported"
+    );
+  }
+
+  if (!client.grant_types.includes(grant_type)) {
+    return oauthError(
+      res,
+      400,
+      "unauthorized_client",
+      `The client cannot use the ${grant_type} grant`
+    );
+  }
+
+  if (grant_type === "client_credentials") {
+    // Public clients cannot prove who they are.
+    if (!client.client_secret) {
+      return oauthError(
+        res,
+        401,
+        "invalid_client",
+        "Client authentication failed"
+      );
+    }
+
+    const checked = oauth.checkScopes(client, req.body.scope);
+
+    if (checked.error) {
+      return oauthError(res, 400, checked.error, checked.description);
+    }
+
+    return res.status(200).send(oauth.issueToken(client, checked.scopes));
+  }
+
+  const { code, redirect_uri, code_verifier } = req.body;
+
+  if (!code || !redirect_uri || !code_verifier) {
+    return oauthError(
+      res,
+      400,
+      "invalid_request",
+      "code, redirect_uri and code_verifier are required"
+    );
+  }
+
+  const tokens = await oauth.exchangeCode(client, {
+    code,
+    redirect_uri,
+    code_verifier,
+  });
+
+  if (!tokens) {
+    return oauthError(
+      res,
+      400,
+      "invalid_grant",
+      "The authorization code is invalid, expired or was already used"
+    );
+  }
+
+  res.status(200).send(tokens);
+};
+
+/**
+ * @swagger
+ * /oauth/introspect:
+ *   post:
+ *     summary: Introspect an access token
+ *     description: RFC 7662 token introspection for authenticated clients. Tokens that are invalid, expired, revoked or were not issued to an OAuth client are inactive.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The state of the token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 active:
+ *                   type: boolean
+ *                 scope:
+ *                   type: string
+ *                 client_id:
+ *                   type: string
+ *                 sub:
+ *                   type: string
+ *                 exp:
+ *                   type: number
+ *       401:
+ *         description: invalid_client
+ */
+const introspect = async (req, res) => {
+  const client = await oauth.authenticateClient(req);
+
+  if (!client || !client.client_secret) {
+    return oauthError(
+      res,
+      401,
+      "invalid_client",
+      "Client authentication failed"
+    );
+  }
+
+  res.status(200).send(await oauth.introspect(req.body.token));
+};
+
+/**
+ * @swagger
+ * /oauth/revoke:
+ *   post:
+ *     summary: Revoke an access token
+ *     description: RFC 7009 token revocation. A client can only revoke its own tokens; the answer is the same for unknown or invalid tokens.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The token is not valid anymore
+ *       401:
+ *         description: invalid_client
+ */
+const revokeToken = async (req, res) => {
+  const client = await oauth.authenticateClient(req);
+
+  if (!client) {
+    return oauthError(
+      res,
+      401,
+      "invalid_client",
+      "Client authentication failed"
+    );
+  }
+
+  await oauth.revoke(req.body.token, client);
+
+  res.status(200).send({});
+};
+
+/**
+ * @swagger
+ * /oauth/userinfo:
+ *   get:
+ *     summary: The user of an access token
+ *     description: Returns the profile of the user who authorized the client. Needs the profile:read scope.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The profile of the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sub:
+ *                   type: string
+ *                 full_name:
+ *                   type: string
+ *                 email:
+ *                   type: string
+ *                 email_verified:
+ *                   type: boolean
+ */
+const userInfo = async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new NotFoundError("User does not exist", { code: "user_not_found" });
+  }
+
+  res.status(200).send({
+    sub: user.id,
+    full_name: user.full_name,
+    email: user.email,
+    email_verified: !!user.email_verified_at,
+  });
+};
+
+/**
+ * @swagger
+ * /oauth/consents:
+ *   get:
+ *     summary: List the applications I gave access to
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The consents of the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   client_id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   scopes:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ */
+const getConsents = async (req, res) => {
+  const consents = await OAuthConsent.find({ user: req.user.id });
+  const clients = await OAuthClient.find({
+    client_id: { $in: consents.map((consent) => consent.client_id) },
+  });
+
+  res.status(200).send(
+    consents.map((consent) => {
+      const client = clients.find(
+        (item) => item.client_id === consent.client_id
+      );
+
+      return {
+        client_id: consent.client_id,
+        name: client && client.name,
+        scopes: consent.scopes,
+        createdAt: consent.createdAt,
+      };
+    })
+  );
+};
+
+/**
+ * @swagger
+ * /oauth/consents/{clientId}:
+ *   delete:
+ *     summary: Withdraw the access given to an application
+ *     description: The consent screen asks again at the next authorization. Access tokens already issued to the application for the user are rejected.
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Consent withdrawn
+ *       404:
+ *         description: No consent was given to the client
+ */
+const revokeConsent = async (req, res) => {
+  const deleted = await OAuthConsent.deleteOne({
+    user: req.user.id,
+    client_id: `${req.params.clientId}`,
+  });
+
+  if (!deleted.deletedCount) {
+    throw new NotFoundError("Consent does not exist", {
+      code: "consent_not_found",
+    });
+  }
+
+  res.status(200).send({ message: req.t("Revoked") });
+};
+
+module.exports = catchErrors({
+  registerClient,
+  getClients,
+  revokeClient,
+  getAuthorization,
+  authorize,
+  token,
+  introspect,
+  revokeToken,
+  userInfo,
+  getConsents,
+  revokeConsent,
+});
@@ -1,13 +1,30 @@
 const Product = require("../models/Product.model");
-const ApiError = require("../errors/ApiError");
+const {
+  BadRequestError,
+  ValidationError,
+  NotFoundError,
+} = require("../errors");
+const catchErrors = require("../helpers/catchErrors");
 const mongoose = require("mongoose");
+const escapeRegExp = require("lodash/escapeRegExp");
+const paginate = require("../helpers/paginate");
+const range = require("../helpers/range");
+const productSearch = require("../services/ProductSearchService");
+const money = require("../helpers/money");
+const categoryService = require("../services/CategoryService");
+const audit = require("../services/AuditService");
+
+const missingCategories = () =>
+  new BadRequestError("Category does not exist", {
+    code: "category_not_found",
+  });
 
 /**
  * @swagger
  * /product:
  *   post:
  *     summary: Create a new product
- *     description: Creates a new product with the specified details. Requires a JSON object with title, price, and description fields in the request body.
+ *     description: Creates a new product with the specified details. Requires a JSON object with title, price, and description fields in the request body. The price is a decimal in the given currency, with no more decimals than the currency has.
  *     requestBody:
  *       required: true
  *       content:
@@ -24,10 +41,30 @@ const mongoose = require("mongoose");
  *                 description: The title of the product
  *               price:
  *                 type: string
- *                 description: The price of the product
+ *                 description: The price as a decimal of the currency
+ *                 example: "12.50"
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 code of the currency, the default currency when omitted
+ *                 example: USD
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: The IDs of the categories of the product
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Free-form lowercase tags
+ *               low_stock_threshold:
+ *                 type: integer
+ *                 description: Stock is low when no more units than this are available
  *               description:
  *                 type: string
  *                 description: A description of the product
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Product successfully created
@@ -44,7 +81,41 @@ const mongoose = require("mongoose");
  *                   description: The title of the product
  *                 price:
  *                   type: string
- *                   description: The price of the product
+ *                   description: The price as a decimal with all the decimals of the currency
+ *                   example: "12.50"
+ *                 currency:
+ *                   type: string
+ *                   description: ISO 4217 code of the currency
+ *                 price_minor:
+ *                   type: integer
+ *                   description: The price in minor units of the currency, e.g. cents
+ *                 price_formatted:
+ *                   type: string
+ *                   example: $12.50
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: The IDs of the categories of the product
+ *                 tags:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Free-form lowercase tags
+ *                 stock:
+ *                   type: integer
+ *                   description: Units on hand, including the reserved ones
+ *                 reserved:
+ *                   type: integer
+ *                   description: Units held by active reservations
+ *                 available:
+ *                   type: integer
+ *                   description: Units that can be reserved
+ *                 low_stock_threshold:
+ *                   type: integer
+ *                 low_stock:
+ *                   type: boolean
+ *                   description: Whether no more units than the threshold are available
  *                 description:
  *                   type: string
  *                   description: A description of the product
@@ -68,24 +139,39 @@ const mongoose = require("mongoose");
  *                   description: An error message indicating what went wrong
  */
 const createProduct = async (req, res) => {
-  try {
-    const { title, price, description } = req.body;
+  const {
+    title,
+    price,
+    currency,
+    description,
+    categories,
+    tags,
+    low_stock_threshold,
+  } = req.body;
 
-    const product = await Product({
-      title,
-      price,
-      description,
-    });
+  if (categories && !(await categoryService.exist(categories))) {
+    throw missingCategories();
+  }
 
-    await product.save();
+  const product = await Product({
+    title,
+    price: money.toMinor(price, currency),
+    currency,
+    description,
+    categories,
+    tags,
+    low_stock_threshold,
+    createdBy: req.user.id,
+  });
 
-    res.status(200).send(product);
-  } catch (error) {
-    ApiError.internal(res, {
-      message: error,
-      friendlyMsg: "Internal Error",
-    });
-  }
+  await product.save();
+
+  await audit.record(req, "product.create", {
+    target: { type: "product", id: product._id },
+    after: product,
+  });
+
+  res.status(200).send(product);
 };
 
 /**
@@ -93,39 +179,130 @@ const createProduct = async (req, res) => {
  * /product:
  *   get:
  *     summary: Get a list of products
- *     description: Returns a list of all products in the database.
+ *     description: Returns a page of the products matching the filters.
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         description: Comma separated fields among title, price, createdAt and updatedAt, prefixed with - for a descending order. Newest first by default.
+ *         schema:
+ *           type: string
+ *           example: -createdAt,title
+ *       - in: query
+ *         name: title
+ *         description: Part of the title, case insensitive
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         description: ISO 4217 code of the currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         description: The ID of a category, the categories under it included
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         description: Comma separated tags the products all have
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: price_min
+ *         description: In major units of the currency of each product
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: price_max
+ *         description: In major units of the currency of each product
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date-time
  *     responses:
  *       200:
- *         description: List of products retrieved successfully
+ *         description: A page of products
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   _id:
- *                     type: string
- *                     description: The unique ID of the product
- *                   title:
- *                     type: string
- *                     description: The title of the product
- *                   price:
- *                     type: string
- *                     description: The price of the product
- *                   description:
- *                     type: string
- *                     description: A description of the product
- *                   createdAt:
- *                     type: string
- *                     format: date-time
- *                     description: The date and time the product was created
- *                   updatedAt:
- *                     type: string
- *                     format: date-time
- *                     description: The date and time the product was last updated
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         description: The unique ID of the product
+ *                       title:
+ *                         type: string
+ *                         description: The title of the product
+ *                       price:
+ *                         type: string
+ *                         description: The price as a decimal with all the decimals of the currency
+ *                         example: "12.50"
+ *                       currency:
+ *                         type: string
+ *                         description: ISO 4217 code of the currency
+ *                       price_minor:
+ *                         type: integer
+ *                         description: The price in minor units of the currency, e.g. cents
+ *                       price_formatted:
+ *                         type: string
+ *                         example: $12.50
+ *                       categories:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         description: The IDs of the categories of the product
+ *                       tags:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         description: Free-form lowercase tags
+ *                       stock:
+ *                         type: integer
+ *                         description: Units on hand, including the reserved ones
+ *                       reserved:
+ *                         type: integer
+ *                         description: Units held by active reservations
+ *                       available:
+ *                         type: integer
+ *                         description: Units that can be reserved
+ *                       low_stock_threshold:
+ *                         type: integer
+ *                       low_stock:
+ *                         type: boolean
+ *                         description: Whether no more units than the threshold are available
+ *                       description:
+ *                         type: string
+ *                         description: A description of the product
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: The date and time the product was created
+ *                       updatedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: The date and time the product was last updated
+ *                 meta:
+ *                   $ref: '#/components/schemas/ListMeta'
+ *                 links:
+ *                   $ref: '#/components/schemas/ListLinks'
  *       400:
- *         description: Bad request
+ *         description: Invalid query parameters
  *         content:
  *           application/json:
  *             schema:
@@ -135,16 +312,279 @@ const createProduct = async (req, res) => {
  *                   type: string
  *                   description: An error message indicating what went wrong
  */
-const getProducts = async (req, res) => {
-  try {
-    const products = await Product.find({});
-    res.status(200).send(products);
-  } catch (error) {
-    ApiError.internal(res, {
-      message: error,
-      friendlyMsg: "Internal Error",
-    });
+// Mongo filter of the products from the validated query of a listing.
+const productFilter = async ({
+  title,
+  category,
+  tags,
+  currency,
+  price_min,
+  price_max,
+  created_from,
+  created_to,
+}) => {
+  const filter = {};
+
+  if (title) {
+    filter.title = { $regex: escapeRegExp(title), $options: "i" };
+  }
+
+  if (category) {
+    filter.categories = {
+      $in: await categoryService.withDescendants(category),
+    };
   }
+
+  if (tags && tags.length) {
+    filter.tags = { $all: tags };
+  }
+
+  if (currency) {
+    filter.currency = currency;
+  }
+
+  // Price ranges are in major units, of the currency of each product.
+  const price = money.majorAmount("$price", "$currency");
+  const priceRange = [];
+
+  if (price_min !== undefined) {
+    priceRange.push({ $gte: [price, price_min] });
+  }
+
+  if (price_max !== undefined) {
+    priceRange.push({ $lte: [price, price_max] });
+  }
+
+  if (priceRange.length) {
+    filter.$expr = { $and: priceRange };
+  }
+
+  if (created_from || created_to) {
+    filter.createdAt = range(created_from, created_to);
+  }
+
+  return filter;
+};
+
+const getProducts = async (req, res) => {
+  const products = await paginate(
+    Product,
+    { filter: await productFilter(req.query) },
+    req,
+    [["createdAt", -1]]
+  );
+
+  res.status(200).send(products);
+};
+
+/**
+ * @swagger
+ * /product/search:
+ *   get:
+ *     summary: Search products
+ *     description: Returns a page of the products whose title or description match the searched words, the most relevant first. Whole words are looked up in a text index; when it finds nothing, words are matched by their first letters with one typo allowed. Each product comes with highlighted snippets, and the answer with counts of the matching products by price range, currency, category, tag and year. Price ranges are in major units of the currency of each product.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         description: The searched words
+ *         schema:
+ *           type: string
+ *           example: red aple
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         description: Comma separated fields among score, title, price and createdAt, prefixed with - for a descending order. The most relevant first by default.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         description: ISO 4217 code of the currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         description: The ID of a category, the categories under it included
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         description: Comma separated tags the products all have
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: price_min
+ *         description: In major units of the currency of each product
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: price_max
+ *         description: In major units of the currency of each product
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: A page of matching products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       price:
+ *                         type: string
+ *                         description: The price as a decimal with all the decimals of the currency
+ *                         example: "12.50"
+ *                       currency:
+ *                         type: string
+ *                         description: ISO 4217 code of the currency
+ *                       price_minor:
+ *                         type: integer
+ *                         description: The price in minor units of the currency, e.g. cents
+ *                       price_formatted:
+ *                         type: string
+ *                         example: $12.50
+ *                       categories:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         description: The IDs of the categories of the product
+ *                       tags:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         description: Free-form lowercase tags
+ *                       stock:
+ *                         type: integer
+ *                         description: Units on hand, including the reserved ones
+ *                       reserved:
+ *                         type: integer
+ *                         description: Units held by active reservations
+ *                       available:
+ *                         type: integer
+ *                         description: Units that can be reserved
+ *                       low_stock_threshold:
+ *                         type: integer
+ *                       low_stock:
+ *                         type: boolean
+ *                         description: Whether no more units than the threshold are available
+ *                       description:
+ *                         type: string
+ *                       score:
+ *                         type: number
+ *                         description: The relevance of the product
+ *                       highlights:
+ *                         type: object
+ *                         description: HTML escaped title and description snippet, the matches wrapped in mark elements
+ *                         properties:
+ *                           title:
+ *                             type: string
+ *                             example: <mark>Red</mark> Apple
+ *                           description:
+ *                             type: string
+ *                 meta:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ListMeta'
+ *                     - type: object
+ *                       properties:
+ *                         match:
+ *                           type: string
+ *                           enum: [text, fuzzy]
+ *                           description: Whether the text index or the prefix matching found the products
+ *                 links:
+ *                   $ref: '#/components/schemas/ListLinks'
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     price:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           from:
+ *                             type: number
+ *                           to:
+ *                             type: number
+ *                             nullable: true
+ *                           count:
+ *                             type: integer
+ *                     currency:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           currency:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           category:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           tag:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     year:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           year:
+ *                             type: integer
+ *                           count:
+ *                             type: integer
+ *       400:
+ *         description: Invalid query parameters
+ */
+const searchProducts = async (req, res) => {
+  const { q } = req.query;
+  const search = await productSearch.query(q, await productFilter(req.query));
+
+  const [products, facets] = await Promise.all([
+    paginate(Product, search, req, [["score", -1]]),
+    productSearch.facets(search.filter),
+  ]);
+
+  products.data.forEach((product) => {
+    Product.present(product);
+    product.highlights = productSearch.highlight(product, q);
+  });
+  products.meta.match = search.match;
+
+  res.status(200).send({ ...products, facets });
 };
 
 /**
@@ -176,7 +616,41 @@ const getProducts = async (req, res) => {
  *                   description: The title of the product
  *                 price:
  *                   type: string
- *                   description: The price of the product
+ *                   description: The price as a decimal with all the decimals of the currency
+ *                   example: "12.50"
+ *                 currency:
+ *                   type: string
+ *                   description: ISO 4217 code of the currency
+ *                 price_minor:
+ *                   type: integer
+ *                   description: The price in minor units of the currency, e.g. cents
+ *                 price_formatted:
+ *                   type: string
+ *                   example: $12.50
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: The IDs of the categories of the product
+ *                 tags:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Free-form lowercase tags
+ *                 stock:
+ *                   type: integer
+ *                   description: Units on hand, including the reserved ones
+ *                 reserved:
+ *                   type: integer
+ *                   description: Units held by active reservations
+ *                 available:
+ *                   type: integer
+ *                   description: Units that can be reserved
+ *                 low_stock_threshold:
+ *                   type: integer
+ *                 low_stock:
+ *                   type: boolean
+ *                   description: Whether no more units than the threshold are available
  *                 description:
  *                   type: string
  *                   description: A description of the product
@@ -210,26 +684,23 @@ const getProducts = async (req, res) => {
  *                   description: An error message indicating what went wrong
  */
 const getProductById = async (req, res) => {
-  try {
-    const { id } = req.params;
+  const { id } = req.params;
 
-    if (!mongoose.isValidObjectId(`${id}`)) {
-      return res.status(400).send({ message: "Canceled, Invalid ID sent" });
-    }
-
-    const product = await Product.findById(id);
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
 
-    if (!product) {
-      return res.status(404).send({ message: "Product does not exist" });
-    }
+  const product = await Product.findById(id);
 
-    res.status(200).send(product);
-  } catch (error) {
-    ApiError.internal(res, {
-      message: error,
-      friendlyMsg: "Internal Error",
+  if (!product) {
+    throw new NotFoundError("Product does not exist", {
+      code: "product_not_found",
     });
   }
+
+  res.status(200).send(product);
 };
 
 /**
@@ -259,8 +730,29 @@ const getProductById = async (req, res) => {
  *               type: string
  *             price:
  *               type: string
+ *               description: The price as a decimal of the currency
+ *               example: "12.50"
+ *             currency:
+ *               type: string
+ *               description: ISO 4217 code of the currency, sent with the price
+ *               example: USD
+ *             categories:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: The IDs of the categories of the product
+ *             tags:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: Free-form lowercase tags
+ *             low_stock_threshold:
+ *               type: integer
+ *               description: Stock is low when no more units than this are available
  *             description:
  *               type: string
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       '200':
  *         description: Successfully updated the product.
@@ -284,6 +776,16 @@ const getProductById = async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Canceled, Invalid ID sent
+ *       '403':
+ *         description: The product is owned by another user and the caller is not an admin.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Error: product:update is not allowed"
  *       '404':
  *         description: Product not found.
  *         content:
@@ -299,31 +801,76 @@ const getProductById = async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ApiError'
+ *               $ref: '#/components/schemas/Problem'
  */
 const updateProductById = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    if (!mongoose.isValidObjectId(`${id}`)) {
-      return res.status(400).send({ message: "Canceled, Invalid ID sent" });
-    }
+  const { id } = req.params;
 
-    const { title, price, description } = req.body;
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      { _id: id },
-      { title, price, description },
-      { new: true }
-    );
+  const product = await Product.findById(id);
 
-    res.status(200).send({ message: "Updated", product: updatedProduct });
-  } catch (error) {
-    ApiError.internal(res, {
-      message: error,
-      friendlyMsg: "Internal Error",
+  if (!product) {
+    throw new NotFoundError("Product does not exist", {
+      code: "product_not_found",
     });
   }
+
+  const {
+    title,
+    price,
+    currency,
+    description,
+    categories,
+    tags,
+    low_stock_threshold,
+  } = req.body;
+
+  if (categories && !(await categoryService.exist(categories))) {
+    throw missingCategories();
+  }
+
+  let minor;
+
+  if (price !== undefined) {
+    try {
+      minor = money.toMinor(price, currency || product.currency);
+    } catch (error) {
+      if (!(error instanceof RangeError)) {
+        throw error;
+      }
+
+      throw new ValidationError(error.message, [
+        { path: "price", type: "price.invalid", message: error.message },
+      ]);
+    }
+  }
+
+  const updatedProduct = await Product.findByIdAndUpdate(
+    { _id: id },
+    {
+      title,
+      price: minor,
+      currency,
+      description,
+      categories,
+      tags,
+      low_stock_threshold,
+    },
+    { new: true }
+  );
+
+  await audit.record(req, "product.update", {
+    target: { type: "product", id: product._id },
+    before: product,
+    after: updatedProduct,
+  });
+
+  res.status(200).send({ message: req.t("Updated"), product: updatedProduct });
 };
 
 /**
@@ -331,7 +878,7 @@ const updateProductById = async (req, res) => {
  * /product/{id}:
  *   delete:
  *     summary: Delete a product by ID
- *     description: Deletes a product by ID from the database.
+ *     description: Moves a product to the trash, where admins restore or purge it. It is hidden from every other request meanwhile.
  *     parameters:
  *       - in: path
  *         name: id
@@ -341,6 +888,8 @@ const updateProductById = async (req, res) => {
  *           format: objectId
  *         required: true
  *         example: 610c1975b5d5a728184cc49d
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Product deleted successfully
@@ -357,7 +906,7 @@ const updateProductById = async (req, res) => {
  *                   $ref: '#/components/schemas/Product'
  *                   description: The deleted product object
  *       400:
- *         description: Bad request
+ *         description: Invalid ID sent
  *         content:
  *           application/json:
  *             schema:
@@ -366,9 +915,9 @@ const updateProductById = async (req, res) => {
  *                 message:
  *                   type: string
  *                   description: Error message
- *                   example: Product was not found
- *       500:
- *         description: Internal server error
+ *                   example: Canceled, Invalid ID sent
+ *       403:
+ *         description: The product is owned by another user and the caller is not an admin
  *         content:
  *           application/json:
  *             schema:
@@ -377,39 +926,58 @@ const updateProductById = async (req, res) => {
  *                 message:
  *                   type: string
  *                   description: Error message
- *                   example: Internal Error
- *                 friendlyMsg:
+ *                   example: "Error: product:delete is not allowed"
+ *       404:
+ *         description: Product does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
  *                   type: string
- *                   description: A friendly message for the client
- *                   example: Sorry, something went wrong on our end.
+ *                   description: Error message
+ *                   example: Product does not exist
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  */
 const deleteProductById = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    if (!mongoose.isValidObjectId(`${id}`)) {
-      return res.status(400).send({ message: "Canceled, Invalid ID sent" });
-    }
+  const { id } = req.params;
 
-    const deletedProduct = await Product.findByIdAndDelete(id);
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
 
-    if (!deletedProduct) {
-      return res.status(400).send({ message: "Product was not found" });
-    }
+  const product = await Product.findById(id);
 
-    res.status(200).send({ message: "Deleted", product: deletedProduct });
-  } catch (error) {
-    ApiError.internal(res, {
-      message: error,
-      friendlyMsg: "Internal Error",
+  if (!product) {
+    throw new NotFoundError("Product does not exist", {
+      code: "product_not_found",
     });
   }
+
+  const deletedProduct = await Product.softDeleteById(id);
+
+  await audit.record(req, "product.delete", {
+    target: { type: "product", id: product._id },
+    before: product,
+    after: deletedProduct,
+  });
+
+  res.status(200).send({ message: req.t("Deleted"), product: deletedProduct });
 };
 
-module.exports = {
+module.exports = catchErrors({
   createProduct,
   getProducts,
+  searchProducts,
   getProductById,
   updateProductById,
   deleteProductById,
-};
+});
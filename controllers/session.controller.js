@@ -0,0 +1,272 @@
+const Session = require("../models/Session.model");
+const { BadRequestError, ForbiddenError, NotFoundError } = require("../errors");
+const catchErrors = require("../helpers/catchErrors");
+const sessions = require("../services/SessionService");
+const jwt = require("../services/JwtService");
+const policy = require("../services/PolicyService");
+const to = require("../helpers/functionHandler");
+const mongoose = require("mongoose");
+const audit = require("../services/AuditService");
+
+/**
+ * @swagger
+ * /user/sessions:
+ *   get:
+ *     summary: List my sessions
+ *     description: Returns the active sessions of the authenticated user, one per signed in device. The session of the current token is flagged with current.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                     description: The ID of the session
+ *                   device:
+ *                     type: string
+ *                     description: The device name sent at sign in
+ *                   user_agent:
+ *                     type: string
+ *                     description: The user agent of the client
+ *                   ip:
+ *                     type: string
+ *                     description: The IP address of the client
+ *                   last_seen_at:
+ *                     type: string
+ *                     format: date-time
+ *                     description: The last time the session was used
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: The date and time of the sign in
+ *                   current:
+ *                     type: boolean
+ *                     description: Whether the session is the one of the current token
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+const getSessions = async (req, res) => {
+  const userSessions = await Session.find({
+    user: req.user.id,
+    revoked_at: null,
+  }).sort({ last_seen_at: -1 });
+
+  res.status(200).send(
+    userSessions.map((session) => ({
+      ...session.toJSON(),
+      current: session.id === req.user.sid,
+    }))
+  );
+};
+
+/**
+ * @swagger
+ * /user/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of my sessions
+ *     description: Signs the device of the session out. Its access and refresh tokens are rejected from now on.
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         description: ID of the session to revoke
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Revoked
+ *       400:
+ *         description: Invalid ID sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Canceled, Invalid ID sent
+ *       404:
+ *         description: The user has no such active session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Session does not exist
+ */
+const revokeSession = async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!mongoose.isValidObjectId(`${sessionId}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
+
+  const revoked = await sessions.revoke({
+    _id: sessionId,
+    user: req.user.id,
+  });
+
+  if (!revoked) {
+    throw new NotFoundError("Session does not exist", {
+      code: "session_not_found",
+    });
+  }
+
+  await audit.record(req, "session.revoke", {
+    target: { type: "session", id: sessionId },
+  });
+
+  if (sessionId === req.user.sid) {
+    res.clearCookie("token");
+    res.clearCookie("refresh_token");
+  }
+
+  res.status(200).send({ message: req.t("Revoked") });
+};
+
+/**
+ * @swagger
+ * /user/logout-all:
+ *   post:
+ *     summary: Log out everywhere
+ *     description: Revokes every session of the authenticated user, including the current one.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Logout
+ *                 revoked:
+ *                   type: number
+ *                   description: How many sessions were revoked
+ */
+const logoutAll = async (req, res) => {
+  const revoked = await sessions.revoke({ user: req.user.id });
+
+  await audit.record(req, "user.logout_all", {
+    target: { type: "user", id: req.user.id },
+    details: { revoked },
+  });
+
+  res.clearCookie("token");
+  res.clearCookie("refresh_token");
+
+  res.status(200).send({ message: req.t("Logout"), revoked });
+};
+
+/**
+ * @swagger
+ * /user/tokens/revoke:
+ *   post:
+ *     summary: Revoke an access token
+ *     description: Denies a leaked access token until it expires. Users can revoke their own tokens, admins can revoke any token.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The access token to revoke
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Revoked
+ *       400:
+ *         description: The token is invalid, expired or already revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Token is invalid token
+ *       403:
+ *         description: The token belongs to another user and the caller is not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Error: token:revoke is not allowed"
+ */
+const revokeToken = async (req, res) => {
+  const [error, decodedData] = await to(jwt.verifyAccess(req.body.token));
+
+  if (error || !decodedData.jti) {
+    throw new BadRequestError("Token is invalid token", {
+      code: "token_invalid",
+    });
+  }
+
+  if (!policy.can(req.user, "token:revoke", { resource: decodedData, req })) {
+    throw new ForbiddenError("Error: {permission} is not allowed", {
+      code: "permission_denied",
+      params: { permission: "token:revoke" },
+    });
+  }
+
+  await jwt.revokeAccess(decodedData);
+
+  await audit.record(req, "token.revoke", {
+    target: { type: "user", id: decodedData.id },
+    details: { jti: decodedData.jti },
+  });
+
+  res.status(200).send({ message: req.t("Revoked") });
+};
+
+module.exports = catchErrors({
+  getSessions,
+  revokeSession,
+  logoutAll,
+  revokeToken,
+});
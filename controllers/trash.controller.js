@@ -0,0 +1,248 @@
+const User = require("../models/User.model");
+const Product = require("../models/Product.model");
+const { BadRequestError, NotFoundError } = require("../errors");
+const catchErrors = require("../helpers/catchErrors");
+const paginate = require("../helpers/paginate");
+const mongoose = require("mongoose");
+const audit = require("../services/AuditService");
+const trash = require("../services/TrashService");
+
+// Admin listing of the trash of a model, the last deleted first.
+const listTrash = (Model, select) => async (req, res) => {
+  const trash = await paginate(
+    Model,
+    { filter: { deletedAt: { $ne: null } }, select },
+    req,
+    [["deletedAt", -1]]
+  );
+
+  res.status(200).send(trash);
+};
+
+const messages = { restore: "Restored", purge: "Purged" };
+
+const notInTrash = {
+  user: "The user is not in the trash",
+  product: "The product is not in the trash",
+};
+
+// Restore or purge a document of the trash, answered as `name` and audited
+// as `name.event`.
+const fromTrash = (name, event, action) => async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
+
+  const document = await action(id);
+
+  if (!document) {
+    throw new NotFoundError(notInTrash[name], {
+      code: "not_in_trash",
+    });
+  }
+
+  await audit.record(req, `${name}.${event}`, {
+    target: { type: name, id: document._id },
+    // A purge keeps what was deleted for good.
+    before: event === "purge" ? document : undefined,
+  });
+
+  res.status(200).send({ message: req.t(messages[event]), [name]: document });
+};
+
+/**
+ * @swagger
+ * /user/trash:
+ *   get:
+ *     summary: Get the deleted users
+ *     description: Users stay in the trash, hidden everywhere else, until they are restored or purged. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         description: Comma separated fields among deletedAt and createdAt, prefixed with - for a descending order.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A page of deleted users, the last deleted first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 meta:
+ *                   $ref: '#/components/schemas/ListMeta'
+ *                 links:
+ *                   $ref: '#/components/schemas/ListLinks'
+ *       403:
+ *         description: The user is not an admin
+ */
+const getUserTrash = listTrash(User, { password: 0 });
+
+/**
+ * @swagger
+ * /user/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted user
+ *     description: The user signs in again to get new sessions. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User restored
+ *       400:
+ *         description: Invalid ID sent
+ *       403:
+ *         description: The user is not an admin
+ *       404:
+ *         description: The user is not in the trash
+ */
+const restoreUser = fromTrash("user", "restore", (id) => User.restoreById(id));
+
+/**
+ * @swagger
+ * /user/{id}/purge:
+ *   delete:
+ *     summary: Delete a user of the trash for good
+ *     description: Its sessions, API keys, OAuth consents and reservations are deleted with it, the active reservations are released first. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User purged
+ *       400:
+ *         description: Invalid ID sent
+ *       403:
+ *         description: The user is not an admin
+ *       404:
+ *         description: The user is not in the trash
+ */
+const purgeUser = fromTrash("user", "purge", (id) => trash.purgeUser(id));
+
+/**
+ * @swagger
+ * /product/trash:
+ *   get:
+ *     summary: Get the deleted products
+ *     description: Products stay in the trash, hidden everywhere else, until they are restored or purged. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         description: Comma separated fields among deletedAt and createdAt, prefixed with - for a descending order.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A page of deleted products, the last deleted first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 meta:
+ *                   $ref: '#/components/schemas/ListMeta'
+ *                 links:
+ *                   $ref: '#/components/schemas/ListLinks'
+ *       403:
+ *         description: The user is not an admin
+ */
+const getProductTrash = listTrash(Product);
+
+/**
+ * @swagger
+ * /product/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted product
+ *     description: Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product restored
+ *       400:
+ *         description: Invalid ID sent
+ *       403:
+ *         description: The user is not an admin
+ *       404:
+ *         description: The product is not in the trash
+ */
+const restoreProduct = fromTrash("product", "restore", (id) =>
+  Product.restoreById(id)
+);
+
+/**
+ * @swagger
+ * /product/{id}/purge:
+ *   delete:
+ *     summary: Delete a product of the trash for good
+ *     description: Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product purged
+ *       400:
+ *         description: Invalid ID sent
+ *       403:
+ *         description: The user is not an admin
+ *       404:
+ *         description: The product is not in the trash
+ */
+const purgeProduct = fromTrash("product", "purge", (id) =>
+  Product.purgeById(id)
+);
+
+module.exports = catchErrors({
+  getUserTrash,
+  restoreUser,
+  purgeUser,
+  getProductTrash,
+  restoreProduct,
+  purgeProduct,
+});
@@ -2,8 +2,97 @@ const User = require("../models/User.model");
 const config = require("config");
 const jwt = require("../services/JwtService");
 const bcrypt = require("bcryptjs");
-const ApiError = require("../errors/ApiError");
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+} = require("../errors");
+const catchErrors = require("../helpers/catchErrors");
 const mongoose = require("mongoose");
+const to = require("../helpers/functionHandler");
+const sessions = require("../services/SessionService");
+const mail = require("../services/MailService");
+const hashToken = require("../helpers/hashToken");
+const passwordHistory = require("../helpers/passwordHistory");
+const crypto = require("crypto");
+const loginAttempts = require("../services/LoginAttemptService");
+const mfa = require("../services/MfaService");
+const apiKeys = require("../services/ApiKeyService");
+const escapeRegExp = require("lodash/escapeRegExp");
+const paginate = require("../helpers/paginate");
+const range = require("../helpers/range");
+const audit = require("../services/AuditService");
+const i18n = require("../helpers/i18n");
+
+const unknownUserHash = bcrypt.hashSync(
+  crypto.randomBytes(16).toString("hex"),
+  7
+);
+
+const sessionMeta = (req) => ({
+  device: req.body.device,
+  user_agent: req.get("user-agent"),
+  ip: req.ip,
+});
+
+const setTokenCookies = (res, tokens) => {
+  res.cookie("token", tokens.token, {
+    maxAge: config.get("token_ms"),
+    httpOnly: true,
+  });
+
+  res.cookie("refresh_token", tokens.refreshToken, {
+    maxAge: config.get("refresh_ms"),
+    httpOnly: true,
+  });
+};
+
+const startSession = async (res, user, meta) => {
+  const payload = {
+    id: user.id,
+    full_name: user.full_name,
+    email: user.email,
+    is_active: true,
+    role: user.role,
+    language: user.language,
+  };
+
+  const tokens = await sessions.create(user, payload, meta);
+
+  setTokenCookies(res, tokens);
+
+  res.status(200).send({ user: payload, ...tokens });
+};
+
+// Emails are written in the language chosen by the recipient, if any.
+const translateFor = (req, user) => (message, params) =>
+  i18n.translate(user.language || i18n.localeOf(req), message, params);
+
+const sendVerificationEmail = async (req, user) => {
+  const t = translateFor(req, user);
+
+  const { token, jti } = jwt.generatePurposeToken(
+    "verify-email",
+    { id: user.id },
+    config.get("verification_time")
+  );
+
+  user.email_verification = { jti, sent_at: new Date() };
+  await user.save();
+
+  const link = `${config.get("app_url")}/api/user/verify-email?token=${token}`;
+
+  await mail.send({
+    to: user.email,
+    subject: t("Confirm your email address"),
+    text: t(
+      "Hello {name},\n\nPlease confirm your email address by opening this link:\n{link}\n",
+      { name: user.full_name, link }
+    ),
+  });
+};
 
 /**
  * Registers a new user.
@@ -12,6 +101,7 @@ const mongoose = require("mongoose");
  * /user/signup:
  *   post:
  *     summary: Register a new user
+ *     description: Creates a pending account and emails it a single-use verification link. The user can sign in once the email address is verified.
  *     produces:
  *       - application/json
  *     parameters:
@@ -34,9 +124,13 @@ const mongoose = require("mongoose");
  *             password:
  *               type: string
  *               description: The password of the user
+ *             language:
+ *               type: string
+ *               enum: [en, ru, uz]
+ *               description: Language of the messages and emails, the Accept-Language header decides when it is not set
  *     responses:
  *       200:
- *         description: Successfully registered a new user
+ *         description: Successfully registered a new pending user
  *         schema:
  *           type: object
  *           properties:
@@ -52,15 +146,12 @@ const mongoose = require("mongoose");
  *                 email:
  *                   type: string
  *                   description: The email address of the user
- *                 password:
- *                   type: string
- *                   description: The password of the user
  *                 is_active:
  *                   type: boolean
  *                   description: The activation status of the user
- *             token:
+ *             message:
  *               type: string
- *               description: The authentication token of the user
+ *               description: Tells that a verification link was sent by email
  *       403:
  *         description: Gmail cannot be duplicated
  *         schema:
@@ -72,63 +163,55 @@ const mongoose = require("mongoose");
  *       500:
  *         description: Internal error occurred
  *         schema:
- *           type: object
- *           properties:
- *             message:
- *               type: string
- *               description: The error message
- *             friendlyMsg:
- *               type: string
- *               description: A friendly message to be displayed to the user
+ *           $ref: '#/components/schemas/Problem'
  */
 const signUp = async (req, res) => {
-  try {
-    const { full_name, email, password, is_active } = req.body;
-
-    const checkUnique = await User.findOne({ email });
-
-    if (checkUnique) {
-      return res.status(403).send({ message: "Gmail cannot be duplicated" });
-    }
+  const { full_name, email, password, language } = req.body;
 
-    const hashedPassword = bcrypt.hashSync(password, 7);
+  // A deleted account keeps its email until it is purged, so that it can
+  // be restored.
+  const checkUnique = await User.findOne({ email }).setOptions({
+    withDeleted: true,
+  });
 
-    const user = await User({
-      full_name,
-      email,
-      password: hashedPassword,
-      is_active: true,
+  if (checkUnique) {
+    throw new ForbiddenError("Gmail cannot be duplicated", {
+      code: "email_taken",
     });
+  }
 
-    await user.save();
+  const hashedPassword = bcrypt.hashSync(password, 7);
 
-    const payload = {
-      id: user._id,
-      full_name,
-      email,
-      password,
-      is_active,
-    };
+  const user = await User({
+    full_name,
+    email,
+    password: hashedPassword,
+    is_active: false,
+    language,
+  });
 
-    const tokens = jwt.generateTokens(payload);
+  await user.save();
 
-    const hashedToken = bcrypt.hashSync(tokens.token, 7);
+  await audit.record(req, "user.signup", {
+    actor: user._id,
+    target: { type: "user", id: user._id },
+    after: user,
+  });
 
-    user.token = hashedToken;
-    await user.save();
+  await sendVerificationEmail(req, user);
 
-    res.cookie("token", tokens.token, {
-      maxAge: config.get("token_ms"),
-      httpOnly: true,
-    });
+  const payload = {
+    id: user._id,
+    full_name,
+    email,
+    is_active: user.is_active,
+    role: user.role,
+    language: user.language,
+  };
 
-    res.status(200).send({ user: payload, ...tokens });
-  } catch (error) {
-    ApiError.internal(res, {
-      message: error,
-      friendlyMsg: "Internal Error",
-    });
-  }
+  res
+    .status(200)
+    .send({ user: payload, message: req.t("Verification email sent") });
 };
 
 /**
@@ -176,95 +259,639 @@ const signUp = async (req, res) => {
  *                 email:
  *                   type: string
  *                   description: The email address of the user
- *                 password:
- *                   type: string
- *                   description: The password of the user
  *                 is_active:
  *                   type: boolean
  *                   description: The activation status of the user
  *             token:
  *               type: string
- *               description: The authentication token of the user
- *       400:
- *         description: Password is incorrect
+ *               description: The short-lived access token of the user
+ *             refreshToken:
+ *               type: string
+ *               description: The long-lived refresh token of the user
+ *             mfa_required:
+ *               type: boolean
+ *               description: Set instead of the user and the tokens when the user has two-factor authentication on, see /user/signin/mfa
+ *             mfa_token:
+ *               type: string
+ *               description: The short-lived token to complete the sign in with
+ *       401:
+ *         description: Invalid email or password, the same answer for unknown emails and wrong passwords
  *         schema:
  *           type: object
  *           properties:
  *             message:
  *               type: string
  *               description: The error message
- *       404:
- *         description: User does not exist
+ *       403:
+ *         description: Email is not verified
  *         schema:
  *           type: object
  *           properties:
  *             message:
  *               type: string
  *               description: The error message
- *       500:
- *         description: Internal error occurred
+ *       429:
+ *         description: Too many failed attempts for the account or the IP address, see the Retry-After header
  *         schema:
  *           type: object
  *           properties:
  *             message:
  *               type: string
  *               description: The error message
- *             friendlyMsg:
- *               type: string
- *               description: A friendly message to be displayed to the user
+ *       500:
+ *         description: Internal error occurred
+ *         schema:
+ *           $ref: '#/components/schemas/Problem'
+ */
+
+const signIn = async (req, res) => {
+  const { email, password } = req.body;
+
+  const retryAfter = await loginAttempts.retryAfter(email, req.ip);
+
+  if (retryAfter > 0) {
+    await audit.record(req, "user.signin", {
+      outcome: "failure",
+      details: { email, reason: "locked" },
+    });
+
+    res.set("Retry-After", Math.ceil(retryAfter / 1000));
+
+    throw new TooManyRequestsError(
+      "Too many failed attempts, try again later",
+      { code: "too_many_attempts" }
+    );
+  }
+
+  const user = await User.findOne({ email: email });
+
+  // Unknown emails still pay for a hash comparison so that response times
+  // do not tell them apart from wrong passwords.
+  const validPassword = bcrypt.compareSync(
+    password,
+    user ? user.password : unknownUserHash
+  );
+
+  if (!user || !validPassword) {
+    await loginAttempts.fail(email, req.ip);
+
+    await audit.record(req, "user.signin", {
+      actor: user && user._id,
+      target: user ? { type: "user", id: user._id } : undefined,
+      outcome: "failure",
+      details: { email, reason: "invalid_credentials" },
+    });
+
+    throw new UnauthorizedError("Invalid email or password", {
+      code: "invalid_credentials",
+    });
+  }
+
+  if (!user.is_active) {
+    await audit.record(req, "user.signin", {
+      actor: user._id,
+      target: { type: "user", id: user._id },
+      outcome: "failure",
+      details: { email, reason: "email_not_verified" },
+    });
+
+    throw new ForbiddenError("Email is not verified", {
+      code: "email_not_verified",
+    });
+  }
+
+  // The failures are forgotten only once the second factor is passed too,
+  // so that its codes cannot be guessed without limit.
+  if (user.mfa.enabled) {
+    const { token } = jwt.generatePurposeToken(
+      "mfa",
+      { id: user.id, device: req.body.device },
+      config.get("mfa.pending_time")
+    );
+
+    return res.status(200).send({ mfa_required: true, mfa_token: token });
+  }
+
+  await loginAttempts.reset(email);
+
+  await audit.record(req, "user.signin", {
+    actor: user._id,
+    target: { type: "user", id: user._id },
+  });
+
+  await startSession(res, user, sessionMeta(req));
+};
+
+/**
+ * Completes the sign in of a user with two-factor authentication.
+ *
+ * @swagger
+ * /user/signin/mfa:
+ *   post:
+ *     summary: Complete a sign in with a second factor
+ *     description: Exchanges the mfa_token returned by the sign in and a code of the authenticator app, or one of the recovery codes, for the tokens of a new session. Wrong codes count as failed sign ins of the account.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfa_token
+ *               - code
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *                 description: The token returned by the sign in
+ *               code:
+ *                 type: string
+ *                 description: A code of the authenticator app or a recovery code
+ *     responses:
+ *       200:
+ *         description: Successfully authenticated user, the same answer as the sign in without a second factor
+ *       401:
+ *         description: The mfa_token is invalid or expired, or the code is wrong
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Invalid code
+ *       429:
+ *         description: Too many failed attempts for the account, see the Retry-After header
+ */
+const signInMfa = async (req, res) => {
+  const [error, decodedData] = await to(
+    jwt.verifyPurposeToken(req.body.mfa_token, "mfa")
+  );
+
+  if (error) {
+    throw new UnauthorizedError("Sign in again", { code: "mfa_token_invalid" });
+  }
+
+  const user = await mfa.findUser(decodedData.id);
+
+  if (!user || !user.mfa.enabled) {
+    throw new UnauthorizedError("Sign in again", { code: "mfa_token_invalid" });
+  }
+
+  const retryAfter = await loginAttempts.retryAfter(user.email, req.ip);
+
+  if (retryAfter > 0) {
+    await audit.record(req, "user.signin", {
+      actor: user._id,
+      target: { type: "user", id: user._id },
+      outcome: "failure",
+      details: { email: user.email, reason: "locked", mfa: true },
+    });
+
+    res.set("Retry-After", Math.ceil(retryAfter / 1000));
+
+    throw new TooManyRequestsError(
+      "Too many failed attempts, try again later",
+      { code: "too_many_attempts" }
+    );
+  }
+
+  if (!(await mfa.verify(user, req.body.code))) {
+    await loginAttempts.fail(user.email, req.ip);
+
+    await audit.record(req, "user.signin", {
+      actor: user._id,
+      target: { type: "user", id: user._id },
+      outcome: "failure",
+      details: { email: user.email, reason: "invalid_code", mfa: true },
+    });
+
+    throw new UnauthorizedError("Invalid code", { code: "invalid_code" });
+  }
+
+  await loginAttempts.reset(user.email);
+
+  await audit.record(req, "user.signin", {
+    actor: user._id,
+    target: { type: "user", id: user._id },
+    details: { mfa: true },
+  });
+
+  await startSession(res, user, {
+    ...sessionMeta(req),
+    device: decodedData.device,
+  });
+};
+
+/**
+ * @swagger
+ * /user/verify-email:
+ *   get:
+ *     summary: Verify the email address of a new user
+ *     description: Consumes the single-use link emailed at sign up or by the resend endpoint and activates the account.
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         description: The token of the verification link
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Email verified
+ *       400:
+ *         description: The link is invalid, expired or was already used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Verification link is invalid or expired
+ */
+const verifyEmail = async (req, res) => {
+  const [error, decodedData] = await to(
+    jwt.verifyPurposeToken(`${req.query.token}`, "verify-email")
+  );
+
+  if (error) {
+    throw new BadRequestError("Verification link is invalid or expired", {
+      code: "verification_link_invalid",
+    });
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: decodedData.id, "email_verification.jti": decodedData.jti },
+    {
+      is_active: true,
+      email_verified_at: new Date(),
+      $unset: { email_verification: "" },
+    }
+  );
+
+  if (!user) {
+    throw new BadRequestError("Verification link is invalid or expired", {
+      code: "verification_link_invalid",
+    });
+  }
+
+  await audit.record(req, "user.verify_email", {
+    actor: user._id,
+    target: { type: "user", id: user._id },
+    changes: { is_active: { from: false, to: true } },
+  });
+
+  res.status(200).send({ message: req.t("Email verified") });
+};
+
+/**
+ * @swagger
+ * /user/verify-email/resend:
+ *   post:
+ *     summary: Send a new verification link
+ *     description: Emails a new verification link to a pending account and invalidates the previous one. The answer does not tell whether the email belongs to a pending account.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 description: The email address of the account
+ *     responses:
+ *       200:
+ *         description: A link was sent if the account is pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Verification email sent
+ *       429:
+ *         description: A link was sent too recently, see the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Verification email was sent recently
+ */
+const resendVerificationEmail = async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email, is_active: false });
+
+  if (user) {
+    const sentAt = user.email_verification && user.email_verification.sent_at;
+    const retryAt = sentAt
+      ? sentAt.getTime() + config.get("verification_cooldown_ms")
+      : 0;
+
+    if (retryAt > Date.now()) {
+      res.set("Retry-After", Math.ceil((retryAt - Date.now()) / 1000));
+
+      throw new TooManyRequestsError("Verification email was sent recently", {
+        code: "verification_cooldown",
+      });
+    }
+
+    await sendVerificationEmail(req, user);
+
+    await audit.record(req, "user.verification_resend", {
+      actor: user._id,
+      target: { type: "user", id: user._id },
+    });
+  }
+
+  res.status(200).send({ message: req.t("Verification email sent") });
+};
+
+/**
+ * @swagger
+ * /user/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: Emails a time-limited, single-use password reset link. The answer is the same whether the email is registered or not.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 description: The email address of the account
+ *     responses:
+ *       200:
+ *         description: A link was sent if the email is registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: If the email is registered, a reset link was sent
+ */
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  if (user) {
+    const token = crypto.randomBytes(32).toString("hex");
+
+    user.password_reset = {
+      token: hashToken(token),
+      expires_at: new Date(Date.now() + config.get("password_reset_ms")),
+    };
+    await user.save();
+
+    await audit.record(req, "user.password_reset_request", {
+      actor: user._id,
+      target: { type: "user", id: user._id },
+    });
+
+    const link = `${config.get("password_reset_url")}?token=${token}`;
+    const t = translateFor(req, user);
+
+    await mail.send({
+      to: user.email,
+      subject: t("Reset your password"),
+      text: t(
+        "Hello {name},\n\nYou can choose a new password by opening this link:\n{link}\n\nIf you did not ask for it, you can ignore this email.\n",
+        { name: user.full_name, link }
+      ),
+    });
+  }
+
+  res.status(200).send({
+    message: req.t("If the email is registered, a reset link was sent"),
+  });
+};
+
+/**
+ * @swagger
+ * /user/reset-password:
+ *   post:
+ *     summary: Reset the password
+ *     description: Consumes a password reset token, sets the new password and signs the user out of every session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The token of the reset link
+ *               password:
+ *                 type: string
+ *                 description: The new password, it has to follow the password policy and differ from the recent ones
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Password changed
+ *       400:
+ *         description: The token is invalid, expired or was already used, or the password was used recently
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Reset link is invalid or expired
+ */
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  const filter = {
+    "password_reset.token": hashToken(token),
+    "password_reset.expires_at": { $gt: new Date() },
+  };
+
+  const current = await User.findOne(filter).select("+password_history");
+
+  if (!current) {
+    throw new BadRequestError("Reset link is invalid or expired", {
+      code: "reset_link_invalid",
+    });
+  }
+
+  if (passwordHistory.isReused(current, password)) {
+    throw passwordHistory.reusedError();
+  }
+
+  // The token is matched again so that it can only be consumed once.
+  const user = await User.findOneAndUpdate(filter, {
+    password: bcrypt.hashSync(password, 7),
+    password_history: passwordHistory.nextHistory(current),
+    $unset: { password_reset: "" },
+  });
+
+  if (!user) {
+    throw new BadRequestError("Reset link is invalid or expired", {
+      code: "reset_link_invalid",
+    });
+  }
+
+  await sessions.revoke({ user: user._id });
+
+  await audit.record(req, "user.password_reset", {
+    actor: user._id,
+    target: { type: "user", id: user._id },
+    changes: { password: { changed: true } },
+  });
+
+  res.status(200).send({ message: req.t("Password changed") });
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair.
+ *
+ * @swagger
+ * /user/refresh:
+ *   post:
+ *     summary: Rotate the refresh token
+ *     description: Issues a new access token and a new refresh token. The refresh token is read from the request body or from the refresh_token cookie and can be used only once. Presenting an already rotated refresh token revokes the whole session.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: The refresh token, if it is not sent as a cookie
+ *     responses:
+ *       200:
+ *         description: Tokens successfully rotated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   type: object
+ *                   description: The token payload of the user
+ *                 token:
+ *                   type: string
+ *                   description: The new access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: The new refresh token
+ *       400:
+ *         description: Refresh token does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Error message
+ *       401:
+ *         description: Refresh token is invalid, revoked or was already used. Reuse of a rotated token revokes its session.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Error message
  */
+const refresh = async (req, res) => {
+  const refreshToken = req.body.refreshToken || req.cookies.refresh_token;
 
-const signIn = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    const user = await User.findOne({ email: email });
+  if (!refreshToken) {
+    throw new BadRequestError("Refresh token does not exist", {
+      code: "refresh_token_missing",
+    });
+  }
 
-    if (!user) {
-      return res.status(404).send({ message: "User does not exist" });
-    }
+  const [error, decodedData] = await to(jwt.verifyRefresh(refreshToken));
 
-    const validPassword = bcrypt.compareSync(password, user.password);
+  if (error) {
+    throw new UnauthorizedError("Refresh token is invalid", {
+      code: "refresh_token_invalid",
+    });
+  }
 
-    if (!validPassword) {
-      return res.status(400).send({ message: "Password is incorrect" });
-    }
+  const { id, sid } = decodedData;
 
-    const payload = {
-      id: user.id,
-      full_name: user.full_name,
-      email: user.email,
-      password: user.password,
-      is_active: true,
-    };
+  const user = await User.findById(id);
 
-    const tokens = jwt.generateTokens(payload);
+  if (!user || !sid) {
+    throw new UnauthorizedError("Refresh token is revoked", {
+      code: "refresh_token_revoked",
+    });
+  }
 
-    const hashedToken = bcrypt.hashSync(tokens.token, 7);
+  const payload = {
+    id: user.id,
+    full_name: user.full_name,
+    email: user.email,
+    is_active: true,
+    role: user.role,
+    language: user.language,
+  };
 
-    user.token = hashedToken;
-    await user.save();
+  const tokens = await sessions.rotate(sid, refreshToken, payload);
 
-    res.cookie("token", tokens.token, {
-      maxAge: config.get("token_ms"),
-      httpOnly: true,
-    });
+  if (!tokens) {
+    res.clearCookie("token");
+    res.clearCookie("refresh_token");
 
-    res.status(200).send({ user: payload, ...tokens });
-  } catch (error) {
-    ApiError.internal(res, {
-      message: error,
-      friendlyMsg: "Internal Error",
-    });
+    throw new UnauthorizedError(
+      "Refresh token is revoked or was already used",
+      { code: "refresh_token_revoked" }
+    );
   }
+
+  setTokenCookies(res, tokens);
+
+  res.status(200).send({ user: payload, ...tokens });
 };
 
 /**
  * @swagger
- * /api/users/logout:
+ * /user/logout:
  *   post:
  *     summary: Logout user
- *     description: Logout user by removing token and updating user status
+ *     description: Revokes the session of the token or refresh_token cookie. Other sessions of the user stay signed in.
  *     produces:
  *       - application/json
  *     responses:
@@ -292,32 +919,46 @@ const signIn = async (req, res) => {
  *                   description: Error message
  */
 const logout = async (req, res) => {
-  try {
-    const { token } = req.cookies;
+  const { token, refresh_token } = req.cookies;
 
-    if (!token) {
-      return res.status(400).send({ message: "Token does not exist" });
-    }
+  if (!token && !refresh_token) {
+    throw new BadRequestError("Token does not exist", {
+      code: "token_missing",
+    });
+  }
 
-    const user = await User.findOneAndUpdate(
-      { token: token },
-      { token: "", is_active: false },
-      { new: true }
-    );
+  const [error, decodedData] = refresh_token
+    ? await to(jwt.verifyRefresh(refresh_token))
+    : await to(jwt.verifyAccess(token));
 
-    if (!user) {
-      return res.status(400).send({ message: "Token is invalid token" });
-    }
+  if (error || !decodedData.sid) {
+    throw new BadRequestError("Token is invalid token", {
+      code: "token_invalid",
+    });
+  }
 
-    res.clearCookie("token");
+  const revoked = await sessions.revoke({
+    _id: decodedData.sid,
+    user: decodedData.id,
+  });
 
-    res.status(200).send({ user: user, message: "Logout" });
-  } catch (error) {
-    ApiError.internal(res, {
-      message: error,
-      friendlyMsg: "Internal Error",
+  if (!revoked) {
+    throw new BadRequestError("Token is invalid token", {
+      code: "token_invalid",
     });
   }
+
+  const user = await User.findById(decodedData.id);
+
+  await audit.record(req, "user.logout", {
+    actor: decodedData.id,
+    target: { type: "session", id: decodedData.sid },
+  });
+
+  res.clearCookie("token");
+  res.clearCookie("refresh_token");
+
+  res.status(200).send({ user: user, message: req.t("Logout") });
 };
 
 /**
@@ -325,44 +966,102 @@ const logout = async (req, res) => {
  * /user:
  *   get:
  *     summary: Get all users
- *     description: Returns a list of all users
+ *     description: Returns a page of the users matching the filters
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         description: Comma separated fields among full_name, email, role and createdAt, prefixed with - for a descending order. Newest first by default.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: full_name
+ *         description: Part of the full name, case insensitive
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: email
+ *         description: Part of the email, case insensitive
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, manager, admin]
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date-time
  *     produces:
  *       - application/json
  *     responses:
  *       200:
- *         description: A list of users
+ *         description: A page of users
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/User'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *                 meta:
+ *                   $ref: '#/components/schemas/ListMeta'
+ *                 links:
+ *                   $ref: '#/components/schemas/ListLinks'
+ *       400:
+ *         description: Invalid query parameters
  *       500:
  *         description: Internal Server Error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   description: Error message
- *                 friendlyMsg:
- *                   type: string
- *                   description: Friendly error message
+ *               $ref: '#/components/schemas/Problem'
  */
 
 const getUsers = async (req, res) => {
-  try {
-    const users = await User.find({});
-
-    res.status(200).send(users);
-  } catch (error) {
-    ApiError.internal(res, {
-      message: error,
-      friendlyMsg: "Internal Error",
-    });
+  const { full_name, email, role, is_active, created_from, created_to } =
+    req.query;
+
+  const filter = {};
+
+  if (full_name) {
+    filter.full_name = { $regex: escapeRegExp(full_name), $options: "i" };
+  }
+
+  if (email) {
+    filter.email = { $regex: escapeRegExp(email), $options: "i" };
   }
+
+  if (role) {
+    filter.role = role;
+  }
+
+  if (is_active !== undefined) {
+    filter.is_active = is_active;
+  }
+
+  if (created_from || created_to) {
+    filter.createdAt = range(created_from, created_to);
+  }
+
+  const users = await paginate(User, { filter }, req, [["createdAt", -1]]);
+
+  res.status(200).send(users);
 };
 
 /**
@@ -412,37 +1111,25 @@ const getUsers = async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   description: Error message
- *                 friendlyMsg:
- *                   type: string
- *                   description: Friendly error message
+ *               $ref: '#/components/schemas/Problem'
  */
 
 const getUserById = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    if (!mongoose.isValidObjectId(`${id}`)) {
-      return res.status(400).send({ message: "Canceled, Invalid ID sent" });
-    }
+  const { id } = req.params;
 
-    const user = await User.findById(id);
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
 
-    if (!user) {
-      return res.status(404).send({ message: "User does not exist" });
-    }
+  const user = await User.findById(id);
 
-    res.status(200).send(user);
-  } catch (error) {
-    ApiError.internal(res, {
-      message: error,
-      friendlyMsg: "Internal Error",
-    });
+  if (!user) {
+    throw new NotFoundError("User does not exist", { code: "user_not_found" });
   }
+
+  res.status(200).send(user);
 };
 
 /**
@@ -474,6 +1161,10 @@ const getUserById = async (req, res) => {
  *             password:
  *               type: string
  *               description: Password of the user
+ *             language:
+ *               type: string
+ *               enum: [en, ru, uz]
+ *               description: Language of the messages, used instead of the Accept-Language header once signed in again
  *     security:
  *       - bearerAuth: []
  *     produces:
@@ -492,7 +1183,7 @@ const getUserById = async (req, res) => {
  *                 user:
  *                   $ref: '#/components/schemas/User'
  *       400:
- *         description: Invalid ID sent or User does not exist
+ *         description: Invalid ID sent or the password was used recently
  *         content:
  *           application/json:
  *             schema:
@@ -501,8 +1192,8 @@ const getUserById = async (req, res) => {
  *                 message:
  *                   type: string
  *                   description: Error message
- *       500:
- *         description: Internal Server Error
+ *       404:
+ *         description: User does not exist
  *         content:
  *           application/json:
  *             schema:
@@ -511,50 +1202,246 @@ const getUserById = async (req, res) => {
  *                 message:
  *                   type: string
  *                   description: Error message
- *                 friendlyMsg:
- *                   type: string
- *                   description: Friendly error message
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  */
 const updateUserById = async (req, res) => {
-  try {
-    const { id } = req.params;
+  const { id } = req.params;
 
-    if (!mongoose.isValidObjectId(`${id}`)) {
-      return res.status(400).send({ message: "Canceled, Invalid ID sent" });
-    }
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
 
-    const user = await User.findById(id);
+  const user = await User.findById(id).select("+password_history");
 
-    if (!user) {
-      return res.status(400).send({ message: "User is does not exists" });
-    }
+  if (!user) {
+    throw new NotFoundError("User does not exist", { code: "user_not_found" });
+  }
+
+  const { full_name, email, password, language } = req.body;
 
-    const { full_name, email } = req.body;
-    let { password } = req.body;
+  const payload = {
+    full_name: full_name || user.full_name,
+    email: email || user.email,
+  };
+
+  if (language) {
+    payload.language = language;
+  }
 
-    if (password) {
-      password = bcrypt.hashSync(password, 7);
+  if (password) {
+    if (passwordHistory.isReused(user, password)) {
+      throw passwordHistory.reusedError();
     }
 
-    const payload = {
-      full_name: full_name || user.full_name,
-      email: email || user.email,
-      password: password || user.password,
-    };
+    payload.password = bcrypt.hashSync(password, 7);
+    payload.password_history = passwordHistory.nextHistory(user);
+  }
+
+  const updatedUser = await User.findByIdAndUpdate({ _id: id }, payload, {
+    new: true,
+  });
+
+  await updatedUser.save();
+
+  await audit.record(req, "user.update", {
+    target: { type: "user", id: user._id },
+    before: user,
+    after: updatedUser,
+  });
+
+  res.status(200).send({ message: req.t("Updated"), user: updatedUser });
+};
+
+/**
+ * @swagger
+ * /user/{id}/role:
+ *   put:
+ *     summary: Change the role of a user
+ *     description: Assigns one of the user, manager or admin roles to a user. Only admins can change roles. The new role is carried by the tokens issued at the next sign in or refresh.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: ID of the user
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, manager, admin]
+ *                 description: The new role of the user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid ID or role sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: The caller is not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: User does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Error message
+ */
+const updateUserRole = async (req, res) => {
+  const { id } = req.params;
 
-    const updatedUser = await User.findByIdAndUpdate({ _id: id }, payload, {
-      new: true,
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
     });
+  }
+
+  const { role } = req.body;
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    throw new NotFoundError("User does not exist", { code: "user_not_found" });
+  }
+
+  const updatedUser = await User.findByIdAndUpdate(
+    { _id: id },
+    { role },
+    { new: true }
+  );
+
+  await audit.record(req, "user.role_update", {
+    target: { type: "user", id: user._id },
+    before: user,
+    after: updatedUser,
+  });
+
+  res.status(200).send({ message: req.t("Updated"), user: updatedUser });
+};
 
-    await updatedUser.save();
+/**
+ * @swagger
+ * /user/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user
+ *     description: Forgets the failed sign in attempts of a user, which lifts a lockout or backoff of the account. Only admins can unlock users.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: ID of the user
+ *         required: true
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Unlocked
+ *       400:
+ *         description: Invalid ID sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: The caller is not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: User does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Error message
+ */
+const unlockUser = async (req, res) => {
+  const { id } = req.params;
 
-    res.status(200).send({ message: "Updated", user: updatedUser });
-  } catch (error) {
-    ApiError.internal(res, {
-      message: error,
-      friendlyMsg: "Internal Error",
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
     });
   }
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    throw new NotFoundError("User does not exist", { code: "user_not_found" });
+  }
+
+  await loginAttempts.reset(user.email);
+
+  await audit.record(req, "user.unlock", {
+    target: { type: "user", id: user._id },
+  });
+
+  res.status(200).send({ message: req.t("Unlocked") });
 };
 
 /**
@@ -562,7 +1449,7 @@ const updateUserById = async (req, res) => {
  * /user/{id}:
  *   delete:
  *     summary: Delete a user by ID
- *     description: Deletes a user with the specified ID. Requires a valid user ID in the URL parameter.
+ *     description: Moves a user with the specified ID to the trash, where admins restore or purge it, and revokes its sessions and API keys. Requires a valid user ID in the URL parameter.
  *     parameters:
  *       - in: path
  *         name: id
@@ -605,7 +1492,7 @@ const updateUserById = async (req, res) => {
  *                       format: date-time
  *                       description: The date and time the user was last updated
  *       400:
- *         description: Bad request
+ *         description: Invalid ID sent
  *         content:
  *           application/json:
  *             schema:
@@ -614,43 +1501,60 @@ const updateUserById = async (req, res) => {
  *                 message:
  *                   type: string
  *                   description: An error message indicating what went wrong
+ *       404:
+ *         description: User does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Error message
  */
 
 const deleteUserById = async (req, res) => {
-  try {
-    const { id } = req.params;
+  const { id } = req.params;
 
-    if (!mongoose.isValidObjectId(`${id}`)) {
-      return res.status(400).send({ message: "Canceled, Invalid ID sent" });
-    }
+  if (!mongoose.isValidObjectId(`${id}`)) {
+    throw new BadRequestError("Canceled, Invalid ID sent", {
+      code: "invalid_id",
+    });
+  }
 
-    const user = await User.findById(id);
+  const user = await User.findById(id);
 
-    // if (req.user.id !== req.params.id) {
-    //   return res.send({ message: "Sizga ruxsat yo'q!" });
-    // }
+  if (!user) {
+    throw new NotFoundError("User does not exist", { code: "user_not_found" });
+  }
 
-    if (!user) {
-      return res.status(400).send({ message: "User was not found" });
-    }
+  const deletedUser = await User.softDeleteById(id);
+  await sessions.revoke({ user: id });
+  await apiKeys.revoke({ user: id });
 
-    await User.findByIdAndDelete(id);
+  await audit.record(req, "user.delete", {
+    target: { type: "user", id: user._id },
+    before: user,
+    after: deletedUser,
+  });
 
-    res.status(200).send({ message: "Deleted", user });
-  } catch (error) {
-    ApiError.internal(res, {
-      message: error,
-      friendlyMsg: "Internal Error",
-    });
-  }
+  res.status(200).send({ message: req.t("Deleted"), user });
 };
 
-module.exports = {
+module.exports = catchErrors({
   signUp,
   signIn,
+  signInMfa,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  refresh,
   logout,
   getUsers,
   getUserById,
   updateUserById,
+  updateUserRole,
+  unlockUser,
   deleteUserById,
-};
+});
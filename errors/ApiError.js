@@ -1,38 +1,44 @@
+const http = require("http");
+const i18n = require("../helpers/i18n");
+
+/**
+ * Error answered to the client as an RFC 7807 problem. Controllers and
+ * middlewares throw it, the error middleware renders it.
+ */
 class ApiError extends Error {
-  constructor(status, message) {
-    super();
+  /**
+   * ApiError constructor
+   * @param status HTTP status
+   * @param message `detail` of the problem, in English, with `{name}`
+   * placeholders for the `params` so that it can be translated
+   * @param options stable machine-readable `code` of the problem, `params`
+   * of the message, and extension members such as the `errors` of a
+   * validation
+   */
+  constructor(status, message, { code, params, ...extensions } = {}) {
+    super(i18n.format(message, params));
+    this.name = this.constructor.name;
     this.status = status;
-    this.message = message;
-  }
-  static badRequest(res, errorMessage) {
-    console.log(errorMessage.message);
-    return res.status(400).send({
-      friendlyMsg: errorMessage.friendlyMsg,
-    });
-  }
-  static unauthorized(res, errorMessage) {
-    console.log(errorMessage.message);
-    return res.status(401).send({
-      friendlyMsg: errorMessage.friendlyMsg,
-    });
+    this.code = code || "error";
+    this.template = message;
+    this.params = params;
+    this.extensions = extensions;
   }
-  static forbidden(res, errorMessage) {
-    console.log(errorMessage.message);
-    return res.status(403).send({
-      friendlyMsg: errorMessage.friendlyMsg,
-    });
-  }
-  static notFound(res, errorMessage) {
-    console.log(errorMessage.message);
-    return res.status(404).send({
-      friendlyMsg: errorMessage.friendlyMsg,
-    });
-  }
-  static internal(res, errorMessage) {
-    console.log(errorMessage.message);
-    return res.status(500).send({
-      friendlyMsg: errorMessage.friendlyMsg,
-    });
+
+  /**
+   * The problem details of the error
+   * @param locale language of the `title` and `detail`, English by default
+   * @returns {object}
+   */
+  toProblem(locale = i18n.defaultLocale) {
+    return {
+      type: "about:blank",
+      title: i18n.translate(locale, http.STATUS_CODES[this.status]),
+      status: this.status,
+      detail: i18n.translate(locale, this.template, this.params),
+      code: this.code,
+      ...this.extensions,
+    };
   }
 }
 
@@ -0,0 +1,71 @@
+const ApiError = require("./ApiError");
+const i18n = require("../helpers/i18n");
+
+// Errors by HTTP status, each with a default code that a more precise one
+// replaces, e.g. new NotFoundError("...", { code: "product_not_found" }).
+
+class BadRequestError extends ApiError {
+  constructor(message, { code = "bad_request", ...extensions } = {}) {
+    super(400, message, { code, ...extensions });
+  }
+}
+
+// Invalid request data, with an `errors` entry of `path`, `type` and
+// `message` for each problem
+class ValidationError extends BadRequestError {
+  constructor(message, errors) {
+    super(message, { code: "validation_failed", errors });
+  }
+
+  toProblem(locale) {
+    const problem = super.toProblem(locale);
+
+    problem.errors = problem.errors.map((error) => ({
+      ...error,
+      message: i18n.translate(locale, error.message),
+    }));
+
+    return problem;
+  }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(message, { code = "unauthorized", ...extensions } = {}) {
+    super(401, message, { code, ...extensions });
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(message, { code = "forbidden", ...extensions } = {}) {
+    super(403, message, { code, ...extensions });
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message, { code = "not_found", ...extensions } = {}) {
+    super(404, message, { code, ...extensions });
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(message, { code = "conflict", ...extensions } = {}) {
+    super(409, message, { code, ...extensions });
+  }
+}
+
+class TooManyRequestsError extends ApiError {
+  constructor(message, { code = "too_many_requests", ...extensions } = {}) {
+    super(429, message, { code, ...extensions });
+  }
+}
+
+module.exports = {
+  ApiError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+};
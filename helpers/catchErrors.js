@@ -0,0 +1,13 @@
+/**
+ * Hands the errors of async handlers over to the error middleware, Express 4
+ * only catches the ones thrown synchronously
+ * @param handlers by name
+ * @returns {object} the same handlers, by name
+ */
+module.exports = (handlers) =>
+  Object.fromEntries(
+    Object.entries(handlers).map(([name, handler]) => [
+      name,
+      (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next),
+    ])
+  );
@@ -1,10 +1,11 @@
 const Joi = require("joi");
+const logger = require("./logger");
 
 const emailValidation = (email) => {
   const response = Joi.string().email().validate(email);
 
   if (response.error) {
-    console.log(response.error);
+    logger.debug(response.error.message);
     return false;
   }
 
@@ -0,0 +1,9 @@
+const crypto = require("crypto");
+
+// bcrypt only looks at the first 72 bytes, which two JWTs signed for the same
+// user share, so tokens are fingerprinted with sha256 instead.
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(`${token}`).digest("hex");
+};
+
+module.exports = hashToken;
@@ -0,0 +1,112 @@
+const fs = require("fs");
+const path = require("path");
+const Joi = require("joi");
+
+// Messages are written in English in the code, which is the fallback.
+const defaultLocale = "en";
+
+// One catalog per language, from the English messages to their translation:
+// { "Product does not exist": "Товар не существует" }.
+const catalogs = Object.fromEntries(
+  fs
+    .readdirSync(path.join(__dirname, "../locales"))
+    .filter((file) => path.extname(file) === ".json")
+    .map((file) => [
+      path.basename(file, ".json"),
+      require(path.join(__dirname, "../locales", file)),
+    ])
+);
+
+const locales = [defaultLocale, ...Object.keys(catalogs)];
+
+/**
+ * Fill the `{name}` placeholders of a message
+ * @param message
+ * @param params values by name
+ * @returns {string}
+ */
+const format = (message, params = {}) =>
+  message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params.hasOwnProperty(name) ? `${params[name]}` : placeholder
+  );
+
+/**
+ * Translate an English message, kept as is when the catalog misses it
+ * @param locale one of `locales`
+ * @param message English message, with `{name}` placeholders
+ * @param params values of the placeholders
+ * @returns {string}
+ */
+const translate = (locale, message, params) => {
+  const catalog = catalogs[locale] || {};
+
+  return format(catalog[message] || message, params);
+};
+
+/**
+ * Language of the answers to a request: the one chosen by the authenticated
+ * user, else the best match of its Accept-Language header, else English
+ * @param req
+ * @returns {string}
+ */
+const localeOf = (req) => {
+  const preferred = req.user && req.user.language;
+
+  if (locales.includes(preferred)) {
+    return preferred;
+  }
+
+  return req.acceptsLanguages(...locales) || defaultLocale;
+};
+
+const translations = (templates) =>
+  Object.fromEntries(
+    Object.keys(catalogs).map((locale) => [
+      locale,
+      Object.fromEntries(
+        Object.entries(templates)
+          .filter(([, template]) => catalogs[locale][template])
+          .map(([code, template]) => [code, catalogs[locale][template]])
+      ),
+    ])
+  );
+
+/**
+ * Custom messages of a Joi schema with their translations, for `.messages()`.
+ * Joi prefers the messages of the language over these English ones.
+ * @param templates English Joi templates by error code
+ * @returns {object}
+ */
+const joiMessages = (templates) => ({
+  ...templates,
+  ...translations(templates),
+});
+
+// Translations of the built-in messages of Joi, by language and error code,
+// for the `messages` option of a validation.
+const joiDefaults = translations(
+  Object.fromEntries(
+    [
+      "any",
+      "alternatives",
+      "array",
+      "boolean",
+      "date",
+      "number",
+      "object",
+      "string",
+    ]
+      .flatMap((type) => Object.entries(Joi[type]()._definition.messages))
+      .map(([code, template]) => [code, template.source])
+  )
+);
+
+module.exports = {
+  defaultLocale,
+  locales,
+  format,
+  translate,
+  localeOf,
+  joiMessages,
+  joiDefaults,
+};
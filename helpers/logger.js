@@ -0,0 +1,120 @@
+const config = require("config");
+const winston = require("winston");
+const requestContext = require("./requestContext");
+
+const options = {
+  level: "info",
+  format: "json",
+  silent: false,
+  ...(config.has("logging") ? config.get("logging") : {}),
+};
+
+const REDACTED = "[REDACTED]";
+
+// Keys whose values never reach the logs, at any depth.
+const secretKey =
+  /password|passwd|token|secret|authorization|cookie|api[-_]?key|verifier|recovery|^code$/i;
+
+// Same values sent in query strings, e.g. /verify-email?token=...
+const secretParam =
+  /([?&][^=&#]*(?:password|token|secret|key|code|verifier)[^=&#]*=)[^&#\s]*/gi;
+
+const redact = (value, seen = new WeakSet()) => {
+  if (typeof value === "string") {
+    return value.replace(secretParam, `$1${REDACTED}`);
+  }
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redact(value.message, seen),
+      stack: redact(value.stack, seen),
+    };
+  }
+
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return "[Circular]";
+  }
+
+  seen.add(value);
+
+  // Dates, ObjectIds and documents log as their JSON.
+  if (!Array.isArray(value) && typeof value.toJSON === "function") {
+    return redact(value.toJSON(), seen);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      secretKey.test(key) ? REDACTED : redact(item, seen),
+    ])
+  );
+};
+
+// The ID of the request being handled, on every entry.
+const withRequestId = winston.format((info) => {
+  const store = requestContext.getStore();
+
+  if (store && info.request_id === undefined) {
+    info.request_id = store.requestId;
+  }
+
+  return info;
+});
+
+// Entries keep their symbols, winston reads the level and message from them.
+const redaction = winston.format((info) => {
+  Object.keys(info).forEach((key) => {
+    info[key] = secretKey.test(key) ? REDACTED : redact(info[key]);
+  });
+
+  return info;
+});
+
+const formats = {
+  json: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  // Readable lines for development
+  pretty: winston.format.combine(
+    winston.format.colorize(),
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      const rest = Object.keys(meta).length ? ` ${JSON.stringify(meta)}` : "";
+
+      return `${timestamp} ${level}: ${message}${rest}`;
+    })
+  ),
+};
+
+if (!formats.hasOwnProperty(options.format)) {
+  throw new Error(`'${options.format}' log format is not exist`);
+}
+
+/**
+ * Application logger, writing to the console with the `logging` settings:
+ * `level`, `format` ("json" or "pretty") and `silent`. Entries carry the ID
+ * of the request being handled; passwords, tokens, secrets and cookies are
+ * redacted.
+ */
+const logger = winston.createLogger({
+  level: options.level,
+  silent: options.silent,
+  format: winston.format.combine(
+    withRequestId(),
+    redaction(),
+    formats[options.format]
+  ),
+  transports: [new winston.transports.Console()],
+});
+
+module.exports = logger;
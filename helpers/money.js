@@ -0,0 +1,145 @@
+// Active ISO 4217 currencies by their number of decimals, the exponent of
+// their minor unit. Most currencies have two.
+const exponents = {
+  0: "BIF CLP DJF GNF ISK JPY KMF KRW PYG RWF UGX UYI VND VUV XAF XOF XPF",
+  2: `AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BMD BND BOB BOV
+    BRL BSD BTN BWP BYN BZD CAD CDF CHE CHF CHW CNY COP COU CRC CUP CVE CZK DKK
+    DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD GTQ GYD HKD HNL HTG HUF
+    IDR ILS INR IRR JMD KES KGS KHR KPW KYD KZT LAK LBP LKR LRD LSL MAD MDL MGA
+    MKD MMK MNT MOP MRU MUR MVR MWK MXN MXV MYR MZN NAD NGN NIO NOK NPR NZD PAB
+    PEN PGK PHP PKR PLN QAR RON RSD RUB SAR SBD SCR SDG SEK SGD SHP SLE SOS SRD
+    SSP STN SVC SYP SZL THB TJS TMT TOP TRY TTD TWD TZS UAH USD USN UYU UZS VED
+    VES WST XCD XCG YER ZAR ZMW ZWG`,
+  3: "BHD IQD JOD KWD LYD OMR TND",
+  4: "CLF UYW",
+};
+
+const digitsByCurrency = {};
+
+Object.entries(exponents).forEach(([digits, codes]) => {
+  codes.split(/\s+/).forEach((code) => {
+    digitsByCurrency[code] = Number(digits);
+  });
+});
+
+const currencies = Object.keys(digitsByCurrency).sort();
+
+// Non-negative decimal amount, e.g. "12.50"
+const DECIMAL = /^(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Number of decimals of a currency
+ * @param currency ISO 4217 code
+ * @returns {number}
+ */
+const digitsOf = (currency) => {
+  if (!digitsByCurrency.hasOwnProperty(currency)) {
+    throw new Error(`'${currency}' currency is not exist`);
+  }
+
+  return digitsByCurrency[currency];
+};
+
+/**
+ * Convert a decimal amount to an integer of minor units, without floating
+ * point rounding: "12.50" USD is 1250
+ * @param amount decimal string or number
+ * @param currency ISO 4217 code
+ * @returns {number}
+ * @throws {RangeError} when the amount is not a decimal, has more decimals
+ * than the currency or is too large
+ */
+const toMinor = (amount, currency) => {
+  const digits = digitsOf(currency);
+  const match = DECIMAL.exec(`${amount}`.trim());
+
+  if (!match) {
+    throw new RangeError(`'${amount}' is not a decimal amount`);
+  }
+
+  const [, units, decimals = ""] = match;
+  const significant = decimals.replace(/0+$/, "");
+
+  if (significant.length > digits) {
+    throw new RangeError(
+      `'${amount}' has more than ${digits} decimals in ${currency}`
+    );
+  }
+
+  const minor = Number(units + significant.padEnd(digits, "0"));
+
+  if (!Number.isSafeInteger(minor)) {
+    throw new RangeError(`'${amount}' is too large`);
+  }
+
+  return minor;
+};
+
+/**
+ * Write minor units as a decimal with all the decimals of the currency:
+ * 1250 USD is "12.50"
+ * @param minor
+ * @param currency ISO 4217 code
+ * @returns {string}
+ */
+const toDecimal = (minor, currency) => {
+  const digits = digitsOf(currency);
+  const padded = `${minor}`.padStart(digits + 1, "0");
+
+  if (!digits) {
+    return padded;
+  }
+
+  return `${padded.slice(0, -digits)}.${padded.slice(-digits)}`;
+};
+
+/**
+ * Format minor units for display, e.g. "$12.50"
+ * @param minor
+ * @param currency ISO 4217 code
+ * @param locale
+ * @returns {string}
+ */
+const format = (minor, currency, locale = "en") => {
+  const digits = digitsOf(currency);
+
+  return new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(toDecimal(minor, currency));
+};
+
+/**
+ * Aggregation expression of a price in major units, from fields with the
+ * minor units and the currency
+ * @param minorField e.g. "$price"
+ * @param currencyField e.g. "$currency"
+ * @returns {object}
+ */
+const majorAmount = (minorField, currencyField) => ({
+  $divide: [
+    minorField,
+    {
+      $switch: {
+        branches: Object.entries(exponents)
+          .filter(([digits]) => digits !== "2")
+          .map(([digits, codes]) => ({
+            case: { $in: [currencyField, codes.split(/\s+/)] },
+            then: 10 ** digits,
+          })),
+        default: 100,
+      },
+    },
+  ],
+});
+
+module.exports = {
+  currencies,
+  digitsOf,
+  toMinor,
+  toDecimal,
+  format,
+  majorAmount,
+};
@@ -0,0 +1,13 @@
+// Permissions of policies/index.js that OAuth clients can ask for, with the
+// text of the consent screen.
+const oauthScopes = {
+  "profile:read": "See your name and email address",
+  "product:create": "Create products in your name",
+  "product:update": "Update the products you created",
+  "product:delete": "Delete the products you created",
+  "inventory:manage": "Change the stock of the products you created",
+  "inventory:reserve": "Reserve products in your name",
+  "reservation:manage": "Commit and release your reservations",
+};
+
+module.exports = oauthScopes;
@@ -0,0 +1,175 @@
+const encodeCursor = (cursor) =>
+  Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+// The _id breaks ties, so that every document has a single place in the order.
+const withTieBreaker = (sort) =>
+  sort.some(([field]) => field === "_id") ? sort : [...sort, ["_id", 1]];
+
+// Aggregations answer plain objects instead of documents.
+const valueOf = (document, field) =>
+  typeof document.get === "function" ? document.get(field) : document[field];
+
+const cursorOf = (document, sort, direction) =>
+  encodeCursor({
+    sort,
+    direction,
+    values: sort.map(([field]) => valueOf(document, field)),
+  });
+
+// Documents after (or before) the cursor in the sort order: the first field
+// that is not equal to the one of the cursor decides.
+const keysetFilter = ({ sort, values, direction }) => ({
+  $or: sort.map(([field, order], index) => {
+    const after = (direction === "next") === (order === 1);
+    const condition = { [field]: { [after ? "$gt" : "$lt"]: values[index] } };
+
+    sort.slice(0, index).forEach(([previous], i) => {
+      condition[previous] = values[i];
+    });
+
+    return condition;
+  }),
+});
+
+const serializeSort = (sort) =>
+  sort.map(([field, order]) => (order === -1 ? `-${field}` : field)).join(",");
+
+// Same listing with other page parameters; cursors carry their own sort.
+const link = (req, params) => {
+  const { page, cursor, sort, ...filters } = req.query;
+  const search = new URLSearchParams();
+
+  if (sort && params.page) {
+    filters.sort = serializeSort(sort);
+  }
+
+  Object.entries({ ...filters, ...params }).forEach(([name, value]) => {
+    search.set(name, value instanceof Date ? value.toISOString() : value);
+  });
+
+  return `${req.baseUrl}${req.path}?${search.toString()}`;
+};
+
+// Pipeline stages computing fields to sort on, e.g. a relevance score. The
+// keyset filter is cast by hand, aggregations do not cast their stages.
+const aggregate = (Model, { filter, pipeline, select }, keyset, options) => {
+  const stages = [{ $match: filter }, ...pipeline];
+
+  if (keyset) {
+    stages.push({ $match: Model.find().cast(Model, keyset) });
+  }
+
+  stages.push({ $sort: options.sort });
+
+  if (options.skip) {
+    stages.push({ $skip: options.skip });
+  }
+
+  stages.push({ $limit: options.limit });
+
+  if (select) {
+    stages.push({ $project: select });
+  }
+
+  return Model.aggregate(stages);
+};
+
+/**
+ * Lists the documents matching a filter, a page at a time. Pages are taken
+ * by number with `page`, or after/before a document with a `cursor` that
+ * keeps working while documents are added. The answer carries the total,
+ * the cursors of the neighbouring pages and links to them.
+ * @param Model
+ * @param options `filter` of the documents, an optional `select` and an
+ * optional aggregation `pipeline` adding the fields to sort on; documents
+ * are then answered as plain objects
+ * @param req validated query with `page`, `limit`, `cursor` and `sort`
+ * @param defaultSort e.g. [["createdAt", -1]]
+ * @returns {Promise<{data: *[], meta: object, links: object}>}
+ */
+module.exports = async function paginate(
+  Model,
+  { filter = {}, select, pipeline },
+  req,
+  defaultSort
+) {
+  const { page, limit, cursor } = req.query;
+  const sort = cursor
+    ? cursor.sort
+    : withTieBreaker(req.query.sort || defaultSort);
+  const backwards = !!cursor && cursor.direction === "prev";
+
+  const order = Object.fromEntries(
+    sort.map(([field, direction]) => [
+      field,
+      backwards ? -direction : direction,
+    ])
+  );
+
+  const skip = cursor ? 0 : ((page || 1) - 1) * limit;
+  let documentsQuery;
+
+  if (pipeline) {
+    documentsQuery = aggregate(
+      Model,
+      { filter, pipeline, select },
+      cursor && keysetFilter(cursor),
+      { sort: order, skip, limit: limit + 1 }
+    );
+  } else {
+    documentsQuery = Model.find(
+      cursor ? { $and: [filter, keysetFilter(cursor)] } : filter
+    )
+      .sort(order)
+      .skip(skip)
+      .limit(limit + 1);
+
+    if (select) {
+      documentsQuery = documentsQuery.select(select);
+    }
+  }
+
+  const [documents, total] = await Promise.all([
+    documentsQuery,
+    Model.countDocuments(filter),
+  ]);
+
+  const hasMore = documents.length > limit;
+  const data = documents.slice(0, limit);
+
+  if (backwards) {
+    data.reverse();
+  }
+
+  const first = data[0];
+  const last = data[data.length - 1];
+
+  // Pages before a cursor have more after them and vice versa.
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = cursor ? !backwards || hasMore : (page || 1) > 1;
+
+  const meta = {
+    total,
+    limit,
+    next_cursor: hasNext && last ? cursorOf(last, sort, "next") : null,
+    prev_cursor: hasPrev && first ? cursorOf(first, sort, "prev") : null,
+  };
+
+  const links = {};
+
+  if (cursor) {
+    links.self = link(req, { cursor: encodeCursor(cursor) });
+    links.next = meta.next_cursor && link(req, { cursor: meta.next_cursor });
+    links.prev = meta.prev_cursor && link(req, { cursor: meta.prev_cursor });
+  } else {
+    meta.page = page || 1;
+    meta.pages = Math.ceil(total / limit);
+
+    links.self = link(req, { page: meta.page });
+    links.next =
+      meta.page < meta.pages ? link(req, { page: meta.page + 1 }) : null;
+    links.prev = meta.page > 1 ? link(req, { page: meta.page - 1 }) : null;
+  }
+
+  return { data, meta, links };
+};
@@ -0,0 +1,49 @@
+const bcrypt = require("bcryptjs");
+const config = require("config");
+const { ValidationError } = require("../errors");
+
+// The current password counts as the first entry of the history.
+const historySize = config.get("password_policy.history");
+
+/**
+ * Whether the password is the current one or one of the remembered ones
+ * @param user document selected with `+password_history`
+ * @param password plain text
+ * @returns {boolean}
+ */
+const isReused = (user, password) => {
+  if (historySize < 1) {
+    return false;
+  }
+
+  const hashes = [user.password, ...(user.password_history || [])];
+
+  return hashes
+    .slice(0, historySize)
+    .some((hash) => bcrypt.compareSync(password, hash));
+};
+
+/**
+ * History to store once the current password is replaced
+ * @param user document selected with `+password_history`
+ * @returns {string[]}
+ */
+const nextHistory = (user) => {
+  return [user.password, ...(user.password_history || [])].slice(
+    0,
+    Math.max(historySize - 1, 0)
+  );
+};
+
+// Same shape as the errors of the validator middleware.
+const reusedError = () => {
+  return new ValidationError('"password" was used recently', [
+    {
+      path: "password",
+      type: "password.reused",
+      message: '"password" was used recently',
+    },
+  ]);
+};
+
+module.exports = { isReused, nextHistory, reusedError };
@@ -0,0 +1,20 @@
+// Mongo condition of a range with optional bounds, undefined without any.
+const range = (min, max) => {
+  if (min === undefined && max === undefined) {
+    return undefined;
+  }
+
+  const condition = {};
+
+  if (min !== undefined) {
+    condition.$gte = min;
+  }
+
+  if (max !== undefined) {
+    condition.$lte = max;
+  }
+
+  return condition;
+};
+
+module.exports = range;
@@ -0,0 +1,5 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// State of the request being handled, e.g. its ID for the logs, reachable
+// from any code it runs.
+module.exports = new AsyncLocalStorage();
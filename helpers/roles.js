@@ -0,0 +1,3 @@
+const roles = ["user", "manager", "admin"];
+
+module.exports = roles;
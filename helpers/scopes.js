@@ -0,0 +1,11 @@
+// Permissions of policies/index.js that API keys can be given.
+const scopes = [
+  "product:create",
+  "product:update",
+  "product:delete",
+  "inventory:manage",
+  "inventory:reserve",
+  "reservation:manage",
+];
+
+module.exports = scopes;
@@ -0,0 +1,116 @@
+// Queries that touch documents, trashed ones are left out of all of them.
+const queries = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "countDocuments",
+  "distinct",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+];
+
+// Whether a filter asks for deletedAt itself, at its top level or in one of
+// its $and conditions, e.g. the ones of paginated listings.
+const namesDeletedAt = (filter) =>
+  Object.prototype.hasOwnProperty.call(filter, "deletedAt") ||
+  (Array.isArray(filter.$and) && filter.$and.some(namesDeletedAt));
+
+/**
+ * Schema plugin keeping deleted documents in a trash: deleting sets
+ * `deletedAt` and every query then leaves them out, unless its filter names
+ * `deletedAt` or it is run with the `withDeleted` option. Documents in the
+ * trash are restored or purged for good.
+ * @param schema
+ */
+module.exports = function softDelete(schema) {
+  schema.add({ deletedAt: { type: Date, default: null, index: true } });
+
+  schema.pre(queries, { query: true, document: false }, function () {
+    const options = this.getOptions();
+
+    if (options.withDeleted) {
+      delete options.withDeleted;
+
+      return;
+    }
+
+    if (!namesDeletedAt(this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  // $text and $geoNear stages must come first, the condition joins the first
+  // $match instead of preceding it.
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) {
+      delete this.options.withDeleted;
+
+      return;
+    }
+
+    const pipeline = this.pipeline();
+    const [first] = pipeline;
+
+    if (first && first.$match) {
+      if (!namesDeletedAt(first.$match)) {
+        first.$match = { ...first.$match, deletedAt: null };
+      }
+    } else if (!(first && first.$geoNear)) {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  /**
+   * Move a document to the trash
+   * @param id
+   * @returns {Promise<*>} the document, or null when there is no such
+   * document out of the trash
+   */
+  schema.static("softDeleteById", function (id) {
+    return this.findOneAndUpdate(
+      { _id: id },
+      { deletedAt: new Date() },
+      { new: true }
+    );
+  });
+
+  /**
+   * Take a document out of the trash
+   * @param id
+   * @returns {Promise<*>} the document, or null when it is not in the trash
+   */
+  schema.static("restoreById", function (id) {
+    return this.findOneAndUpdate(
+      { _id: id, deletedAt: { $ne: null } },
+      { deletedAt: null },
+      { new: true }
+    );
+  });
+
+  /**
+   * Delete a document of the trash for good
+   * @param id
+   * @returns {Promise<*>} the document, or null when it is not in the trash
+   */
+  schema.static("purgeById", function (id) {
+    return this.findOneAndDelete({ _id: id, deletedAt: { $ne: null } });
+  });
+
+  /**
+   * Delete for good the documents trashed before a date
+   * @param date
+   * @returns {Promise<number>} the number of purged documents
+   */
+  schema.static("purgeDeletedBefore", async function (date) {
+    const { deletedCount } = await this.deleteMany({
+      deletedAt: { $lte: date },
+    });
+
+    return deletedCount;
+  });
+};
@@ -0,0 +1,103 @@
+const {
+  BadRequestError,
+  ForbiddenError,
+  UnauthorizedError,
+} = require("../errors");
+const jwt = require("../services/JwtService");
+const sessions = require("../services/SessionService");
+const oauth = require("../services/OAuthService");
+const to = require("../helpers/functionHandler");
+
+/**
+ * Authenticates the Bearer token of a session. With `clients`, access tokens
+ * issued to OAuth clients are accepted too; they are not bound to a session,
+ * are limited to their scopes and lapse with their client or consent.
+ * @param clients
+ */
+const authenticate = ({ clients }) =>
+  async function (req, res, next) {
+    if (req.method === "OPTIONS") {
+      return next();
+    }
+
+    try {
+      const { authorization } = req.headers;
+
+      if (!authorization) {
+        return next(
+          new ForbiddenError("User is not registered", {
+            code: "not_authenticated",
+          })
+        );
+      }
+
+      const bearer = authorization.split(" ")[0];
+      const token = authorization.split(" ")[1];
+
+      if (!token || bearer !== "Bearer") {
+        return next(
+          new ForbiddenError("User is not registered", {
+            code: "not_authenticated",
+          })
+        );
+      }
+
+      const [error, decodedData] = await to(jwt.verifyAccess(token));
+
+      if (error) {
+        return next(
+          new BadRequestError(error.message, { code: "token_invalid" })
+        );
+      }
+
+      if (decodedData.client_id) {
+        if (!clients) {
+          return next(
+            new ForbiddenError("Client tokens are not accepted here", {
+              code: "client_token_not_accepted",
+            })
+          );
+        }
+
+        if (!(await oauth.isGranted(decodedData))) {
+          return next(
+            new UnauthorizedError("Client access is revoked", {
+              code: "client_access_revoked",
+            })
+          );
+        }
+
+        // Clients acting for a user have the rights of a plain user, whatever
+        // role the token was issued with.
+        req.user = decodedData.id
+          ? { ...decodedData, role: "user" }
+          : decodedData;
+
+        return next();
+      }
+
+      const session =
+        decodedData.sid && (await sessions.touch(decodedData.sid));
+
+      if (!session) {
+        return next(
+          new UnauthorizedError("Session is revoked", {
+            code: "session_revoked",
+          })
+        );
+      }
+
+      req.user = { ...decodedData, role: decodedData.role || "user" };
+
+      next();
+    } catch (error) {
+      return next(
+        new ForbiddenError("User is unauthorized", {
+          code: "authentication_failed",
+        })
+      );
+    }
+  };
+
+module.exports = authenticate({ clients: false });
+module.exports.allowingClients = authenticate({ clients: true });
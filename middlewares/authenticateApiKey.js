@@ -0,0 +1,37 @@
+const { ForbiddenError, UnauthorizedError } = require("../errors");
+const apiKeys = require("../services/ApiKeyService");
+
+module.exports = async function (req, res, next) {
+  try {
+    const result = await apiKeys.authenticate(req.get("x-api-key"), req.ip);
+
+    if (!result) {
+      return next(
+        new UnauthorizedError("API key is invalid or revoked", {
+          code: "api_key_invalid",
+        })
+      );
+    }
+
+    const { apiKey, user } = result;
+
+    // The role comes from the user, the key can only narrow it down.
+    req.user = {
+      id: user.id,
+      full_name: user.full_name,
+      email: user.email,
+      role: user.role,
+      language: user.language,
+      api_key: apiKey.id,
+      scopes: apiKey.scopes,
+    };
+
+    next();
+  } catch (error) {
+    return next(
+      new ForbiddenError("User is unauthorized", {
+        code: "authentication_failed",
+      })
+    );
+  }
+};
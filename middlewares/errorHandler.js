@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+const logger = require("../helpers/logger");
+const i18n = require("../helpers/i18n");
+const {
+  ApiError,
+  BadRequestError,
+  ValidationError,
+  ConflictError,
+} = require("../errors");
+
+const joiErrors = (error) =>
+  error.details.map((detail) => ({
+    path: detail.path.join("."),
+    type: detail.type,
+    message: detail.message,
+  }));
+
+// Errors of the libraries as the ones of the API; undefined for the
+// unexpected ones.
+const toApiError = (error) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  if (error.isJoi) {
+    return new ValidationError(error.message, joiErrors(error));
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return new BadRequestError('"{path}" must be a valid {kind}', {
+      code: "invalid_value",
+      params: { path: error.path, kind: error.kind },
+    });
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(
+      error.message,
+      Object.values(error.errors).map((item) => ({
+        path: item.path,
+        type: item.kind,
+        message: item.message,
+      }))
+    );
+  }
+
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+
+    return new ConflictError("{fields} already exists", {
+      code: "duplicate_key",
+      params: { fields: fields.join(", ") || "Value" },
+      fields,
+    });
+  }
+
+  // body-parser, e.g. malformed JSON or a too large body
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new ApiError(error.status, error.message, {
+      code: error.type ? error.type.replace(/\./g, "_") : undefined,
+    });
+  }
+
+  return undefined;
+};
+
+/**
+ * Answers every error as an RFC 7807 `application/problem+json` document
+ * with a stable `code`, the `request_id` and, for existing clients, the
+ * `detail` as `message` too, in the language of the request. Unexpected
+ * errors are logged and answered as a 500 without their detail.
+ */
+module.exports = function (error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  let apiError = toApiError(error);
+
+  if (!apiError) {
+    logger.error("Internal Error", { error });
+
+    apiError = new ApiError(500, "Internal Error", { code: "internal_error" });
+  }
+
+  const locale = i18n.localeOf(req);
+  const problem = apiError.toProblem(locale);
+
+  res
+    .status(problem.status)
+    .set("Content-Language", locale)
+    .vary("Accept-Language")
+    .type("application/problem+json")
+    .json({
+      ...problem,
+      message: problem.detail,
+      instance: `${req.baseUrl}${req.path}`,
+      request_id: req.id,
+    });
+};
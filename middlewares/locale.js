@@ -0,0 +1,20 @@
+const i18n = require("../helpers/i18n");
+
+/**
+ * Gives the handlers `req.t(message, params)`, translating a message to the
+ * language of the request. The language is looked up on each call, the user
+ * is only known once authenticated.
+ */
+module.exports = function (req, res, next) {
+  res.vary("Accept-Language");
+
+  req.t = (message, params) => {
+    const locale = i18n.localeOf(req);
+
+    res.set("Content-Language", locale);
+
+    return i18n.translate(locale, message, params);
+  };
+
+  next();
+};
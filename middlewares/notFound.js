@@ -0,0 +1,11 @@
+const { NotFoundError } = require("../errors");
+
+// Requests that no route answered
+module.exports = function (req, res, next) {
+  next(
+    new NotFoundError("{method} {path} route does not exist", {
+      code: "route_not_found",
+      params: { method: req.method, path: req.path },
+    })
+  );
+};
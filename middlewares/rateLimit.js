@@ -0,0 +1,119 @@
+const config = require("config");
+const jwt = require("../services/JwtService");
+const apiKeys = require("../services/ApiKeyService");
+const to = require("../helpers/functionHandler");
+const logger = require("../helpers/logger");
+const { TooManyRequestsError } = require("../errors");
+const createRateLimitStore = require("../services/rateLimit");
+
+const store = createRateLimitStore(config.get("rate_limit.store"));
+
+const algorithms = {
+  "fixed-window": "fixedWindow",
+  "token-bucket": "tokenBucket",
+};
+
+const keys = {
+  ip: async (req) => req.ip,
+  user: async (req) => {
+    if (req.user) {
+      return req.user.id;
+    }
+
+    const [bearer, token] = `${req.headers.authorization}`.split(" ");
+
+    if (bearer !== "Bearer" || !token) {
+      return undefined;
+    }
+
+    const [error, decodedData] = await to(jwt.verifyAccess(token));
+
+    return error ? undefined : decodedData.id;
+  },
+  api_key: async (req) => {
+    if (req.user && req.user.api_key) {
+      return req.user.api_key;
+    }
+
+    const apiKey = req.get("x-api-key");
+
+    if (!apiKey) {
+      return undefined;
+    }
+
+    // Only stored keys get their own count, made up ones share the IP's. The
+    // use of the key is recorded by the authentication, not here.
+    const [error, id] = await to(apiKeys.findId(apiKey));
+
+    return error || !id ? undefined : id;
+  },
+};
+
+const groupOptions = (group) => {
+  const path = `rate_limit.groups.${group}`;
+
+  return config.has(path) ? config.get(path) : null;
+};
+
+/**
+ * Limits the request rate of a route group. Requests are counted per `key`
+ * (ip, user or api_key, falling back to the IP address of anonymous clients)
+ * with a fixed-window or token-bucket `algorithm` allowing `limit` requests
+ * per `window_ms`. Groups without settings are not limited.
+ * @param group name of the settings under `rate_limit.groups`
+ * @param options settings to use instead of the configured ones
+ */
+module.exports = function (group, options = groupOptions(group)) {
+  if (!options) {
+    return function (req, res, next) {
+      next();
+    };
+  }
+
+  if (!algorithms.hasOwnProperty(options.algorithm)) {
+    throw new Error(`'${options.algorithm}' rate limit algorithm is not exist`);
+  }
+
+  if (!keys.hasOwnProperty(options.key)) {
+    throw new Error(`'${options.key}' rate limit key is not exist`);
+  }
+
+  return async function (req, res, next) {
+    try {
+      const id = await keys[options.key](req);
+      const key = id
+        ? `${group}:${options.key}:${id}`
+        : `${group}:ip:${req.ip}`;
+
+      const result = await store[algorithms[options.algorithm]](
+        key,
+        options.limit,
+        options.window_ms
+      );
+
+      const resetSeconds = Math.ceil(result.resetMs / 1000);
+
+      res.set({
+        "RateLimit-Limit": options.limit,
+        "RateLimit-Remaining": result.remaining,
+        "RateLimit-Reset": resetSeconds,
+      });
+
+      if (!result.allowed) {
+        res.set("Retry-After", resetSeconds);
+
+        return next(
+          new TooManyRequestsError("Too many requests", {
+            code: "rate_limited",
+          })
+        );
+      }
+
+      next();
+    } catch (error) {
+      // An unavailable store must not take the API down with it.
+      logger.error("Rate limit store is unavailable", { error });
+      next();
+    }
+  };
+};
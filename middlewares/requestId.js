@@ -0,0 +1,20 @@
+const { v4: uuid } = require("uuid");
+const requestContext = require("../helpers/requestContext");
+
+// IDs sent by clients or proxies are kept when they cannot break a log line.
+const validId = /^[\w.:-]{1,128}$/;
+
+/**
+ * Gives each request a correlation ID, the one of its `X-Request-Id` header
+ * or a new one, answered in the same header and logged with every entry
+ * written while the request is handled
+ */
+module.exports = function (req, res, next) {
+  const header = req.get("X-Request-Id");
+  const id = header && validId.test(header) ? header : uuid();
+
+  req.id = id;
+  res.set("X-Request-Id", id);
+
+  requestContext.run({ requestId: id }, next);
+};
@@ -0,0 +1,22 @@
+const expressWinston = require("express-winston");
+const logger = require("../helpers/logger");
+
+/**
+ * Logs each request once answered, at the warn level for 4xx answers and the
+ * error level for 5xx ones. Credentials are left out of the headers, the
+ * logger redacts the rest.
+ */
+module.exports = expressWinston.logger({
+  winstonInstance: logger,
+  msg: "{{req.method}} {{req.originalUrl}} {{res.statusCode}} {{res.responseTime}}ms",
+  statusLevels: true,
+  metaField: null,
+  requestWhitelist: ["method", "originalUrl", "httpVersion", "headers"],
+  responseWhitelist: ["statusCode", "responseTime"],
+  headerBlacklist: ["authorization", "cookie", "x-api-key"],
+  dynamicMeta: (req) => ({
+    request_id: req.id,
+    user: req.user && req.user.id,
+    ip: req.ip,
+  }),
+});
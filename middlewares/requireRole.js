@@ -0,0 +1,24 @@
+const { ForbiddenError } = require("../errors");
+
+module.exports = function (...roles) {
+  return function (req, res, next) {
+    if (!req.user) {
+      return next(
+        new ForbiddenError("User is not registered", {
+          code: "not_authenticated",
+        })
+      );
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return next(
+        new ForbiddenError("Error: the {role} role is not allowed", {
+          code: "role_not_allowed",
+          params: { role: req.user.role },
+        })
+      );
+    }
+
+    next();
+  };
+};
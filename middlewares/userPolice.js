@@ -1,45 +1,65 @@
-const config = require("config");
-const jwt = require("../services/JwtService");
-const to = require("../helpers/functionHandler");
-
-module.exports = async function (req, res, next) {
-  if (req.method === "OPTIONS") {
-    next();
-  }
-
-  try {
-    const { authorization } = req.headers;
-    const { id } = req.params;
-
-    if (!authorization) {
-      return res.status(403).json({ message: "User is not registered" });
-    }
-
-    const bearer = authorization.split(" ")[0];
-    const token = authorization.split(" ")[1];
-
-    if (!token && bearer === "Bearer") {
-      return res.status(403).json({ message: "User is not registered" });
-    }
-
-    [error, decodedData] = await to(
-      jwt.verifyAccess(token, config.get("secret"), {})
-    );
-
-    if (error) {
-      return res.status(400).json({ friendlyMsg: err.message });
-    }
-
-    req.user = decodedData;
-
-    if (decodedData.id !== id) {
-      return res
-        .status(403)
-        .json({ message: "Error: the JWT is not owned by the admin" });
-    }
-
-    next();
-  } catch (error) {
-    return res.status(403).json({ message: "User is unauthorized" });
-  }
+const mongoose = require("mongoose");
+const authenticate = require("./authenticate");
+const authenticateApiKey = require("./authenticateApiKey");
+const policy = require("../services/PolicyService");
+const { ForbiddenError } = require("../errors");
+
+/**
+ * Authenticates the request, by its Bearer token (of a session or an OAuth
+ * client) or its X-API-Key header, and enforces a rule from
+ * `policies/index.js`.
+ * With a `Model`, the document addressed by `:id` is loaded so that rules can
+ * look at it; when there is no such document the controller answers.
+ * @param permission e.g. "product:update"
+ * @param Model optional mongoose model of the resource
+ */
+module.exports = function (permission, Model) {
+  return function (req, res, next) {
+    const authenticator = req.get("x-api-key")
+      ? authenticateApiKey
+      : authenticate.allowingClients;
+
+    authenticator(req, res, async (error) => {
+      // Failed authentications are answered as they are, before any lookup
+      // that could tell whether a document exists.
+      if (error) {
+        return next(error);
+      }
+
+      try {
+        const { id } = req.params;
+
+        let resource;
+
+        if (Model) {
+          if (!mongoose.isValidObjectId(`${id}`)) {
+            return next();
+          }
+
+          resource = await Model.findById(id);
+
+          if (!resource) {
+            return next();
+          }
+        }
+
+        if (!policy.can(req.user, permission, { resource, req })) {
+          return next(
+            new ForbiddenError("Error: {permission} is not allowed", {
+              code: "permission_denied",
+              params: { permission },
+            })
+          );
+        }
+
+        next();
+      } catch (error) {
+        return next(
+          new ForbiddenError("User is unauthorized", {
+            code: "authentication_failed",
+          })
+        );
+      }
+    });
+  };
 };
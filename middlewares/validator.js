@@ -1,25 +1,29 @@
 const Validators = require("../validations/index");
+const i18n = require("../helpers/i18n");
 
-module.exports = function (validator) {
+/**
+ * Validates and normalizes a part of the request, with the messages in the
+ * language of the request
+ * @param validator name of a schema of `validations/index.js`
+ * @param source "body" or "query"
+ */
+module.exports = function (validator, source = "body") {
   if (!Validators.hasOwnProperty(validator)) {
     throw new Error(`'${validator}' validator is not exist`);
   }
 
   return async function (req, res, next) {
     try {
-      const validated = await Validators[validator].validateAsync(req.body);
-      req.body = validated;
+      const validated = await Validators[validator].validateAsync(req[source], {
+        abortEarly: false,
+        errors: { language: i18n.localeOf(req) },
+        messages: i18n.joiDefaults,
+      });
+      req[source] = validated;
       next();
     } catch (error) {
-      if (error.isJoi) {
-        return res.status(400).send({
-          message: error.message,
-          friendlyMsg: "Validation error",
-        });
-      }
-      return res.status(500).send({
-        friendlyMsg: "Internal Error",
-      });
+      // Joi errors are rendered by the error handler.
+      next(error);
     }
   };
 };
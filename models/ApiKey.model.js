@@ -0,0 +1,54 @@
+const { Schema, model } = require("mongoose");
+
+const apiKeySchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // sha256 of the key, the key itself is only shown once
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+
+    // first characters of the key, to tell keys apart
+    prefix: {
+      type: String,
+    },
+
+    scopes: {
+      type: [String],
+      default: [],
+    },
+
+    last_used_at: {
+      type: Date,
+      default: null,
+    },
+
+    last_used_ip: {
+      type: String,
+    },
+
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+  },
+
+  { versionKey: false, timestamps: true }
+);
+
+module.exports = model("ApiKey", apiKeySchema);
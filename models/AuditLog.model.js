@@ -0,0 +1,72 @@
+const { Schema, model } = require("mongoose");
+
+// Trail of the security events and data changes, never updated
+const auditLogSchema = new Schema(
+  {
+    // user acting, null for anonymous requests such as failed sign ins
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+
+    // set when the actor used an API key or an OAuth client
+    api_key: {
+      type: Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+
+    client_id: {
+      type: String,
+    },
+
+    // e.g. "user.signin" or "product.update"
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    outcome: {
+      type: String,
+      enum: ["success", "failure"],
+      default: "success",
+    },
+
+    target: {
+      type: {
+        type: String,
+      },
+      id: {
+        type: Schema.Types.ObjectId,
+      },
+    },
+
+    // changed fields, each with its value `from` and `to`; secrets only say
+    // that they changed
+    changes: {
+      type: Schema.Types.Mixed,
+    },
+
+    // e.g. why a sign in failed
+    details: {
+      type: Schema.Types.Mixed,
+    },
+
+    ip: {
+      type: String,
+    },
+
+    user_agent: {
+      type: String,
+    },
+  },
+
+  { versionKey: false, timestamps: true }
+);
+
+auditLogSchema.index({ "target.type": 1, "target.id": 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = model("AuditLog", auditLogSchema);
@@ -0,0 +1,37 @@
+const { Schema, model } = require("mongoose");
+
+const categorySchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+
+    // From the root down to the parent, the descendants of a category are
+    // the categories listing it here.
+    ancestors: {
+      type: [{ type: Schema.Types.ObjectId, ref: "Category" }],
+      default: [],
+      index: true,
+    },
+  },
+
+  { versionKey: false, timestamps: true }
+);
+
+module.exports = model("Category", categorySchema);
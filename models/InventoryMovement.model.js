@@ -0,0 +1,61 @@
+const { Schema, model } = require("mongoose");
+
+// Ledger of the stock of the products, never updated
+const inventoryMovementSchema = new Schema(
+  {
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: ["adjust", "reserve", "commit", "release", "expire"],
+      required: true,
+    },
+
+    // units moved, negative when an adjustment takes stock away
+    quantity: {
+      type: Number,
+      required: true,
+    },
+
+    // stock and reserved units of the product after the movement
+    stock: {
+      type: Number,
+      required: true,
+    },
+
+    reserved: {
+      type: Number,
+      required: true,
+    },
+
+    low_stock: {
+      type: Boolean,
+      default: false,
+    },
+
+    reservation: {
+      type: Schema.Types.ObjectId,
+      ref: "Reservation",
+    },
+
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    reason: {
+      type: String,
+      trim: true,
+    },
+  },
+
+  { versionKey: false, timestamps: true }
+);
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+
+module.exports = model("InventoryMovement", inventoryMovementSchema);
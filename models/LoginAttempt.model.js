@@ -0,0 +1,33 @@
+const { Schema, model } = require("mongoose");
+
+const loginAttemptSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    failures: {
+      type: Number,
+      default: 0,
+    },
+
+    last_failed_at: {
+      type: Date,
+    },
+
+    locked_until: {
+      type: Date,
+    },
+
+    expires_at: {
+      type: Date,
+      index: { expires: 0 },
+    },
+  },
+
+  { versionKey: false, timestamps: true }
+);
+
+module.exports = model("LoginAttempt", loginAttemptSchema);
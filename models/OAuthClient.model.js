@@ -0,0 +1,53 @@
+const { Schema, model } = require("mongoose");
+
+const oauthClientSchema = new Schema(
+  {
+    client_id: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // sha256 of the secret of confidential clients, shown only once
+    client_secret: {
+      type: String,
+      select: false,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    redirect_uris: {
+      type: [String],
+      default: [],
+    },
+
+    grant_types: {
+      type: [String],
+      enum: ["authorization_code", "client_credentials"],
+      default: ["authorization_code"],
+    },
+
+    scopes: {
+      type: [String],
+      default: [],
+    },
+
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+  },
+
+  { versionKey: false, timestamps: true }
+);
+
+module.exports = model("OAuthClient", oauthClientSchema);
@@ -0,0 +1,52 @@
+const { Schema, model } = require("mongoose");
+
+const oauthCodeSchema = new Schema(
+  {
+    // sha256 of the authorization code
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    client_id: {
+      type: String,
+      required: true,
+    },
+
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    redirect_uri: {
+      type: String,
+      required: true,
+    },
+
+    scopes: {
+      type: [String],
+      default: [],
+    },
+
+    code_challenge: {
+      type: String,
+      required: true,
+    },
+
+    used_at: {
+      type: Date,
+      default: null,
+    },
+
+    expires_at: {
+      type: Date,
+      index: { expires: 0 },
+    },
+  },
+
+  { versionKey: false, timestamps: true }
+);
+
+module.exports = model("OAuthCode", oauthCodeSchema);
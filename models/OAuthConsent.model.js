@@ -0,0 +1,27 @@
+const { Schema, model } = require("mongoose");
+
+const oauthConsentSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    client_id: {
+      type: String,
+      required: true,
+    },
+
+    scopes: {
+      type: [String],
+      default: [],
+    },
+  },
+
+  { versionKey: false, timestamps: true }
+);
+
+oauthConsentSchema.index({ user: 1, client_id: 1 }, { unique: true });
+
+module.exports = model("OAuthConsent", oauthConsentSchema);
@@ -1,4 +1,6 @@
 const { Schema, model } = require("mongoose");
+const softDelete = require("../helpers/softDelete");
+const money = require("../helpers/money");
 
 const productSchema = new Schema(
   {
@@ -8,18 +10,103 @@ const productSchema = new Schema(
       trim: true,
     },
 
+    // In minor units of the currency, e.g. cents.
     price: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: {
+        validator: Number.isSafeInteger,
+        message: "{PATH} must be an integer of minor units",
+      },
+    },
+
+    currency: {
       type: String,
       required: true,
+      enum: money.currencies,
     },
 
     description: {
       type: String,
       required: true,
     },
+
+    categories: {
+      type: [{ type: Schema.Types.ObjectId, ref: "Category" }],
+      default: [],
+      index: true,
+    },
+
+    // Free-form, lowercase
+    tags: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+
+    // Units on hand, including the reserved ones
+    stock: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: Number.isInteger,
+    },
+
+    // Units held by active reservations
+    reserved: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: Number.isInteger,
+    },
+
+    // Stock is low when no more units than this are available
+    low_stock_threshold: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
   },
 
   { versionKey: false, timestamps: true }
 );
 
+productSchema.plugin(softDelete);
+
+/**
+ * Answer the price of a product as a decimal of its currency, e.g. "12.50",
+ * along with its minor units and a display format, and the units available
+ * @param product plain object of a product
+ * @returns {object} the same object
+ */
+const present = (product) => {
+  if (typeof product.price === "number" && product.currency) {
+    product.price_minor = product.price;
+    product.price_formatted = money.format(product.price, product.currency);
+    product.price = money.toDecimal(product.price, product.currency);
+  }
+
+  if (typeof product.stock === "number") {
+    product.available = product.stock - (product.reserved || 0);
+    product.low_stock = product.available <= (product.low_stock_threshold || 0);
+  }
+
+  return product;
+};
+
+productSchema.set("toJSON", { transform: (doc, ret) => present(ret) });
+productSchema.static("present", present);
+
+// Used by the search, a title match weighs more than a description one.
+productSchema.index(
+  { title: "text", description: "text" },
+  { name: "product_search", weights: { title: 10, description: 2 } }
+);
+
 module.exports = model("Product", productSchema);
@@ -0,0 +1,36 @@
+const { Schema, model } = require("mongoose");
+
+const rateLimitSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    count: {
+      type: Number,
+    },
+
+    tokens: {
+      type: Number,
+    },
+
+    allowed: {
+      type: Boolean,
+    },
+
+    updated_at: {
+      type: Date,
+    },
+
+    expires_at: {
+      type: Date,
+      index: { expires: 0 },
+    },
+  },
+
+  { versionKey: false }
+);
+
+module.exports = model("RateLimit", rateLimitSchema);
@@ -0,0 +1,47 @@
+const { Schema, model } = require("mongoose");
+
+const reservationSchema = new Schema(
+  {
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+      index: true,
+    },
+
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    // active until committed, released or past expires_at
+    status: {
+      type: String,
+      enum: ["active", "committed", "released", "expired"],
+      default: "active",
+    },
+
+    // e.g. the ID of the order the stock is held for
+    reference: {
+      type: String,
+      trim: true,
+    },
+
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+
+  { versionKey: false, timestamps: true }
+);
+
+reservationSchema.index({ status: 1, expires_at: 1 });
+
+module.exports = model("Reservation", reservationSchema);
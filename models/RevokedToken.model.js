@@ -0,0 +1,21 @@
+const { Schema, model } = require("mongoose");
+
+const revokedTokenSchema = new Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    expires_at: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+
+  { versionKey: false, timestamps: true }
+);
+
+module.exports = model("RevokedToken", revokedTokenSchema);
@@ -0,0 +1,49 @@
+const { Schema, model } = require("mongoose");
+
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    token: {
+      type: String,
+      select: false,
+    },
+
+    device: {
+      type: String,
+      trim: true,
+    },
+
+    user_agent: {
+      type: String,
+    },
+
+    ip: {
+      type: String,
+    },
+
+    last_seen_at: {
+      type: Date,
+      default: Date.now,
+    },
+
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+
+    expires_at: {
+      type: Date,
+      index: { expires: 0 },
+    },
+  },
+
+  { versionKey: false, timestamps: true }
+);
+
+module.exports = model("Session", sessionSchema);
@@ -1,4 +1,7 @@
 const { Schema, model } = require("mongoose");
+const softDelete = require("../helpers/softDelete");
+const roles = require("../helpers/roles");
+const i18n = require("../helpers/i18n");
 
 const userSchema = new Schema(
   {
@@ -19,17 +22,70 @@ const userSchema = new Schema(
       required: true,
     },
 
+    role: {
+      type: String,
+      enum: roles,
+      default: "user",
+    },
+
+    // language of the messages, Accept-Language decides when it is not set
+    language: {
+      type: String,
+      enum: i18n.locales,
+    },
+
     is_active: {
       type: Boolean,
       default: false,
     },
 
-    token: {
-      type: String,
+    email_verified_at: {
+      type: Date,
+    },
+
+    email_verification: {
+      jti: String,
+      sent_at: Date,
+    },
+
+    mfa: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // base32 TOTP secret, set at enrollment
+      secret: {
+        type: String,
+        select: false,
+      },
+      // time step of the last accepted code
+      last_step: {
+        type: Number,
+        select: false,
+      },
+      // sha256 hashes of the unused recovery codes
+      recovery_codes: {
+        type: [String],
+        select: false,
+        default: undefined,
+      },
+    },
+
+    // hashes of the previous passwords, the newest first
+    password_history: {
+      type: [String],
+      select: false,
+    },
+
+    password_reset: {
+      token: String,
+      expires_at: Date,
     },
   },
 
   { versionKey: false, timestamps: true }
 );
 
+userSchema.plugin(softDelete);
+
 module.exports = model("User", userSchema);
@@ -0,0 +1,29 @@
+const roles = require("../helpers/roles");
+
+const isSelf = ({ user, req }) => !!req && user.id === req.params.id;
+
+const isOwner = ({ user, resource }) =>
+  !!resource &&
+  !!resource.createdBy &&
+  resource.createdBy.toString() === user.id;
+
+const isTokenOwner = ({ user, resource }) =>
+  !!resource && resource.id === user.id;
+
+const isUser = ({ user }) => !!user.id;
+
+const isReserver = ({ user, resource }) =>
+  !!resource && !!resource.user && resource.user.toString() === user.id;
+
+module.exports = {
+  "profile:read": [{ when: isUser }],
+  "user:update": [{ roles: ["admin"] }, { when: isSelf }],
+  "user:delete": [{ roles: ["admin"] }, { when: isSelf }],
+  "token:revoke": [{ roles: ["admin"] }, { when: isTokenOwner }],
+  "product:create": [{ roles }],
+  "product:update": [{ roles: ["admin"] }, { when: isOwner }],
+  "product:delete": [{ roles: ["admin"] }, { when: isOwner }],
+  "inventory:manage": [{ roles: ["admin"] }, { when: isOwner }],
+  "inventory:reserve": [{ roles }],
+  "reservation:manage": [{ roles: ["admin"] }, { when: isReserver }],
+};
@@ -0,0 +1,18 @@
+const { Router } = require("express");
+const Validator = require("../middlewares/validator");
+const Authenticate = require("../middlewares/authenticate");
+const RequireRole = require("../middlewares/requireRole");
+
+const { getAuditLog } = require("../controllers/audit.controller");
+
+const router = Router();
+
+router.get(
+  "/",
+  Authenticate,
+  RequireRole("admin"),
+  Validator("listAudit", "query"),
+  getAuditLog
+);
+
+module.exports = router;
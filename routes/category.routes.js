@@ -0,0 +1,40 @@
+const { Router } = require("express");
+const Validator = require("../middlewares/validator");
+const Authenticate = require("../middlewares/authenticate");
+const RequireRole = require("../middlewares/requireRole");
+
+const {
+  getCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require("../controllers/category.controller");
+
+const router = Router();
+
+router.get("/", getCategories);
+router.get("/:id", getCategoryById);
+router.post(
+  "/",
+  Authenticate,
+  RequireRole("admin"),
+  Validator("category"),
+  createCategory
+);
+router.put(
+  "/:id",
+  Authenticate,
+  RequireRole("admin"),
+  Validator("updateCategory"),
+  updateCategory
+);
+router.delete(
+  "/:id",
+  Authenticate,
+  RequireRole("admin"),
+  Validator("deleteCategory", "query"),
+  deleteCategory
+);
+
+module.exports = router;
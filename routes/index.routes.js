@@ -1,10 +1,119 @@
 const { Router } = require("express");
+const RateLimit = require("../middlewares/rateLimit");
 const router = Router();
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     page:
+ *       in: query
+ *       name: page
+ *       description: Number of the page, cannot be combined with cursor
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         default: 1
+ *     limit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 20
+ *     cursor:
+ *       in: query
+ *       name: cursor
+ *       description: The next_cursor or prev_cursor of a page. The cursor keeps the sort it was made with.
+ *       schema:
+ *         type: string
+ *   schemas:
+ *     ListMeta:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *           description: Number of matching documents
+ *         limit:
+ *           type: integer
+ *         page:
+ *           type: integer
+ *           description: Only when paginating by page number
+ *         pages:
+ *           type: integer
+ *           description: Only when paginating by page number
+ *         next_cursor:
+ *           type: string
+ *           nullable: true
+ *         prev_cursor:
+ *           type: string
+ *           nullable: true
+ *     ListLinks:
+ *       type: object
+ *       properties:
+ *         self:
+ *           type: string
+ *         next:
+ *           type: string
+ *           nullable: true
+ *         prev:
+ *           type: string
+ *           nullable: true
+ *     Problem:
+ *       type: object
+ *       description: An RFC 7807 problem document, answered as application/problem+json
+ *       properties:
+ *         type:
+ *           type: string
+ *           example: about:blank
+ *         title:
+ *           type: string
+ *           example: Not Found
+ *         status:
+ *           type: integer
+ *           example: 404
+ *         detail:
+ *           type: string
+ *           example: Product does not exist
+ *         message:
+ *           type: string
+ *           description: Same as detail
+ *         code:
+ *           type: string
+ *           description: Stable identifier of the error, see the README
+ *           example: product_not_found
+ *         instance:
+ *           type: string
+ *           example: /api/product/64b7f0c2a1e4d3b2c1a09f8e
+ *         request_id:
+ *           type: string
+ *         errors:
+ *           type: array
+ *           description: Only for validation_failed
+ *           items:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               message:
+ *                 type: string
+ */
+
 const userRouter = require("./user.routes");
 const productRouter = require("./product.routes");
+const oauthRouter = require("./oauth.routes");
+const categoryRouter = require("./category.routes");
+const inventoryRouter = require("./inventory.routes");
+const auditRouter = require("./audit.routes");
 
-router.use("/user", userRouter);
-router.use("/product", productRouter);
+router.use("/user", RateLimit("user"), userRouter);
+router.use("/product", RateLimit("product"), productRouter);
+router.use("/oauth", RateLimit("oauth"), oauthRouter);
+router.use("/category", RateLimit("category"), categoryRouter);
+router.use("/inventory", RateLimit("inventory"), inventoryRouter);
+router.use("/audit", RateLimit("audit"), auditRouter);
 
 module.exports = router;
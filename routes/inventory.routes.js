@@ -0,0 +1,45 @@
+const { Router } = require("express");
+const Validator = require("../middlewares/validator");
+const UserPolice = require("../middlewares/userPolice");
+const Authenticate = require("../middlewares/authenticate");
+const Reservation = require("../models/Reservation.model");
+
+const {
+  getLowStock,
+  createReservation,
+  getReservation,
+  commitReservation,
+  releaseReservation,
+} = require("../controllers/inventory.controller");
+
+const router = Router();
+
+router.get(
+  "/low-stock",
+  Authenticate,
+  Validator("listLowStock", "query"),
+  getLowStock
+);
+router.post(
+  "/reservations",
+  UserPolice("inventory:reserve"),
+  Validator("reservation"),
+  createReservation
+);
+router.get(
+  "/reservations/:id",
+  UserPolice("reservation:manage", Reservation),
+  getReservation
+);
+router.post(
+  "/reservations/:id/commit",
+  UserPolice("reservation:manage", Reservation),
+  commitReservation
+);
+router.post(
+  "/reservations/:id/release",
+  UserPolice("reservation:manage", Reservation),
+  releaseReservation
+);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const { Router } = require("express");
+const Validator = require("../middlewares/validator");
+const UserPolice = require("../middlewares/userPolice");
+const Authenticate = require("../middlewares/authenticate");
+const RequireRole = require("../middlewares/requireRole");
+
+const {
+  registerClient,
+  getClients,
+  revokeClient,
+  getAuthorization,
+  authorize,
+  token,
+  introspect,
+  revokeToken,
+  userInfo,
+  getConsents,
+  revokeConsent,
+} = require("../controllers/oauth.controller");
+
+const router = Router();
+
+router.get("/clients", Authenticate, RequireRole("admin"), getClients);
+router.post(
+  "/clients",
+  Authenticate,
+  RequireRole("admin"),
+  Validator("oauthClient"),
+  registerClient
+);
+router.delete(
+  "/clients/:clientId",
+  Authenticate,
+  RequireRole("admin"),
+  revokeClient
+);
+router.get(
+  "/authorize",
+  Authenticate,
+  Validator("authorize", "query"),
+  getAuthorization
+);
+router.post(
+  "/authorize",
+  Authenticate,
+  Validator("authorizeDecision"),
+  authorize
+);
+router.post("/token", token);
+router.post("/introspect", introspect);
+router.post("/revoke", revokeToken);
+router.get("/userinfo", UserPolice("profile:read"), userInfo);
+router.get("/consents", Authenticate, getConsents);
+router.delete("/consents/:clientId", Authenticate, revokeConsent);
+
+module.exports = router;
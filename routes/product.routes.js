@@ -1,20 +1,67 @@
 const { Router } = require("express");
 const Validator = require("../middlewares/validator");
+const UserPolice = require("../middlewares/userPolice");
+const Authenticate = require("../middlewares/authenticate");
+const RequireRole = require("../middlewares/requireRole");
+const Product = require("../models/Product.model");
 
 const {
   getProducts,
+  searchProducts,
   getProductById,
   createProduct,
   updateProductById,
   deleteProductById,
 } = require("../controllers/product.controller");
+const {
+  adjustStock,
+  getMovements,
+} = require("../controllers/inventory.controller");
+
+const {
+  getProductTrash,
+  restoreProduct,
+  purgeProduct,
+} = require("../controllers/trash.controller");
 
 const router = Router();
 
-router.get("/", getProducts);
+router.get("/", Validator("listProducts", "query"), getProducts);
+router.get("/search", Validator("searchProducts", "query"), searchProducts);
+router.get(
+  "/trash",
+  Authenticate,
+  RequireRole("admin"),
+  Validator("listTrash", "query"),
+  getProductTrash
+);
 router.get("/:id", getProductById);
-router.post("/", Validator("createProduct"), createProduct);
-router.put("/:id", Validator("updateProduct"), updateProductById);
-router.delete("/:id", deleteProductById);
+router.post(
+  "/",
+  UserPolice("product:create"),
+  Validator("createProduct"),
+  createProduct
+);
+router.put(
+  "/:id",
+  UserPolice("product:update", Product),
+  Validator("updateProduct"),
+  updateProductById
+);
+router.post("/:id/restore", Authenticate, RequireRole("admin"), restoreProduct);
+router.delete("/:id", UserPolice("product:delete", Product), deleteProductById);
+router.delete("/:id/purge", Authenticate, RequireRole("admin"), purgeProduct);
+router.post(
+  "/:id/stock",
+  UserPolice("inventory:manage", Product),
+  Validator("adjustStock"),
+  adjustStock
+);
+router.get(
+  "/:id/stock/movements",
+  UserPolice("inventory:manage", Product),
+  Validator("listMovements", "query"),
+  getMovements
+);
 
 module.exports = router;
@@ -1,25 +1,122 @@
 const { Router } = require("express");
 const Validator = require("../middlewares/validator");
 const UserPolice = require("../middlewares/userPolice");
+const Authenticate = require("../middlewares/authenticate");
+const RequireRole = require("../middlewares/requireRole");
+const RateLimit = require("../middlewares/rateLimit");
 
 const {
   signUp,
   signIn,
+  signInMfa,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  refresh,
   logout,
   getUsers,
   getUserById,
   updateUserById,
+  updateUserRole,
+  unlockUser,
   deleteUserById,
 } = require("../controllers/user.controller");
 
+const {
+  getSessions,
+  revokeSession,
+  logoutAll,
+  revokeToken,
+} = require("../controllers/session.controller");
+
+const {
+  enrollMfa,
+  confirmMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+} = require("../controllers/mfa.controller");
+
+const {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+} = require("../controllers/apiKey.controller");
+
+const {
+  getUserTrash,
+  restoreUser,
+  purgeUser,
+} = require("../controllers/trash.controller");
+
 const router = Router();
 
-router.get("/", getUsers);
+router.get("/", Validator("listUsers", "query"), getUsers);
+router.get("/sessions", Authenticate, getSessions);
+router.get("/api-keys", Authenticate, getApiKeys);
+router.get("/verify-email", verifyEmail);
+router.get(
+  "/trash",
+  Authenticate,
+  RequireRole("admin"),
+  Validator("listTrash", "query"),
+  getUserTrash
+);
 router.get("/:id", getUserById);
-router.post("/signup", Validator("signup"), signUp);
+router.post("/signup", RateLimit("signup"), Validator("signup"), signUp);
 router.post("/signin", Validator("login"), signIn);
+router.post("/signin/mfa", Validator("mfaSignin"), signInMfa);
+router.post(
+  "/verify-email/resend",
+  Validator("resendVerification"),
+  resendVerificationEmail
+);
+router.post("/forgot-password", Validator("forgotPassword"), forgotPassword);
+router.post("/reset-password", Validator("resetPassword"), resetPassword);
+router.post("/refresh", Validator("refresh"), refresh);
 router.post("/logout", logout);
-router.put("/:id", UserPolice, Validator("update"), updateUserById);
-router.delete("/:id", UserPolice, deleteUserById);
+router.post("/logout-all", Authenticate, logoutAll);
+router.delete("/sessions/:sessionId", Authenticate, revokeSession);
+router.post(
+  "/tokens/revoke",
+  Authenticate,
+  Validator("revokeToken"),
+  revokeToken
+);
+router.post("/api-keys", Authenticate, Validator("createApiKey"), createApiKey);
+router.put(
+  "/api-keys/:keyId",
+  Authenticate,
+  Validator("updateApiKey"),
+  updateApiKey
+);
+router.delete("/api-keys/:keyId", Authenticate, revokeApiKey);
+router.post("/mfa/enroll", Authenticate, enrollMfa);
+router.post("/mfa/confirm", Authenticate, Validator("mfaCode"), confirmMfa);
+router.post("/mfa/disable", Authenticate, Validator("mfaCode"), disableMfa);
+router.post(
+  "/mfa/recovery-codes",
+  Authenticate,
+  Validator("mfaCode"),
+  regenerateRecoveryCodes
+);
+router.put(
+  "/:id",
+  UserPolice("user:update"),
+  Validator("update"),
+  updateUserById
+);
+router.put(
+  "/:id/role",
+  Authenticate,
+  RequireRole("admin"),
+  Validator("role"),
+  updateUserRole
+);
+router.post("/:id/unlock", Authenticate, RequireRole("admin"), unlockUser);
+router.post("/:id/restore", Authenticate, RequireRole("admin"), restoreUser);
+router.delete("/:id", UserPolice("user:delete"), deleteUserById);
+router.delete("/:id/purge", Authenticate, RequireRole("admin"), purgeUser);
 
 module.exports = router;
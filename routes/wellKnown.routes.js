@@ -0,0 +1,9 @@
+const { Router } = require("express");
+
+const { getJwks } = require("../controllers/jwks.controller");
+
+const router = Router();
+
+router.get("/jwks.json", getJwks);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// Registers an OAuth client in the configured database, e.g. a local test
+// client: npm run oauth:client -- "Test App" http://localhost:3000/callback
+const config = require("config");
+const mongoose = require("mongoose");
+const oauth = require("../services/OAuthService");
+const oauthScopes = require("../helpers/oauthScopes");
+
+const [name = "Test App", ...redirectUris] = process.argv.slice(2);
+
+async function main() {
+  await mongoose.connect(config.get("dbUri"));
+
+  const { client, clientSecret } = await oauth.registerClient(
+    { _id: undefined },
+    {
+      name,
+      redirect_uris: redirectUris.length
+        ? redirectUris
+        : ["http://localhost:3000/callback"],
+      grant_types: ["authorization_code", "client_credentials"],
+      scopes: Object.keys(oauthScopes),
+      confidential: true,
+    }
+  );
+
+  console.log(
+    JSON.stringify(
+      {
+        client_id: client.client_id,
+        client_secret: clientSecret,
+        redirect_uris: client.redirect_uris,
+        scopes: client.scopes,
+      },
+      null,
+      2
+    )
+  );
+
+  await mongoose.disconnect();
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+// Generates a key pair to sign access tokens with and prints the entry to add
+// to `access_signing.keys`. Usage: npm run keys:generate -- [RS256|ES256] [dir]
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const algorithm = process.argv[2] || "ES256";
+const dir = process.argv[3] || path.join("config", "keys");
+
+const pairs = {
+  RS256: () => crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }),
+  ES256: () => crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }),
+};
+
+if (!pairs.hasOwnProperty(algorithm)) {
+  console.error(`'${algorithm}' signing algorithm is not exist`);
+  process.exit(1);
+}
+
+const { privateKey } = pairs[algorithm]();
+const kid = `${new Date().toISOString().slice(0, 10)}-${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+const file = path.join(dir, `${kid}.pem`);
+
+fs.mkdirSync(dir, { recursive: true });
+fs.writeFileSync(file, privateKey.export({ type: "pkcs8", format: "pem" }), {
+  mode: 0o600,
+});
+
+console.log(
+  JSON.stringify({ kid, algorithm, private_key_file: file }, null, 2)
+);
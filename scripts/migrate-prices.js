@@ -0,0 +1,68 @@
+// Converts the prices stored as strings to minor units of a currency, the
+// default currency unless given. Prices that are not decimals or have more
+// decimals than the currency are listed and left as they are, to be fixed by
+// hand. Usage: npm run prices:migrate -- [currency] [--dry-run]
+const config = require("config");
+const mongoose = require("mongoose");
+const Product = require("../models/Product.model");
+const money = require("../helpers/money");
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const currency = (
+  args.find((arg) => !arg.startsWith("--")) || config.get("default_currency")
+).toUpperCase();
+
+async function main() {
+  money.digitsOf(currency);
+
+  await mongoose.connect(config.get("dbUri"));
+
+  // The raw collection, the model would cast the strings.
+  const cursor = Product.collection.find(
+    { price: { $type: "string" } },
+    { projection: { price: 1 } }
+  );
+
+  const operations = [];
+  const invalid = [];
+
+  for await (const product of cursor) {
+    try {
+      operations.push({
+        updateOne: {
+          filter: { _id: product._id, price: product.price },
+          update: {
+            $set: { price: money.toMinor(product.price, currency), currency },
+          },
+        },
+      });
+    } catch (error) {
+      invalid.push({ _id: product._id.toString(), price: product.price });
+    }
+  }
+
+  if (operations.length && !dryRun) {
+    await Product.collection.bulkWrite(operations, { ordered: false });
+  }
+
+  console.log(
+    JSON.stringify(
+      {
+        currency,
+        dry_run: dryRun,
+        migrated: operations.length,
+        invalid,
+      },
+      null,
+      2
+    )
+  );
+
+  await mongoose.disconnect();
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
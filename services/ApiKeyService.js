@@ -0,0 +1,93 @@
+/**
+ * @class ApiKeyService
+ */
+
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey.model");
+const User = require("../models/User.model");
+const hashToken = require("../helpers/hashToken");
+
+/**
+ * @name: ApiKeyService
+ */
+class ApiKeyService {
+  /**
+   * Create a key for a user
+   * @param user
+   * @param name
+   * @param scopes permissions the key is limited to
+   * @returns {Promise<{apiKey: *, key: string}>} the document and the key,
+   * which cannot be read again
+   */
+  async create(user, { name, scopes }) {
+    const key = `ak_${crypto.randomBytes(32).toString("base64url")}`;
+
+    const apiKey = await ApiKey.create({
+      user: user._id,
+      name,
+      scopes,
+      key: hashToken(key),
+      prefix: key.slice(0, 10),
+    });
+
+    apiKey.key = undefined;
+
+    return { apiKey, key };
+  }
+
+  /**
+   * ID of an active key, without recording its use
+   * @param key as sent in the X-API-Key header
+   * @returns {Promise<string|null>}
+   */
+  async findId(key) {
+    const apiKey = await ApiKey.findOne({
+      key: hashToken(`${key}`),
+      revoked_at: null,
+    }).select("_id");
+
+    return apiKey && apiKey.id;
+  }
+
+  /**
+   * Find the owner of an active key and record its use
+   * @param key as sent in the X-API-Key header
+   * @param ip address of the client
+   * @returns {Promise<{apiKey: *, user: *}|null>}
+   */
+  async authenticate(key, ip) {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { key: hashToken(key), revoked_at: null },
+      { last_used_at: new Date(), last_used_ip: ip },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return null;
+    }
+
+    const user = await User.findById(apiKey.user);
+
+    if (!user || !user.is_active) {
+      return null;
+    }
+
+    return { apiKey, user };
+  }
+
+  /**
+   * Revoke the active keys matching a filter
+   * @param filter e.g. `{ _id, user }`
+   * @returns {Promise<number>} the number of revoked keys
+   */
+  async revoke(filter) {
+    const result = await ApiKey.updateMany(
+      { ...filter, revoked_at: null },
+      { revoked_at: new Date() }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new ApiKeyService();
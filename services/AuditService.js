@@ -0,0 +1,104 @@
+/**
+ * @class AuditService
+ */
+
+const isEqual = require("lodash/isEqual");
+const omit = require("lodash/omit");
+const AuditLog = require("../models/AuditLog.model");
+const logger = require("../helpers/logger");
+
+// Fields whose values never reach the trail, only the fact they changed.
+const secretFields = ["password", "password_reset", "email_verification"];
+// Left out altogether. The password history is only selected on demand, one
+// state could have it and not the other; a new password is flagged anyway.
+const hiddenPaths = [
+  "password_history",
+  "mfa.secret",
+  "mfa.recovery_codes",
+  "mfa.last_step",
+];
+const ignoredFields = ["_id", "createdAt", "updatedAt"];
+
+// Plain JSON values, so that ObjectIds and dates compare by value.
+const plain = (document) => {
+  if (!document) {
+    return {};
+  }
+
+  const object =
+    typeof document.toObject === "function" ? document.toObject() : document;
+
+  return omit(JSON.parse(JSON.stringify(object)), hiddenPaths);
+};
+
+/**
+ * @name: AuditService
+ */
+class AuditService {
+  /**
+   * The fields that differ between two states of a document
+   * @param before omitted for a creation
+   * @param after omitted for a purge
+   * @returns {object|undefined} each field with its value `from` and `to`,
+   * undefined when nothing changed
+   */
+  diff(before, after) {
+    const from = plain(before);
+    const to = plain(after);
+    const changes = {};
+
+    new Set([...Object.keys(from), ...Object.keys(to)]).forEach((field) => {
+      const previous = from[field] === undefined ? null : from[field];
+      const next = to[field] === undefined ? null : to[field];
+
+      if (ignoredFields.includes(field) || isEqual(previous, next)) {
+        return;
+      }
+
+      changes[field] = secretFields.includes(field)
+        ? { changed: true }
+        : { from: previous, to: next };
+    });
+
+    return Object.keys(changes).length ? changes : undefined;
+  }
+
+  /**
+   * Record an action in the trail. Failing to record is only reported, the
+   * action itself already happened.
+   * @param req request, for its user, IP and user agent
+   * @param action e.g. "product.update"
+   * @param entry `target` ({ type, id }), the `before` and `after` states of
+   * the target or the `changes` themselves, the `outcome` ("success" by
+   * default), `details` and the `actor` when the request is not
+   * authenticated, e.g. a sign in
+   * @returns {Promise<*>} the entry, or null when it could not be recorded
+   */
+  async record(req, action, entry = {}) {
+    const { target, before, after, outcome, details } = entry;
+    const changes =
+      entry.changes || (before || after ? this.diff(before, after) : undefined);
+    const user = req.user || {};
+
+    try {
+      return await AuditLog.create({
+        actor: entry.actor || user.id || null,
+        api_key: user.api_key,
+        client_id: user.client_id,
+        action,
+        outcome,
+        target,
+        changes,
+        details,
+        ip: req.ip,
+        user_agent: req.get("user-agent"),
+      });
+    } catch (error) {
+      logger.error("Audit entry could not be recorded", { action, error });
+
+      return null;
+    }
+  }
+}
+
+module.exports = new AuditService();
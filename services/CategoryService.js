@@ -0,0 +1,211 @@
+/**
+ * @class CategoryService
+ */
+
+const mongoose = require("mongoose");
+const Category = require("../models/Category.model");
+const Product = require("../models/Product.model");
+
+/**
+ * @name: CategoryService
+ */
+class CategoryService {
+  /**
+   * Slug of a category name, e.g. "Fresh Fruit" -> "fresh-fruit"
+   * @param name
+   * @returns {string}
+   */
+  slugify(name) {
+    return (
+      name
+        .normalize("NFD")
+        // accents of latin letters only, "й" is not "и"
+        .replace(/(\p{Script=Latin})[\u0300-\u036f]+/gu, "$1")
+        .normalize("NFC")
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, "-")
+        .replace(/^-+|-+$/g, "")
+    );
+  }
+
+  /**
+   * Ancestors of the children of a category
+   * @param parentId
+   * @returns {Promise<*[]|null>} null when there is no such category
+   */
+  async ancestorsUnder(parentId) {
+    if (!parentId) {
+      return [];
+    }
+
+    const parent = await Category.findById(parentId);
+
+    return parent ? [...parent.ancestors, parent._id] : null;
+  }
+
+  /**
+   * The IDs of a category and of all the categories under it
+   * @param id
+   * @returns {Promise<*[]>}
+   */
+  async withDescendants(id) {
+    const descendants = await Category.find({ ancestors: id }).distinct("_id");
+
+    return [new mongoose.Types.ObjectId(`${id}`), ...descendants];
+  }
+
+  /**
+   * Whether all the categories exist
+   * @param ids
+   * @returns {Promise<boolean>}
+   */
+  async exist(ids) {
+    const unique = [...new Set(ids.map(String))];
+
+    return (
+      (await Category.countDocuments({ _id: { $in: unique } })) ===
+      unique.length
+    );
+  }
+
+  /**
+   * Move a category, with everything under it, to another parent
+   * @param category
+   * @param parentId null for the root
+   * @returns {Promise<boolean>} false when the parent does not exist or is
+   * the category itself or one of its descendants
+   */
+  async move(category, parentId) {
+    if (parentId && category._id.equals(parentId)) {
+      return false;
+    }
+
+    const ancestors = await this.ancestorsUnder(parentId);
+
+    if (!ancestors || ancestors.some((id) => id.equals(category._id))) {
+      return false;
+    }
+
+    // Descendants keep what is under the category, after its new ancestors.
+    await Category.updateMany({ ancestors: category._id }, [
+      {
+        $set: {
+          ancestors: {
+            $concatArrays: [
+              ancestors,
+              {
+                $slice: [
+                  "$ancestors",
+                  category.ancestors.length,
+                  { $size: "$ancestors" },
+                ],
+              },
+            ],
+          },
+        },
+      },
+    ]);
+
+    category.parent = parentId || null;
+    category.ancestors = ancestors;
+    await category.save();
+
+    return true;
+  }
+
+  /**
+   * Delete a category. Its children move up to its parent. Its products
+   * move to another category, a category with products is only deleted
+   * with one.
+   * @param category
+   * @param reassignTo ID of the category to move the products to
+   * @returns {Promise<{deleted: boolean, products: number, moved: object[]}>}
+   * `products` are the products of the category, moved or keeping it from
+   * being deleted; `moved` the `before` and `after` categories of each
+   * product changed, trashed ones included
+   */
+  async remove(category, reassignTo) {
+    const products = await Product.countDocuments({
+      categories: category._id,
+    });
+
+    if (products && !reassignTo) {
+      return { deleted: false, products, moved: [] };
+    }
+
+    // Products in the trash follow, so that a restore does not bring back a
+    // category that is gone.
+    const update = reassignTo
+      ? [
+          {
+            $set: {
+              categories: {
+                $setUnion: [
+                  { $setDifference: ["$categories", [category._id]] },
+                  [new mongoose.Types.ObjectId(`${reassignTo}`)],
+                ],
+              },
+            },
+          },
+        ]
+      : { $pull: { categories: category._id } };
+
+    const before = await Product.find(
+      { categories: category._id },
+      "categories",
+      { withDeleted: true }
+    );
+
+    await Product.updateMany({ categories: category._id }, update, {
+      withDeleted: true,
+    });
+
+    const after = await Product.find(
+      { _id: { $in: before.map((product) => product._id) } },
+      "categories",
+      { withDeleted: true }
+    );
+
+    await Category.updateMany(
+      { parent: category._id },
+      { parent: category.parent }
+    );
+    await Category.updateMany(
+      { ancestors: category._id },
+      { $pull: { ancestors: category._id } }
+    );
+    await category.deleteOne();
+
+    const moved = before.map((product) => ({
+      before: product,
+      after: after.find((item) => item._id.equals(product._id)),
+    }));
+
+    return { deleted: true, products, moved };
+  }
+
+  /**
+   * All the categories as a tree, each with its `children`
+   * @returns {Promise<object[]>} the root categories
+   */
+  async tree() {
+    const categories = await Category.find().sort({ name: 1 }).lean();
+    const byId = new Map();
+
+    categories.forEach((category) => {
+      byId.set(category._id.toString(), { ...category, children: [] });
+    });
+
+    const roots = [];
+
+    byId.forEach((category) => {
+      const parent = category.parent && byId.get(category.parent.toString());
+
+      (parent ? parent.children : roots).push(category);
+    });
+
+    return roots;
+  }
+}
+
+module.exports = new CategoryService();
@@ -0,0 +1,246 @@
+/**
+ * @class InventoryService
+ */
+
+const config = require("config");
+const logger = require("../helpers/logger");
+const Product = require("../models/Product.model");
+const Reservation = require("../models/Reservation.model");
+const InventoryMovement = require("../models/InventoryMovement.model");
+
+// Products created before inventory tracking have no stock fields.
+const stock = { $ifNull: ["$stock", 0] };
+const reserved = { $ifNull: ["$reserved", 0] };
+const available = { $subtract: [stock, reserved] };
+
+/**
+ * @name: InventoryService
+ */
+class InventoryService {
+  /**
+   * InventoryService constructor
+   * @param options `reservation_ms` lifetime of the reservations and
+   * `sweep_ms` period of the release of the expired ones
+   */
+  constructor(options) {
+    this.options = options;
+  }
+
+  /**
+   * Filter of the products whose available units are at or below their
+   * low stock threshold
+   * @returns {object}
+   */
+  lowStockFilter() {
+    return {
+      $expr: {
+        $lte: [available, { $ifNull: ["$low_stock_threshold", 0] }],
+      },
+    };
+  }
+
+  /**
+   * Add units to the stock of a product, or take them away with a negative
+   * quantity. Units held by reservations cannot be taken away.
+   * @param productId
+   * @param quantity
+   * @param meta `user` and `reason` recorded in the ledger
+   * @returns {Promise<*>} the product, or null when there is no such product
+   * or not enough unreserved stock
+   */
+  async adjust(productId, quantity, { user, reason } = {}) {
+    const product = await Product.findOneAndUpdate(
+      {
+        _id: productId,
+        $expr: { $gte: [{ $add: [stock, quantity] }, reserved] },
+      },
+      { $inc: { stock: quantity } },
+      { new: true }
+    );
+
+    if (product) {
+      await this.record("adjust", product, { quantity, user, reason });
+    }
+
+    return product;
+  }
+
+  /**
+   * Hold units of a product until the reservation is committed, released or
+   * expires. The check and the hold are a single update, concurrent
+   * reservations never hold more than the stock.
+   * @param productId
+   * @param quantity
+   * @param meta `user` and `reference` of the reservation
+   * @returns {Promise<*>} the reservation, or null when not enough units are
+   * available
+   */
+  async reserve(productId, quantity, { user, reference } = {}) {
+    // Units of expired reservations are available again right away.
+    await this.expire({ product: productId });
+
+    const product = await Product.findOneAndUpdate(
+      { _id: productId, $expr: { $gte: [available, quantity] } },
+      { $inc: { reserved: quantity } },
+      { new: true }
+    );
+
+    if (!product) {
+      return null;
+    }
+
+    let reservation;
+
+    try {
+      reservation = await Reservation.create({
+        product: product._id,
+        user,
+        quantity,
+        reference,
+        expires_at: new Date(Date.now() + this.options.reservation_ms),
+      });
+    } catch (error) {
+      await Product.updateOne(
+        { _id: product._id },
+        { $inc: { reserved: -quantity } }
+      );
+
+      throw error;
+    }
+
+    await this.record("reserve", product, {
+      quantity,
+      reservation: reservation._id,
+      user,
+    });
+
+    return reservation;
+  }
+
+  /**
+   * Take the units of an active reservation out of the stock, e.g. once the
+   * order is paid
+   * @param reservationId
+   * @param meta `user` recorded in the ledger
+   * @returns {Promise<*>} the reservation, or null when it is not active
+   */
+  async commit(reservationId, { user } = {}) {
+    const reservation = await Reservation.findOneAndUpdate(
+      { _id: reservationId, status: "active", expires_at: { $gt: new Date() } },
+      { status: "committed" },
+      { new: true }
+    );
+
+    if (!reservation) {
+      return null;
+    }
+
+    const { quantity } = reservation;
+
+    // Products deleted meanwhile keep their counts right for a restore.
+    const product = await Product.findByIdAndUpdate(
+      reservation.product,
+      { $inc: { stock: -quantity, reserved: -quantity } },
+      { new: true, withDeleted: true }
+    );
+
+    if (product) {
+      await this.record("commit", product, {
+        quantity,
+        reservation: reservation._id,
+        user,
+      });
+    }
+
+    return reservation;
+  }
+
+  /**
+   * Give the units of an active reservation back
+   * @param reservationId
+   * @param meta `user` recorded in the ledger
+   * @param status "released", or "expired" for the expired reservations
+   * @returns {Promise<*>} the reservation, or null when it is not active
+   */
+  async release(reservationId, { user } = {}, status = "released") {
+    const reservation = await Reservation.findOneAndUpdate(
+      { _id: reservationId, status: "active" },
+      { status },
+      { new: true }
+    );
+
+    if (!reservation) {
+      return null;
+    }
+
+    const { quantity } = reservation;
+
+    const product = await Product.findByIdAndUpdate(
+      reservation.product,
+      { $inc: { reserved: -quantity } },
+      { new: true, withDeleted: true }
+    );
+
+    if (product) {
+      await this.record(status === "expired" ? "expire" : "release", product, {
+        quantity,
+        reservation: reservation._id,
+        user,
+      });
+    }
+
+    return reservation;
+  }
+
+  /**
+   * Release the active reservations past their expiry
+   * @param filter e.g. of the reservations of a product
+   * @returns {Promise<number>} the number of expired reservations
+   */
+  async expire(filter = {}) {
+    const expired = await Reservation.find({
+      ...filter,
+      status: "active",
+      expires_at: { $lte: new Date() },
+    }).distinct("_id");
+
+    const released = await Promise.all(
+      expired.map((id) => this.release(id, {}, "expired"))
+    );
+
+    return released.filter(Boolean).length;
+  }
+
+  /**
+   * Expire reservations every `sweep_ms`, without keeping the process alive
+   * @returns {NodeJS.Timeout}
+   */
+  startSweeper() {
+    const timer = setInterval(() => {
+      this.expire().catch((error) =>
+        logger.error("Reservations could not expire", { error })
+      );
+    }, this.options.sweep_ms);
+
+    timer.unref();
+
+    return timer;
+  }
+
+  async record(type, product, { quantity, reservation, user, reason }) {
+    return InventoryMovement.create({
+      product: product._id,
+      type,
+      quantity,
+      stock: product.stock,
+      reserved: product.reserved,
+      low_stock:
+        product.stock - product.reserved <= product.low_stock_threshold,
+      reservation,
+      user,
+      reason,
+    });
+  }
+}
+
+module.exports = new InventoryService(config.get("inventory"));
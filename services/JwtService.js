@@ -4,6 +4,9 @@
 
 const jwt = require("jsonwebtoken");
 const config = require("config");
+const { v4: uuidv4 } = require("uuid");
+const createRevocationStore = require("./revocation");
+const KeyRing = require("./KeyRing");
 
 /**
  * @name: JwtService
@@ -11,12 +14,27 @@ const config = require("config");
 class JwtService {
   /**
    * JwtService constructor
-   * @param accessKey
+   * @param accessKeys KeyRing signing and verifying the access tokens
    * @param accessTime
+   * @param refreshKey
+   * @param refreshTime
+   * @param revocationStore denylist of access token ids
+   * @param secretKey key of single-purpose tokens such as email links
    */
-  constructor(accessKey, accessTime) {
-    this.tokenKey = accessKey;
+  constructor(
+    accessKeys,
+    accessTime,
+    refreshKey,
+    refreshTime,
+    revocationStore,
+    secretKey
+  ) {
+    this.accessKeys = accessKeys;
     this.tokenTime = accessTime;
+    this.refreshKey = refreshKey;
+    this.refreshTime = refreshTime;
+    this.revocationStore = revocationStore;
+    this.secretKey = secretKey;
   }
 
   /**
@@ -26,21 +44,139 @@ class JwtService {
    * @returns {*}
    */
   async verifyAccess(token) {
-    return jwt.verify(token, this.tokenKey, {});
+    const decodedData = this.accessKeys.verify(token);
+
+    if (
+      decodedData.jti &&
+      (await this.revocationStore.isRevoked(decodedData.jti))
+    ) {
+      throw new jwt.JsonWebTokenError("jwt revoked");
+    }
+
+    return decodedData;
+  }
+
+  /**
+   * Deny an access token for the rest of its lifetime
+   * @param decodedData verified payload of the token
+   * @returns {Promise<void>}
+   */
+  async revokeAccess(decodedData) {
+    const expiresAt = new Date(decodedData.exp * 1000);
+
+    if (expiresAt.getTime() > Date.now()) {
+      await this.revocationStore.revoke(decodedData.jti, expiresAt);
+    }
+  }
+
+  /**
+   * Verify refresh token
+   * @param token
+   * @returns {*} decoded payload with `id` and `sid`
+   */
+  async verifyRefresh(token) {
+    return jwt.verify(token, this.refreshKey, {});
+  }
+
+  /**
+   * Generate a token that is only good for one purpose, e.g. a link sent by
+   * email. Its `jti` lets the caller make it single-use.
+   * @param purpose
+   * @param payload
+   * @param expiresIn
+   * @returns {{token: string, jti: string}}
+   */
+  generatePurposeToken(purpose, payload, expiresIn) {
+    const jti = uuidv4();
+
+    const token = jwt.sign({ ...payload, purpose }, this.secretKey, {
+      expiresIn,
+      jwtid: jti,
+    });
+
+    return { token, jti };
   }
 
-  generateTokens(payload) {
-    const token = jwt.sign(payload, this.tokenKey, {
-      expiresIn: this.tokenTime,
+  /**
+   * Verify a token generated for a purpose
+   * @param token
+   * @param purpose
+   * @returns {*}
+   */
+  async verifyPurposeToken(token, purpose) {
+    const decodedData = jwt.verify(token, this.secretKey, {});
+
+    if (decodedData.purpose !== purpose) {
+      throw new jwt.JsonWebTokenError("jwt purpose invalid");
+    }
+
+    return decodedData;
+  }
+
+  /**
+   * Generate an access token for an OAuth client, signed like the ones of
+   * the sessions but not bound to a session
+   * @param payload
+   * @param subject id of the user, or of the client acting on its own behalf
+   * @param expiresIn
+   * @returns {{token: string, expiresIn: number}} the token and its lifetime
+   * in seconds
+   */
+  generateClientToken(payload, subject, expiresIn) {
+    const token = this.accessKeys.sign(payload, {
+      subject,
+      expiresIn,
+      jwtid: uuidv4(),
     });
 
+    const { iat, exp } = jwt.decode(token);
+
+    return { token, expiresIn: exp - iat };
+  }
+
+  /**
+   * Generate a short-lived access token and a long-lived refresh token.
+   * Both carry the id of the session they belong to, so that revoking the
+   * session revokes them too.
+   * @param payload
+   * @param sessionId
+   * @returns {{token: string, refreshToken: string}}
+   */
+  generateTokens(payload, sessionId) {
+    const token = this.accessKeys.sign(
+      { ...payload, sid: sessionId },
+      {
+        expiresIn: this.tokenTime,
+        jwtid: uuidv4(),
+      }
+    );
+
+    const refreshToken = jwt.sign(
+      { id: payload.id, sid: sessionId },
+      this.refreshKey,
+      {
+        expiresIn: this.refreshTime,
+        jwtid: uuidv4(),
+      }
+    );
+
     return {
       token,
+      refreshToken,
     };
   }
 }
 
+const accessKeys = new KeyRing(
+  config.has("access_signing") ? config.get("access_signing") : {},
+  config.has("access_key") ? config.get("access_key") : undefined
+);
+
 module.exports = new JwtService(
-  config.get("access_key"),
-  config.get("access_time")
+  accessKeys,
+  config.get("access_time"),
+  config.get("refresh_key"),
+  config.get("refresh_time"),
+  createRevocationStore(config.get("revocation_store")),
+  config.get("secret")
 );
@@ -0,0 +1,164 @@
+/**
+ * @class KeyRing
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const algorithms = {
+  HS256: "secret",
+  RS256: "rsa",
+  ES256: "ec",
+};
+
+const readKey = (options, name) => {
+  if (options[name]) {
+    return options[name];
+  }
+
+  if (options[`${name}_file`]) {
+    return fs.readFileSync(options[`${name}_file`], "utf8");
+  }
+
+  return undefined;
+};
+
+const loadKey = (options) => {
+  if (!algorithms.hasOwnProperty(options.algorithm)) {
+    throw new Error(`'${options.algorithm}' signing algorithm is not exist`);
+  }
+
+  const key = { kid: options.kid, algorithm: options.algorithm };
+
+  if (options.algorithm === "HS256") {
+    key.privateKey = options.secret;
+    key.publicKey = options.secret;
+
+    return key;
+  }
+
+  const privateKey = readKey(options, "private_key");
+
+  if (privateKey) {
+    key.privateKey = crypto.createPrivateKey(privateKey);
+    key.publicKey = crypto.createPublicKey(key.privateKey);
+  } else {
+    key.publicKey = crypto.createPublicKey(readKey(options, "public_key"));
+  }
+
+  if (key.publicKey.asymmetricKeyType !== algorithms[options.algorithm]) {
+    throw new Error(`'${options.kid}' is not a ${options.algorithm} key`);
+  }
+
+  return key;
+};
+
+/**
+ * @name: KeyRing
+ */
+class KeyRing {
+  /**
+   * KeyRing constructor
+   * @param options `keys`, each with a `kid`, an `algorithm` (HS256, RS256
+   * or ES256) and a `secret` or a `private_key`/`public_key` given as PEM or
+   * as a path in `*_file`; keys without a private key only verify. Tokens are
+   * signed with the key of `signing_kid`.
+   * @param legacySecret HS256 secret of the tokens without a `kid`, used to
+   * sign too when no `signing_kid` is set
+   */
+  constructor(options = {}, legacySecret) {
+    this.keys = new Map();
+    this.legacySecret = legacySecret;
+
+    (options.keys || []).forEach((key) => {
+      this.keys.set(key.kid, loadKey(key));
+    });
+
+    this.signingKey = options.signing_kid
+      ? this.keys.get(options.signing_kid)
+      : undefined;
+
+    if (
+      options.signing_kid &&
+      !(this.signingKey && this.signingKey.privateKey)
+    ) {
+      throw new Error(`'${options.signing_kid}' signing key is not exist`);
+    }
+  }
+
+  /**
+   * Sign a payload with the signing key, naming it in the `kid` header
+   * @param payload
+   * @param options of jsonwebtoken's `sign`
+   * @returns {string}
+   */
+  sign(payload, options = {}) {
+    if (!this.signingKey) {
+      return jwt.sign(payload, this.legacySecret, options);
+    }
+
+    return jwt.sign(payload, this.signingKey.privateKey, {
+      ...options,
+      algorithm: this.signingKey.algorithm,
+      keyid: this.signingKey.kid,
+    });
+  }
+
+  /**
+   * Verify a token with the key named by its `kid` header. Only the algorithm
+   * of that key is accepted.
+   * @param token
+   * @returns {*} decoded payload
+   */
+  verify(token) {
+    const decoded = jwt.decode(token, { complete: true });
+
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError("jwt malformed");
+    }
+
+    const { kid } = decoded.header;
+
+    if (kid === undefined) {
+      if (!this.legacySecret) {
+        throw new jwt.JsonWebTokenError("jwt kid missing");
+      }
+
+      return jwt.verify(token, this.legacySecret, { algorithms: ["HS256"] });
+    }
+
+    const key = this.keys.get(kid);
+
+    if (!key) {
+      throw new jwt.JsonWebTokenError("jwt kid unknown");
+    }
+
+    return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+  }
+
+  /**
+   * The public keys as a JSON Web Key Set. Symmetric keys are never listed.
+   * @returns {{keys: object[]}}
+   */
+  jwks() {
+    const keys = [];
+
+    this.keys.forEach((key) => {
+      if (key.algorithm === "HS256") {
+        return;
+      }
+
+      keys.push({
+        ...key.publicKey.export({ format: "jwk" }),
+        kid: key.kid,
+        alg: key.algorithm,
+        use: "sig",
+      });
+    });
+
+    return { keys };
+  }
+}
+
+module.exports = KeyRing;
@@ -0,0 +1,126 @@
+/**
+ * @class LoginAttemptService
+ */
+
+const config = require("config");
+const LoginAttempt = require("../models/LoginAttempt.model");
+
+/**
+ * @name: LoginAttemptService
+ */
+class LoginAttemptService {
+  /**
+   * LoginAttemptService constructor
+   * @param options `max_failures` and `ip_max_failures` before a lockout of
+   * `lockout_ms`; after `free_failures` an account waits `backoff_base_ms`,
+   * doubled on every failure up to `backoff_max_ms`. Counters are forgotten
+   * `window_ms` after the last failure.
+   */
+  constructor(options) {
+    this.options = options;
+  }
+
+  /**
+   * How long the client has to wait before trying again
+   * @param email
+   * @param ip
+   * @returns {Promise<number>} milliseconds, 0 when it may sign in
+   */
+  async retryAfter(email, ip) {
+    const [account, address] = await Promise.all([
+      LoginAttempt.findOne({ key: this.accountKey(email) }),
+      LoginAttempt.findOne({ key: this.ipKey(ip) }),
+    ]);
+
+    const now = Date.now();
+    const waits = [0];
+
+    [account, address].forEach((attempt) => {
+      if (attempt && attempt.locked_until) {
+        waits.push(attempt.locked_until.getTime() - now);
+      }
+    });
+
+    if (account && account.last_failed_at) {
+      waits.push(
+        account.last_failed_at.getTime() + this.backoff(account) - now
+      );
+    }
+
+    return Math.max(...waits);
+  }
+
+  /**
+   * Count a failed sign in of an account from an address
+   * @param email
+   * @param ip
+   */
+  async fail(email, ip) {
+    await Promise.all([
+      this.count(this.accountKey(email), this.options.max_failures),
+      this.count(this.ipKey(ip), this.options.ip_max_failures),
+    ]);
+  }
+
+  /**
+   * Forget the failures of an account, after a successful sign in or when an
+   * admin unlocks it
+   * @param email
+   */
+  async reset(email) {
+    await LoginAttempt.deleteOne({ key: this.accountKey(email) });
+  }
+
+  async count(key, maxFailures) {
+    const now = new Date();
+    const stale = new Date(now.getTime() - this.options.window_ms);
+
+    await LoginAttempt.deleteOne({ key, last_failed_at: { $lt: stale } });
+
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        last_failed_at: now,
+        expires_at: new Date(now.getTime() + this.options.window_ms),
+      },
+      { upsert: true, new: true }
+    );
+
+    if (attempt.failures >= maxFailures) {
+      const lockedUntil = new Date(now.getTime() + this.options.lockout_ms);
+
+      await LoginAttempt.updateOne(
+        { key },
+        {
+          locked_until: lockedUntil,
+          failures: 0,
+          expires_at: new Date(lockedUntil.getTime() + this.options.window_ms),
+        }
+      );
+    }
+  }
+
+  backoff(attempt) {
+    const { free_failures, backoff_base_ms, backoff_max_ms } = this.options;
+
+    if (attempt.failures <= free_failures) {
+      return 0;
+    }
+
+    return Math.min(
+      backoff_base_ms * 2 ** (attempt.failures - free_failures - 1),
+      backoff_max_ms
+    );
+  }
+
+  accountKey(email) {
+    return `account:${`${email}`.toLowerCase()}`;
+  }
+
+  ipKey(ip) {
+    return `ip:${ip}`;
+  }
+}
+
+module.exports = new LoginAttemptService(config.get("login_protection"));
@@ -0,0 +1,36 @@
+/**
+ * @class MailService
+ */
+
+const config = require("config");
+const createTransport = require("./mail");
+
+/**
+ * @name: MailService
+ */
+class MailService {
+  /**
+   * MailService constructor
+   * @param transport anything with an async `send(message)`
+   * @param from
+   */
+  constructor(transport, from) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  /**
+   * Send an email
+   * @param to
+   * @param subject
+   * @param text
+   * @returns {Promise<void>}
+   */
+  async send({ to, subject, text }) {
+    await this.transport.send({ from: this.from, to, subject, text });
+  }
+}
+
+const options = config.get("mail");
+
+module.exports = new MailService(createTransport(options), options.from);
@@ -0,0 +1,252 @@
+/**
+ * @class MfaService
+ */
+
+const crypto = require("crypto");
+const config = require("config");
+const User = require("../models/User.model");
+const hashToken = require("../helpers/hashToken");
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const PERIOD = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  let output = "";
+
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, "0");
+  });
+
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+
+  return output;
+};
+
+const base32Decode = (secret) => {
+  let bits = "";
+  const bytes = [];
+
+  secret
+    .replace(/=+$/, "")
+    .toUpperCase()
+    .split("")
+    .forEach((char) => {
+      bits += BASE32.indexOf(char).toString(2).padStart(5, "0");
+    });
+
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP, the counter of RFC 6238 is the number of time steps.
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(message)
+    .digest();
+
+  const offset = digest[digest.length - 1] & 0xf;
+  const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return `${code}`.padStart(DIGITS, "0");
+};
+
+/**
+ * @name: MfaService
+ */
+class MfaService {
+  /**
+   * MfaService constructor
+   * @param options `issuer` shown by authenticator apps, `window` of time
+   * steps accepted around the current one and the number of
+   * `recovery_codes` given to a user
+   */
+  constructor(options) {
+    this.options = options;
+  }
+
+  /**
+   * Load a user together with the secret fields of its second factor
+   * @param id
+   * @returns {Promise<*>}
+   */
+  async findUser(id) {
+    return User.findById(id).select(
+      "+mfa.secret +mfa.last_step +mfa.recovery_codes"
+    );
+  }
+
+  /**
+   * The code of a secret at a given time
+   * @param secret base32 encoded
+   * @param time in ms
+   * @returns {string}
+   */
+  generate(secret, time = Date.now()) {
+    return hotp(secret, this.step(time));
+  }
+
+  /**
+   * Give a user a new secret to add to an authenticator app. It is used only
+   * after it was confirmed with `enable`.
+   * @param user
+   * @returns {Promise<{secret: string, otpauth_url: string}>}
+   */
+  async enroll(user) {
+    const secret = base32Encode(crypto.randomBytes(20));
+
+    user.mfa.secret = secret;
+    await user.save();
+
+    const issuer = encodeURIComponent(this.options.issuer);
+    const account = encodeURIComponent(user.email);
+
+    return {
+      secret,
+      otpauth_url: `otpauth://totp/${issuer}:${account}?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD}`,
+    };
+  }
+
+  /**
+   * Turn the second factor on with a first code of the enrolled secret
+   * @param user
+   * @param code
+   * @returns {Promise<string[]|null>} recovery codes, null for a wrong code
+   */
+  async enable(user, code) {
+    if (!(await this.verifyCode(user, code))) {
+      return null;
+    }
+
+    const recoveryCodes = this.recoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        "mfa.enabled": true,
+        "mfa.recovery_codes": recoveryCodes.map(hashToken),
+      }
+    );
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn the second factor off and forget its secret
+   * @param user
+   * @returns {Promise<void>}
+   */
+  async disable(user) {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        "mfa.enabled": false,
+        $unset: {
+          "mfa.secret": "",
+          "mfa.last_step": "",
+          "mfa.recovery_codes": "",
+        },
+      }
+    );
+  }
+
+  /**
+   * Replace the recovery codes of a user
+   * @param user
+   * @returns {Promise<string[]>}
+   */
+  async regenerateRecoveryCodes(user) {
+    const recoveryCodes = this.recoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      { "mfa.recovery_codes": recoveryCodes.map(hashToken) }
+    );
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a code of the authenticator app or, when the second factor is on,
+   * one of the recovery codes. Both can be used only once.
+   * @param user
+   * @param code
+   * @returns {Promise<boolean>}
+   */
+  async verify(user, code) {
+    if (await this.verifyCode(user, code)) {
+      return true;
+    }
+
+    if (!user.mfa.enabled) {
+      return false;
+    }
+
+    const consumed = await User.updateOne(
+      { _id: user._id, "mfa.recovery_codes": hashToken(code) },
+      { $pull: { "mfa.recovery_codes": hashToken(code) } }
+    );
+
+    return consumed.modifiedCount > 0;
+  }
+
+  async verifyCode(user, code) {
+    if (!user.mfa.secret) {
+      return false;
+    }
+
+    const current = this.step(Date.now());
+
+    for (let i = -this.options.window; i <= this.options.window; i++) {
+      const step = current + i;
+
+      if (
+        hotp(user.mfa.secret, step) === `${code}` &&
+        (await this.useStep(user, step))
+      ) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // A code stays valid for its whole time step, so the last used step is
+  // recorded and neither it nor an earlier one is accepted again.
+  async useStep(user, step) {
+    const updated = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { "mfa.last_step": { $exists: false } },
+          { "mfa.last_step": { $lt: step } },
+        ],
+      },
+      { "mfa.last_step": step }
+    );
+
+    return updated.modifiedCount > 0;
+  }
+
+  recoveryCodes() {
+    return Array.from({ length: this.options.recovery_codes }, () =>
+      crypto.randomBytes(5).toString("hex")
+    );
+  }
+
+  step(time) {
+    return Math.floor(time / 1000 / PERIOD);
+  }
+}
+
+module.exports = new MfaService(config.get("mfa"));
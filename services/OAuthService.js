@@ -0,0 +1,352 @@
+/**
+ * @class OAuthService
+ */
+
+const crypto = require("crypto");
+const config = require("config");
+const OAuthClient = require("../models/OAuthClient.model");
+const OAuthCode = require("../models/OAuthCode.model");
+const OAuthConsent = require("../models/OAuthConsent.model");
+const User = require("../models/User.model");
+const jwt = require("./JwtService");
+const hashToken = require("../helpers/hashToken");
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(`${a}`);
+  const right = Buffer.from(`${b}`);
+
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// RFC 7636, only the S256 method is supported.
+const codeChallenge = (verifier) =>
+  crypto.createHash("sha256").update(`${verifier}`).digest("base64url");
+
+/**
+ * @name: OAuthService
+ */
+class OAuthService {
+  /**
+   * OAuthService constructor
+   * @param options `code_ms` lifetime of authorization codes and
+   * `access_time` lifetime of the access tokens
+   */
+  constructor(options) {
+    this.options = options;
+  }
+
+  /**
+   * Register a client. Confidential clients get a secret, public ones such
+   * as single page or mobile apps rely on PKCE only.
+   * @param owner user registering the client
+   * @param client `name`, `redirect_uris`, `grant_types`, `scopes` and
+   * `confidential`
+   * @returns {Promise<{client: *, clientSecret: string|undefined}>} the
+   * secret cannot be read again
+   */
+  async registerClient(owner, { confidential, ...client }) {
+    const clientSecret = confidential ? randomToken() : undefined;
+
+    const created = await OAuthClient.create({
+      ...client,
+      client_id: crypto.randomBytes(16).toString("hex"),
+      client_secret: clientSecret && hashToken(clientSecret),
+      createdBy: owner._id,
+    });
+
+    created.client_secret = undefined;
+
+    return { client: created, clientSecret };
+  }
+
+  /**
+   * Find an active client
+   * @param clientId
+   * @returns {Promise<*>}
+   */
+  async findClient(clientId) {
+    return OAuthClient.findOne({
+      client_id: `${clientId}`,
+      revoked_at: null,
+    }).select("+client_secret");
+  }
+
+  /**
+   * Authenticate the client of a token endpoint request, with HTTP Basic or
+   * `client_id`/`client_secret` in the body. Public clients only send their
+   * `client_id`.
+   * @param req
+   * @returns {Promise<*>} the client or null
+   */
+  async authenticateClient(req) {
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+
+    const [scheme, credentials] = `${req.headers.authorization}`.split(" ");
+
+    if (scheme === "Basic" && credentials) {
+      const decoded = Buffer.from(credentials, "base64").toString();
+      const separator = decoded.indexOf(":");
+
+      // Malformed percent-encodings are answered like wrong credentials.
+      try {
+        clientId = decodeURIComponent(decoded.slice(0, separator));
+        clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+      } catch (error) {
+        return null;
+      }
+    }
+
+    if (!clientId) {
+      return null;
+    }
+
+    const client = await this.findClient(clientId);
+
+    if (!client) {
+      return null;
+    }
+
+    if (!client.client_secret) {
+      return clientSecret ? null : client;
+    }
+
+    return clientSecret &&
+      safeEqual(hashToken(clientSecret), client.client_secret)
+      ? client
+      : null;
+  }
+
+  /**
+   * Check an authorization request of a client
+   * @param client
+   * @param request `redirect_uri` and space separated `scope`
+   * @returns {{error: string, description: string}|{scopes: string[]}}
+   */
+  checkAuthorization(client, { redirect_uri, scope }) {
+    if (!client.grant_types.includes("authorization_code")) {
+      return {
+        error: "unauthorized_client",
+        description: "The client cannot use the authorization code grant",
+      };
+    }
+
+    if (!client.redirect_uris.includes(redirect_uri)) {
+      return {
+        error: "invalid_request",
+        description: "redirect_uri is not registered for the client",
+      };
+    }
+
+    return this.checkScopes(client, scope);
+  }
+
+  /**
+   * Check the scopes asked by a client, all of its scopes when none is asked
+   * @param client
+   * @param scope space separated
+   * @returns {{error: string, description: string}|{scopes: string[]}}
+   */
+  checkScopes(client, scope) {
+    const scopes = scope ? [...new Set(scope.split(" "))] : client.scopes;
+
+    if (!scopes.every((name) => client.scopes.includes(name))) {
+      return {
+        error: "invalid_scope",
+        description: "The client cannot ask for these scopes",
+      };
+    }
+
+    return { scopes };
+  }
+
+  /**
+   * Whether a user already agreed to give the scopes to a client
+   * @param user
+   * @param client
+   * @param scopes
+   * @returns {Promise<boolean>}
+   */
+  async hasConsent(user, client, scopes) {
+    const consent = await OAuthConsent.findOne({
+      user: user.id,
+      client_id: client.client_id,
+    });
+
+    return !!consent && scopes.every((scope) => consent.scopes.includes(scope));
+  }
+
+  /**
+   * Record the consent of a user and issue an authorization code
+   * @param user
+   * @param client
+   * @param request `redirect_uri`, `scopes` and `code_challenge`
+   * @returns {Promise<string>} the code
+   */
+  async authorize(user, client, { redirect_uri, scopes, code_challenge }) {
+    await OAuthConsent.updateOne(
+      { user: user.id, client_id: client.client_id },
+      { $addToSet: { scopes: { $each: scopes } } },
+      { upsert: true }
+    );
+
+    const code = randomToken();
+
+    await OAuthCode.create({
+      code: hashToken(code),
+      client_id: client.client_id,
+      user: user.id,
+      redirect_uri,
+      scopes,
+      code_challenge,
+      expires_at: new Date(Date.now() + this.options.code_ms),
+    });
+
+    return code;
+  }
+
+  /**
+   * Exchange an authorization code for an access token. A code is used only
+   * once, by the client it was issued to, with the same redirect_uri and the
+   * verifier of its PKCE challenge.
+   * @param client
+   * @param request `code`, `redirect_uri` and `code_verifier`
+   * @returns {Promise<*>} the token response, or null for an invalid grant
+   */
+  async exchangeCode(client, { code, redirect_uri, code_verifier }) {
+    const grant = await OAuthCode.findOneAndUpdate(
+      {
+        code: hashToken(code),
+        used_at: null,
+        expires_at: { $gt: new Date() },
+      },
+      { used_at: new Date() }
+    );
+
+    if (
+      !grant ||
+      grant.client_id !== client.client_id ||
+      grant.redirect_uri !== redirect_uri ||
+      !safeEqual(codeChallenge(code_verifier), grant.code_challenge)
+    ) {
+      return null;
+    }
+
+    const user = await User.findById(grant.user);
+
+    if (!user || !user.is_active) {
+      return null;
+    }
+
+    return this.issueToken(client, grant.scopes, user);
+  }
+
+  /**
+   * Issue an access token to a client, acting for a user or on its own
+   * @param client
+   * @param scopes
+   * @param user omitted for the client credentials grant
+   * @returns {{access_token: string, token_type: string, expires_in: number, scope: string}}
+   */
+  issueToken(client, scopes, user) {
+    const payload = {
+      client_id: client.client_id,
+      scopes,
+      scope: scopes.join(" "),
+    };
+
+    // The role of the user stays out: clients only get the scopes on what
+    // the user owns, never the rights of an admin.
+    if (user) {
+      payload.id = user.id;
+    }
+
+    const { token, expiresIn } = jwt.generateClientToken(
+      payload,
+      user ? user.id : client.client_id,
+      this.options.access_time
+    );
+
+    return {
+      access_token: token,
+      token_type: "Bearer",
+      expires_in: expiresIn,
+      scope: payload.scope,
+    };
+  }
+
+  /**
+   * Describe an access token to a client, RFC 7662
+   * @param token
+   * @returns {Promise<object>} `{ active: false }` for invalid, expired,
+   * revoked or first-party tokens, and tokens of revoked clients or consents
+   */
+  async introspect(token) {
+    const decodedData = await this.decodeToken(token);
+
+    if (!decodedData) {
+      return { active: false };
+    }
+
+    return {
+      active: true,
+      scope: decodedData.scope,
+      client_id: decodedData.client_id,
+      sub: decodedData.sub,
+      token_type: "Bearer",
+      exp: decodedData.exp,
+      iat: decodedData.iat,
+    };
+  }
+
+  /**
+   * Revoke an access token of a client, RFC 7009. Tokens of other clients
+   * and invalid tokens are ignored.
+   * @param token
+   * @param client
+   * @returns {Promise<void>}
+   */
+  async revoke(token, client) {
+    const decodedData = await this.decodeToken(token);
+
+    if (decodedData && decodedData.client_id === client.client_id) {
+      await jwt.revokeAccess(decodedData);
+    }
+  }
+
+  /**
+   * Whether the access of a client token still stands: its client is not
+   * revoked and, for a token acting for a user, the consent of the user
+   * still covers its scopes
+   * @param decodedData verified payload of the token
+   * @returns {Promise<boolean>}
+   */
+  async isGranted(decodedData) {
+    const client = await this.findClient(decodedData.client_id);
+
+    if (!client) {
+      return false;
+    }
+
+    return (
+      !decodedData.id ||
+      this.hasConsent({ id: decodedData.id }, client, decodedData.scopes || [])
+    );
+  }
+
+  async decodeToken(token) {
+    try {
+      const decodedData = await jwt.verifyAccess(`${token}`);
+
+      return decodedData.client_id && (await this.isGranted(decodedData))
+        ? decodedData
+        : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new OAuthService(config.get("oauth"));
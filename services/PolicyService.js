@@ -0,0 +1,73 @@
+/**
+ * @class PolicyService
+ */
+
+const policies = require("../policies");
+
+/**
+ * @name: PolicyService
+ */
+class PolicyService {
+  /**
+   * PolicyService constructor
+   * @param rules map of "resource:action" to the list of rules allowing it
+   */
+  constructor(rules = {}) {
+    this.rules = {};
+
+    Object.entries(rules).forEach(([permission, rule]) => {
+      this.define(permission, rule);
+    });
+  }
+
+  /**
+   * Allow a permission by one or more rules. A rule may list the `roles` of
+   * the subject and a `when({ user, resource, req })` condition; both must
+   * hold for the rule to match.
+   * @param permission
+   * @param rules
+   * @returns {PolicyService}
+   */
+  define(permission, rules) {
+    this.rules[permission] = (this.rules[permission] || []).concat(rules);
+
+    return this;
+  }
+
+  /**
+   * Check whether the subject holds a permission. Any matching rule allows
+   * it, unknown permissions are denied. Subjects with `scopes`, such as API
+   * keys, hold only the permissions listed there.
+   * @param user the decoded token payload
+   * @param permission e.g. "product:update"
+   * @param context optional `resource` document and `req`
+   * @returns {boolean}
+   */
+  can(user, permission, context = {}) {
+    if (!user) {
+      return false;
+    }
+
+    if (user.scopes && !user.scopes.includes(permission)) {
+      return false;
+    }
+
+    const rules = this.rules[permission] || [];
+
+    return rules.some((rule) => this.matches(rule, { ...context, user }));
+  }
+
+  matches(rule, context) {
+    if (rule.roles && !rule.roles.includes(context.user.role)) {
+      return false;
+    }
+
+    if (rule.when && !rule.when(context)) {
+      return false;
+    }
+
+    return true;
+  }
+}
+
+module.exports = new PolicyService(policies);
@@ -0,0 +1,273 @@
+/**
+ * @class ProductSearchService
+ */
+
+const Product = require("../models/Product.model");
+const Category = require("../models/Category.model");
+const money = require("../helpers/money");
+
+// Same weights as the text index of the products.
+const weights = { title: 10, description: 2 };
+
+const SNIPPET_LENGTH = 160;
+const PRICE_BOUNDARIES = [0, 10, 50, 100, 500];
+const FACET_LIMIT = 20;
+
+// Terms are matched at the start of words, in any alphabet.
+const wordStart = "(?<![\\p{L}\\p{N}])";
+const letter = "[\\p{L}\\p{N}]";
+
+const termsOf = (q) => [
+  ...new Set(q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []),
+];
+
+const escapeHtml = (text) =>
+  text.replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        char
+      ])
+  );
+
+// Words one typo away: a letter missing, added, replaced or swapped. Short
+// terms would match almost anything that way, they only match as prefixes.
+const typos = (term) => {
+  const variants = new Set([term]);
+
+  if (term.length < 4) {
+    return [...variants];
+  }
+
+  for (let i = 0; i < term.length; i += 1) {
+    variants.add(term.slice(0, i) + term.slice(i + 1));
+    variants.add(term.slice(0, i) + letter + term.slice(i + 1));
+    variants.add(term.slice(0, i) + letter + term.slice(i));
+
+    if (i < term.length - 1) {
+      variants.add(
+        term.slice(0, i) + term[i + 1] + term[i] + term.slice(i + 2)
+      );
+    }
+  }
+
+  return [...variants];
+};
+
+const prefixPattern = (term) => `${wordStart}${term}`;
+
+const typoPattern = (term) => `${wordStart}(?:${typos(term).join("|")})`;
+
+const regexMatch = (field, pattern) => ({
+  $regexMatch: { input: `$${field}`, regex: pattern, options: "i" },
+});
+
+// A term found as a prefix scores the weight of the field, half of it with
+// a typo.
+const fuzzyScore = (terms) => ({
+  $add: terms.flatMap((term) =>
+    Object.entries(weights).map(([field, weight]) => ({
+      $cond: [
+        regexMatch(field, prefixPattern(term)),
+        weight,
+        { $cond: [regexMatch(field, typoPattern(term)), weight / 2, 0] },
+      ],
+    }))
+  ),
+});
+
+// Matches of a text as [start, end] ranges, merged when they overlap.
+const matchesOf = (text, terms) => {
+  const matches = [];
+
+  terms.forEach((term) => {
+    // The whole words are highlighted, not only their matching start.
+    const pattern = new RegExp(`${typoPattern(term)}${letter}*`, "giu");
+    let match;
+
+    while ((match = pattern.exec(text))) {
+      matches.push([match.index, match.index + match[0].length]);
+    }
+  });
+
+  return matches
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, match) => {
+      const last = merged[merged.length - 1];
+
+      if (last && match[0] <= last[1]) {
+        last[1] = Math.max(last[1], match[1]);
+      } else {
+        merged.push(match);
+      }
+
+      return merged;
+    }, []);
+};
+
+// The text from `start` to `end`, HTML escaped, with the matches in <mark>.
+const mark = (text, matches, start = 0, end = text.length) => {
+  let html = "";
+  let position = start;
+
+  matches
+    .filter(([from, to]) => from >= start && to <= end)
+    .forEach(([from, to]) => {
+      html += escapeHtml(text.slice(position, from));
+      html += `<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+      position = to;
+    });
+
+  return html + escapeHtml(text.slice(position, end));
+};
+
+/**
+ * @name: ProductSearchService
+ */
+class ProductSearchService {
+  /**
+   * Build the search of the products matching `q`. The text index is used
+   * when it finds any product: it ranks whole words and their stems. When it
+   * finds none, such as for the first letters of a word or a word with a
+   * typo, the products are matched by word prefixes, one typo allowed.
+   * @param q the searched text
+   * @param filter of the products
+   * @returns {Promise<{filter: object, pipeline: object[], match: string}>}
+   * the filter and the pipeline adding a `score` field to sort on, and the
+   * kind of `match`, "text" or "fuzzy"
+   */
+  async query(q, filter = {}) {
+    const textFilter = { ...filter, $text: { $search: q } };
+
+    if (await Product.exists(textFilter)) {
+      return {
+        filter: textFilter,
+        pipeline: [{ $addFields: { score: { $meta: "textScore" } } }],
+        match: "text",
+      };
+    }
+
+    const terms = termsOf(q);
+
+    return {
+      filter: {
+        ...filter,
+        $or: terms.flatMap((term) =>
+          Object.keys(weights).map((field) => ({
+            [field]: { $regex: typoPattern(term), $options: "i" },
+          }))
+        ),
+      },
+      pipeline: [{ $addFields: { score: fuzzyScore(terms) } }],
+      match: "fuzzy",
+    };
+  }
+
+  /**
+   * Count the products of a search by price range, in major units of their
+   * currency, by currency, by category and tag, the most used ones, and by
+   * year of creation
+   * @param filter of the search
+   * @returns {Promise<object>} `price`, `currency`, `categories`, `tags` and
+   * `year` counts
+   */
+  async facets(filter) {
+    const [facets] = await Product.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          price: [
+            {
+              $bucket: {
+                groupBy: money.majorAmount("$price", "$currency"),
+                boundaries: PRICE_BOUNDARIES,
+                default: PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1],
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          currency: [
+            { $group: { _id: "$currency", count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+          categories: [
+            { $unwind: "$categories" },
+            { $group: { _id: "$categories", count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_LIMIT },
+            {
+              $lookup: {
+                from: Category.collection.name,
+                localField: "_id",
+                foreignField: "_id",
+                as: "category",
+              },
+            },
+          ],
+          tags: [
+            { $unwind: "$tags" },
+            { $group: { _id: "$tags", count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_LIMIT },
+          ],
+          year: [
+            { $group: { _id: { $year: "$createdAt" }, count: { $sum: 1 } } },
+            { $sort: { _id: -1 } },
+          ],
+        },
+      },
+    ]);
+
+    // The last bucket has no upper bound.
+    return {
+      price: facets.price.map(({ _id, count }) => ({
+        from: _id,
+        to: PRICE_BOUNDARIES[PRICE_BOUNDARIES.indexOf(_id) + 1] ?? null,
+        count,
+      })),
+      currency: facets.currency.map(({ _id, count }) => ({
+        currency: _id,
+        count,
+      })),
+      categories: facets.categories.map(({ _id, count, category }) => ({
+        category: _id,
+        name: category.length ? category[0].name : null,
+        count,
+      })),
+      tags: facets.tags.map(({ _id, count }) => ({ tag: _id, count })),
+      year: facets.year.map(({ _id, count }) => ({ year: _id, count })),
+    };
+  }
+
+  /**
+   * Highlight the terms of `q` in a product: its whole title and a snippet
+   * of its description, HTML escaped with the matches in <mark>
+   * @param product
+   * @param q the searched text
+   * @returns {{title: string, description: string}}
+   */
+  highlight(product, q) {
+    const terms = termsOf(q);
+    const { title = "", description = "" } = product;
+
+    const descriptionMatches = matchesOf(description, terms);
+    const first = descriptionMatches.length ? descriptionMatches[0][0] : 0;
+
+    // Some context before the first match, when the description is long.
+    const start = Math.max(
+      0,
+      Math.min(first - SNIPPET_LENGTH / 4, description.length - SNIPPET_LENGTH)
+    );
+    const end = Math.min(description.length, start + SNIPPET_LENGTH);
+
+    return {
+      title: mark(title, matchesOf(title, terms)),
+      description:
+        (start > 0 ? "…" : "") +
+        mark(description, descriptionMatches, start, end) +
+        (end < description.length ? "…" : ""),
+    };
+  }
+}
+
+module.exports = new ProductSearchService();
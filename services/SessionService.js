@@ -0,0 +1,107 @@
+/**
+ * @class SessionService
+ */
+
+const config = require("config");
+const Session = require("../models/Session.model");
+const jwt = require("./JwtService");
+const hashToken = require("../helpers/hashToken");
+
+/**
+ * @name: SessionService
+ */
+class SessionService {
+  /**
+   * SessionService constructor
+   * @param lifetime session lifetime in ms, the one of the refresh token
+   */
+  constructor(lifetime) {
+    this.lifetime = lifetime;
+  }
+
+  /**
+   * Start a session for a user and issue its first pair of tokens
+   * @param user
+   * @param payload access token payload
+   * @param meta `device`, `user_agent` and `ip` of the client
+   * @returns {Promise<{token: string, refreshToken: string}>}
+   */
+  async create(user, payload, meta = {}) {
+    const session = new Session({
+      user: user._id,
+      device: meta.device,
+      user_agent: meta.user_agent,
+      ip: meta.ip,
+      expires_at: this.expiresAt(),
+    });
+
+    const tokens = jwt.generateTokens(payload, session.id);
+
+    session.token = hashToken(tokens.refreshToken);
+    await session.save();
+
+    return tokens;
+  }
+
+  /**
+   * Swap the current refresh token of a session for a new pair of tokens.
+   * A refresh token that is not the current one anymore has been replayed,
+   * so the session is revoked and nothing is issued.
+   * @param sessionId
+   * @param refreshToken
+   * @param payload access token payload
+   * @returns {Promise<{token: string, refreshToken: string}|null>}
+   */
+  async rotate(sessionId, refreshToken, payload) {
+    const tokens = jwt.generateTokens(payload, sessionId);
+
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, token: hashToken(refreshToken), revoked_at: null },
+      {
+        token: hashToken(tokens.refreshToken),
+        last_seen_at: new Date(),
+        expires_at: this.expiresAt(),
+      }
+    );
+
+    if (!session) {
+      await this.revoke({ _id: sessionId });
+      return null;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Mark a session as seen if it is still active
+   * @param sessionId
+   * @returns {Promise<Session|null>} the session, null when it was revoked
+   */
+  async touch(sessionId) {
+    return Session.findOneAndUpdate(
+      { _id: sessionId, revoked_at: null },
+      { last_seen_at: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Revoke the active sessions matching a filter
+   * @param filter e.g. `{ user: id }` to log out everywhere
+   * @returns {Promise<number>} how many sessions were revoked
+   */
+  async revoke(filter) {
+    const result = await Session.updateMany(
+      { ...filter, revoked_at: null },
+      { revoked_at: new Date() }
+    );
+
+    return result.modifiedCount;
+  }
+
+  expiresAt() {
+    return new Date(Date.now() + this.lifetime);
+  }
+}
+
+module.exports = new SessionService(config.get("refresh_ms"));
@@ -0,0 +1,124 @@
+/**
+ * @class TrashService
+ */
+
+const config = require("config");
+const logger = require("../helpers/logger");
+const User = require("../models/User.model");
+const Product = require("../models/Product.model");
+const Session = require("../models/Session.model");
+const ApiKey = require("../models/ApiKey.model");
+const OAuthCode = require("../models/OAuthCode.model");
+const OAuthConsent = require("../models/OAuthConsent.model");
+const Reservation = require("../models/Reservation.model");
+const inventory = require("./InventoryService");
+
+/**
+ * @name: TrashService
+ */
+class TrashService {
+  /**
+   * TrashService constructor
+   * @param options `retention_ms` time deleted documents stay in the trash
+   * and `sweep_ms` period of their purge
+   * @param models with a trash, by name
+   */
+  constructor(options, models) {
+    this.options = options;
+    this.models = models;
+  }
+
+  /**
+   * Delete for good the documents trashed more than `retention_ms` ago
+   * @returns {Promise<object>} the number of purged documents by model name
+   */
+  async purgeExpired() {
+    const before = new Date(Date.now() - this.options.retention_ms);
+    const purged = {};
+    const users = await User.find({ deletedAt: { $lte: before } }).distinct(
+      "_id"
+    );
+
+    for (const [name, Model] of Object.entries(this.models)) {
+      purged[name] = await Model.purgeDeletedBefore(before);
+    }
+
+    // Users restored meanwhile keep what they have.
+    const kept = await User.find({ _id: { $in: users } }, "_id", {
+      withDeleted: true,
+    }).distinct("_id");
+
+    await this.removeUserData(
+      users.filter((id) => !kept.some((item) => item.equals(id)))
+    );
+
+    return purged;
+  }
+
+  /**
+   * Delete a user of the trash for good, with what belongs to them
+   * @param id
+   * @returns {Promise<*>} the user, or null when it is not in the trash
+   */
+  async purgeUser(id) {
+    const user = await User.purgeById(id);
+
+    if (user) {
+      await this.removeUserData([user._id]);
+    }
+
+    return user;
+  }
+
+  /**
+   * Delete the sessions, API keys, OAuth consents and codes and the
+   * reservations of purged users. Active reservations are released first, so
+   * that their units are available again.
+   * @param ids of the users
+   * @returns {Promise<void>}
+   */
+  async removeUserData(ids) {
+    if (!ids.length) {
+      return;
+    }
+
+    const filter = { user: { $in: ids } };
+
+    const active = await Reservation.find({
+      ...filter,
+      status: "active",
+    }).distinct("_id");
+
+    await Promise.all(active.map((id) => inventory.release(id)));
+
+    await Promise.all([
+      Session.deleteMany(filter),
+      ApiKey.deleteMany(filter),
+      OAuthConsent.deleteMany(filter),
+      OAuthCode.deleteMany(filter),
+      Reservation.deleteMany(filter),
+    ]);
+  }
+
+  /**
+   * Purge expired documents every `sweep_ms`, without keeping the process
+   * alive
+   * @returns {NodeJS.Timeout}
+   */
+  startSweeper() {
+    const timer = setInterval(() => {
+      this.purgeExpired().catch((error) =>
+        logger.error("Trash could not be purged", { error })
+      );
+    }, this.options.sweep_ms);
+
+    timer.unref();
+
+    return timer;
+  }
+}
+
+module.exports = new TrashService(config.get("trash"), {
+  users: User,
+  products: Product,
+});
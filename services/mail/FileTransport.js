@@ -0,0 +1,33 @@
+/**
+ * @class FileTransport
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @name: FileTransport
+ */
+class FileTransport {
+  /**
+   * FileTransport constructor
+   * @param file where every message is appended as one JSON line
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  /**
+   * Write a message to the file instead of delivering it
+   * @param message
+   */
+  async send(message) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(
+      this.file,
+      `${JSON.stringify({ ...message, date: new Date() })}\n`
+    );
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,22 @@
+/**
+ * @class MemoryTransport
+ */
+
+/**
+ * @name: MemoryTransport
+ */
+class MemoryTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  /**
+   * Keep a message in memory so that tests can read it
+   * @param message
+   */
+  async send(message) {
+    this.messages.push({ ...message, date: new Date() });
+  }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,15 @@
+const FileTransport = require("./FileTransport");
+const MemoryTransport = require("./MemoryTransport");
+
+const transports = {
+  file: (options) => new FileTransport(options.file),
+  memory: () => new MemoryTransport(),
+};
+
+module.exports = function (options) {
+  if (!transports.hasOwnProperty(options.transport)) {
+    throw new Error(`'${options.transport}' mail transport is not exist`);
+  }
+
+  return transports[options.transport](options);
+};
@@ -0,0 +1,102 @@
+/**
+ * @class MemoryRateLimitStore
+ */
+
+/**
+ * @name: MemoryRateLimitStore
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+    this.purgedAt = 0;
+  }
+
+  /**
+   * Count a hit in the current window of a key
+   * @param key
+   * @param limit
+   * @param windowMs
+   * @returns {Promise<{allowed: boolean, remaining: number, resetMs: number}>}
+   */
+  async fixedWindow(key, limit, windowMs) {
+    const now = Date.now();
+    const windowStart = now - (now % windowMs);
+    const id = `${key}:${windowStart}`;
+
+    this.purge(now);
+
+    const bucket = this.buckets.get(id) || {
+      count: 0,
+      expiresAt: windowStart + windowMs,
+    };
+
+    bucket.count += 1;
+    this.buckets.set(id, bucket);
+
+    return {
+      allowed: bucket.count <= limit,
+      remaining: Math.max(limit - bucket.count, 0),
+      resetMs: bucket.expiresAt - now,
+    };
+  }
+
+  /**
+   * Take a token from the bucket of a key. A full bucket holds `capacity`
+   * tokens and refills completely in `windowMs`. `resetMs` is the time until
+   * the next token when denied, until the bucket is full otherwise.
+   * @param key
+   * @param capacity
+   * @param windowMs
+   * @returns {Promise<{allowed: boolean, remaining: number, resetMs: number}>}
+   */
+  async tokenBucket(key, capacity, windowMs) {
+    const now = Date.now();
+    const rate = capacity / windowMs;
+
+    this.purge(now);
+
+    const bucket = this.buckets.get(key) || {
+      tokens: capacity,
+      updatedAt: now,
+    };
+
+    bucket.tokens = Math.min(
+      capacity,
+      bucket.tokens + (now - bucket.updatedAt) * rate
+    );
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+
+    bucket.expiresAt = now + windowMs;
+    this.buckets.set(key, bucket);
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      resetMs: Math.ceil(
+        (allowed ? capacity - bucket.tokens : 1 - bucket.tokens) / rate
+      ),
+    };
+  }
+
+  purge(now) {
+    if (now - this.purgedAt < 60000) {
+      return;
+    }
+
+    this.purgedAt = now;
+
+    this.buckets.forEach((bucket, id) => {
+      if (bucket.expiresAt <= now) {
+        this.buckets.delete(id);
+      }
+    });
+  }
+}
+
+module.exports = MemoryRateLimitStore;
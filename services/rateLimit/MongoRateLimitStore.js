@@ -0,0 +1,96 @@
+/**
+ * @class MongoRateLimitStore
+ */
+
+const RateLimit = require("../../models/RateLimit.model");
+
+/**
+ * @name: MongoRateLimitStore
+ */
+class MongoRateLimitStore {
+  /**
+   * Count a hit in the current window of a key
+   * @param key
+   * @param limit
+   * @param windowMs
+   * @returns {Promise<{allowed: boolean, remaining: number, resetMs: number}>}
+   */
+  async fixedWindow(key, limit, windowMs) {
+    const now = Date.now();
+    const windowStart = now - (now % windowMs);
+    const expiresAt = windowStart + windowMs;
+
+    const bucket = await RateLimit.findOneAndUpdate(
+      { key: `${key}:${windowStart}` },
+      { $inc: { count: 1 }, $setOnInsert: { expires_at: new Date(expiresAt) } },
+      { upsert: true, new: true }
+    );
+
+    return {
+      allowed: bucket.count <= limit,
+      remaining: Math.max(limit - bucket.count, 0),
+      resetMs: expiresAt - now,
+    };
+  }
+
+  /**
+   * Take a token from the bucket of a key. The refill and the take happen in
+   * one update pipeline, so instances sharing the collection cannot both
+   * spend the last token.
+   * @param key
+   * @param capacity
+   * @param windowMs
+   * @returns {Promise<{allowed: boolean, remaining: number, resetMs: number}>}
+   */
+  async tokenBucket(key, capacity, windowMs) {
+    const now = new Date();
+    const rate = capacity / windowMs;
+
+    const bucket = await RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            tokens: {
+              $min: [
+                capacity,
+                {
+                  $add: [
+                    { $ifNull: ["$tokens", capacity] },
+                    {
+                      $multiply: [
+                        { $subtract: [now, { $ifNull: ["$updated_at", now] }] },
+                        rate,
+                      ],
+                    },
+                  ],
+                },
+              ],
+            },
+            updated_at: now,
+            expires_at: new Date(now.getTime() + windowMs),
+          },
+        },
+        { $set: { allowed: { $gte: ["$tokens", 1] } } },
+        {
+          $set: {
+            tokens: {
+              $cond: ["$allowed", { $subtract: ["$tokens", 1] }, "$tokens"],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    );
+
+    return {
+      allowed: bucket.allowed,
+      remaining: Math.floor(bucket.tokens),
+      resetMs: Math.ceil(
+        (bucket.allowed ? capacity - bucket.tokens : 1 - bucket.tokens) / rate
+      ),
+    };
+  }
+}
+
+module.exports = MongoRateLimitStore;
@@ -0,0 +1,15 @@
+const MongoRateLimitStore = require("./MongoRateLimitStore");
+const MemoryRateLimitStore = require("./MemoryRateLimitStore");
+
+const stores = {
+  mongo: MongoRateLimitStore,
+  memory: MemoryRateLimitStore,
+};
+
+module.exports = function (type = "memory") {
+  if (!stores.hasOwnProperty(type)) {
+    throw new Error(`'${type}' rate limit store is not exist`);
+  }
+
+  return new stores[type]();
+};
@@ -0,0 +1,54 @@
+/**
+ * @class MemoryRevocationStore
+ */
+
+/**
+ * @name: MemoryRevocationStore
+ */
+class MemoryRevocationStore {
+  constructor() {
+    this.tokens = new Map();
+  }
+
+  /**
+   * Deny a token id until it expires
+   * @param jti
+   * @param expiresAt
+   */
+  async revoke(jti, expiresAt) {
+    this.purge();
+    this.tokens.set(jti, expiresAt.getTime());
+  }
+
+  /**
+   * Check whether a token id is denied
+   * @param jti
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(jti) {
+    const expiresAt = this.tokens.get(jti);
+
+    if (expiresAt === undefined) {
+      return false;
+    }
+
+    if (expiresAt <= Date.now()) {
+      this.tokens.delete(jti);
+      return false;
+    }
+
+    return true;
+  }
+
+  purge() {
+    const now = Date.now();
+
+    this.tokens.forEach((expiresAt, jti) => {
+      if (expiresAt <= now) {
+        this.tokens.delete(jti);
+      }
+    });
+  }
+}
+
+module.exports = MemoryRevocationStore;
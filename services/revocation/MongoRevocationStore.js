@@ -0,0 +1,41 @@
+/**
+ * @class MongoRevocationStore
+ */
+
+const RevokedToken = require("../../models/RevokedToken.model");
+
+/**
+ * @name: MongoRevocationStore
+ */
+class MongoRevocationStore {
+  /**
+   * Deny a token id until it expires. The TTL index of the collection drops
+   * the entry afterwards.
+   * @param jti
+   * @param expiresAt
+   */
+  async revoke(jti, expiresAt) {
+    await RevokedToken.updateOne(
+      { jti },
+      { expires_at: expiresAt },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Check whether a token id is denied
+   * @param jti
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(jti) {
+    // MongoDB removes expired documents only once a minute.
+    const revoked = await RevokedToken.exists({
+      jti,
+      expires_at: { $gt: new Date() },
+    });
+
+    return !!revoked;
+  }
+}
+
+module.exports = MongoRevocationStore;
@@ -0,0 +1,15 @@
+const MongoRevocationStore = require("./MongoRevocationStore");
+const MemoryRevocationStore = require("./MemoryRevocationStore");
+
+const stores = {
+  mongo: MongoRevocationStore,
+  memory: MemoryRevocationStore,
+};
+
+module.exports = function (type = "mongo") {
+  if (!stores.hasOwnProperty(type)) {
+    throw new Error(`'${type}' revocation store is not exist`);
+  }
+
+  return new stores[type]();
+};
@@ -0,0 +1,183 @@
+const chai = require("chai");
+const chaiHttp = require("chai-http");
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const app = require("../app");
+const expect = require("chai").expect;
+const AuditLog = require("../models/AuditLog.model");
+const Product = require("../models/Product.model");
+const User = require("../models/User.model");
+const sessions = require("../services/SessionService");
+
+chai.use(chaiHttp);
+
+describe("Testing the audit log", () => {
+  let user;
+  let userTokens;
+  let adminTokens;
+  let product;
+
+  const search = (query, tokens = adminTokens) =>
+    chai
+      .request(app)
+      .get("/api/audit")
+      .query(query)
+      .set("Authorization", `Bearer ${tokens.token}`);
+
+  before(async () => {
+    await mongoose.connect("mongodb://localhost:27017/test", {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    user = await User.create({
+      full_name: "Audited User",
+      email: "audited@example.com",
+      password: bcrypt.hashSync("Orange-Kite-123", 7),
+      is_active: true,
+    });
+
+    const admin = await User.create({
+      full_name: "Admin User",
+      email: "admin@example.com",
+      password: "password",
+      role: "admin",
+    });
+
+    userTokens = await sessions.create(user, { id: user.id, role: user.role });
+    adminTokens = await sessions.create(admin, {
+      id: admin.id,
+      role: admin.role,
+    });
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  it("should record failed and successful sign ins", async () => {
+    await chai
+      .request(app)
+      .post("/api/user/signin")
+      .set("User-Agent", "audit-test")
+      .send({ email: "audited@example.com", password: "Wrong-Kite-123" });
+
+    await chai
+      .request(app)
+      .post("/api/user/signin")
+      .set("User-Agent", "audit-test")
+      .send({ email: "audited@example.com", password: "Orange-Kite-123" });
+
+    const res = await search({ actor: user.id, action: "user.signin" });
+
+    expect(res.status).to.equal(200);
+    expect(res.body.data.map(({ outcome }) => outcome)).to.deep.equal([
+      "success",
+      "failure",
+    ]);
+    expect(res.body.data[1].details).to.deep.equal({
+      email: "audited@example.com",
+      reason: "invalid_credentials",
+    });
+    expect(res.body.data[0]).to.include({ user_agent: "audit-test" });
+    expect(res.body.data[0].ip).to.be.a("string");
+  });
+
+  it("should record who changed the price of a product", async () => {
+    const created = await chai
+      .request(app)
+      .post("/api/product")
+      .set("Authorization", `Bearer ${userTokens.token}`)
+      .send({
+        title: "Audited Product",
+        price: "10.00",
+        currency: "USD",
+        description: "A product to audit",
+      });
+
+    product = created.body;
+
+    await chai
+      .request(app)
+      .put(`/api/product/${product._id}`)
+      .set("Authorization", `Bearer ${userTokens.token}`)
+      .send({ price: "12.50" });
+
+    const res = await search({
+      target_type: "product",
+      target_id: product._id,
+      action: "product.update",
+    });
+
+    expect(res.body.data).to.have.length(1);
+    expect(res.body.data[0].actor).to.equal(user.id);
+    expect(res.body.data[0].changes).to.deep.equal({
+      price: { from: 1000, to: 1250 },
+    });
+  });
+
+  it("should record who deleted a user", async () => {
+    const other = await User.create({
+      full_name: "Deleted User",
+      email: "deleted@example.com",
+      password: "password",
+    });
+
+    await chai
+      .request(app)
+      .delete(`/api/user/${other.id}`)
+      .set("Authorization", `Bearer ${adminTokens.token}`);
+
+    const [entry] = await AuditLog.find({
+      action: "user.delete",
+      "target.id": other._id,
+    });
+
+    expect(entry.actor.toString()).to.not.equal(other.id);
+    expect(entry.changes).to.have.property("deletedAt");
+  });
+
+  it("should never record secrets", async () => {
+    await chai
+      .request(app)
+      .put(`/api/user/${user.id}`)
+      .set("Authorization", `Bearer ${userTokens.token}`)
+      .send({ password: "Purple-Lamp-456" });
+
+    const [entry] = await AuditLog.find({ action: "user.update" });
+
+    expect(entry.changes.password).to.deep.equal({ changed: true });
+    expect(JSON.stringify(entry.changes)).to.not.include("$2a$");
+  });
+
+  it("should only record the fields that changed", async () => {
+    await chai
+      .request(app)
+      .put(`/api/user/${user.id}`)
+      .set("Authorization", `Bearer ${userTokens.token}`)
+      .send({ full_name: "Renamed User" });
+
+    const entry = await AuditLog.findOne({
+      action: "user.update",
+      "changes.full_name.to": "Renamed User",
+    });
+
+    expect(Object.keys(entry.changes)).to.deep.equal(["full_name"]);
+  });
+
+  it("should filter by the beginning of the action", async () => {
+    const res = await search({ action: "product." });
+
+    expect(res.body.data.map(({ action }) => action)).to.deep.equal([
+      "product.update",
+      "product.create",
+    ]);
+  });
+
+  it("should let admins only search the log", async () => {
+    const res = await search({}, userTokens);
+
+    expect(res.status).to.equal(403);
+  });
+});
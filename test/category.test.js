@@ -0,0 +1,246 @@
+const chai = require("chai");
+const chaiHttp = require("chai-http");
+const mongoose = require("mongoose");
+const app = require("../app");
+const expect = require("chai").expect;
+const AuditLog = require("../models/AuditLog.model");
+const Category = require("../models/Category.model");
+const Product = require("../models/Product.model");
+const User = require("../models/User.model");
+const sessions = require("../services/SessionService");
+
+chai.use(chaiHttp);
+
+describe("Testing categories", () => {
+  let adminTokens;
+  let userTokens;
+  let food;
+  let fruit;
+  let citrus;
+
+  const create = (category, tokens = adminTokens) =>
+    chai
+      .request(app)
+      .post("/api/category")
+      .set("Authorization", `Bearer ${tokens.token}`)
+      .send(category);
+
+  before(async () => {
+    await mongoose.connect("mongodb://localhost:27017/test", {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    const admin = await User.create({
+      full_name: "Admin User",
+      email: "admin@example.com",
+      password: "password",
+      role: "admin",
+    });
+
+    const user = await User.create({
+      full_name: "Plain User",
+      email: "user@example.com",
+      password: "password",
+    });
+
+    adminTokens = await sessions.create(admin, {
+      id: admin.id,
+      role: admin.role,
+    });
+    userTokens = await sessions.create(user, {
+      id: user.id,
+      role: user.role,
+    });
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  describe("POST /category", () => {
+    it("should let admins build a tree", async () => {
+      const foodRes = await create({ name: "Food" });
+
+      expect(foodRes.status).to.equal(201);
+      expect(foodRes.body).to.include({ slug: "food", parent: null });
+      food = foodRes.body;
+
+      fruit = (await create({ name: "Fresh Fruit", parent: food._id })).body;
+      citrus = (await create({ name: "Citrus", parent: fruit._id })).body;
+
+      expect(fruit.slug).to.equal("fresh-fruit");
+      expect(citrus.ancestors).to.deep.equal([food._id, fruit._id]);
+    });
+
+    it("should not let other users create categories", async () => {
+      const res = await create({ name: "Toys" }, userTokens);
+
+      expect(res.status).to.equal(403);
+    });
+
+    it("should reject used slugs and missing parents", async () => {
+      const used = await create({ name: "Other Food", slug: "food" });
+
+      expect(used.status).to.equal(409);
+
+      const orphan = await create({
+        name: "Orphan",
+        parent: new mongoose.Types.ObjectId().toString(),
+      });
+
+      expect(orphan.status).to.equal(400);
+    });
+  });
+
+  describe("GET /category", () => {
+    it("should get the tree", async () => {
+      const res = await chai.request(app).get("/api/category");
+
+      expect(res.status).to.equal(200);
+      expect(res.body.map((category) => category.name)).to.deep.equal(["Food"]);
+      expect(res.body[0].children[0].children[0].name).to.equal("Citrus");
+    });
+
+    it("should get a category with its path and children", async () => {
+      const res = await chai.request(app).get(`/api/category/${fruit._id}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.ancestors.map((category) => category.name)).to.deep.equal(
+        ["Food"]
+      );
+      expect(res.body.children.map((category) => category.name)).to.deep.equal([
+        "Citrus",
+      ]);
+    });
+  });
+
+  describe("Products", () => {
+    before(async () => {
+      await Product.create([
+        {
+          title: "Lemon",
+          price: 100,
+          currency: "USD",
+          description: "Sour",
+          categories: [citrus._id],
+          tags: ["yellow", "sour"],
+        },
+        {
+          title: "Apple",
+          price: 200,
+          currency: "USD",
+          description: "Sweet",
+          categories: [fruit._id],
+          tags: ["red"],
+        },
+      ]);
+    });
+
+    it("should list the products under a category", async () => {
+      const res = await chai
+        .request(app)
+        .get("/api/product")
+        .query({ category: food._id, sort: "title" });
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.map((product) => product.title)).to.deep.equal([
+        "Apple",
+        "Lemon",
+      ]);
+
+      const tagged = await chai
+        .request(app)
+        .get("/api/product")
+        .query({ tags: "Sour,yellow" });
+
+      expect(tagged.body.data.map((product) => product.title)).to.deep.equal([
+        "Lemon",
+      ]);
+    });
+
+    it("should not create products in missing categories", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/product")
+        .set("Authorization", `Bearer ${adminTokens.token}`)
+        .send({
+          title: "Ghost",
+          price: "1",
+          description: "Nowhere",
+          categories: [new mongoose.Types.ObjectId().toString()],
+        });
+
+      expect(res.status).to.equal(400);
+    });
+  });
+
+  describe("PUT /category/:id", () => {
+    it("should not move a category under itself", async () => {
+      const res = await chai
+        .request(app)
+        .put(`/api/category/${food._id}`)
+        .set("Authorization", `Bearer ${adminTokens.token}`)
+        .send({ parent: citrus._id });
+
+      expect(res.status).to.equal(400);
+    });
+
+    it("should move a category with its descendants", async () => {
+      const lime = (await create({ name: "Lime", parent: citrus._id })).body;
+
+      const res = await chai
+        .request(app)
+        .put(`/api/category/${citrus._id}`)
+        .set("Authorization", `Bearer ${adminTokens.token}`)
+        .send({ parent: food._id, name: "Citrus Fruit" });
+
+      expect(res.status).to.equal(200);
+      expect(res.body.name).to.equal("Citrus Fruit");
+      expect(res.body.ancestors).to.deep.equal([food._id]);
+
+      const moved = await Category.findById(lime._id);
+
+      expect(moved.ancestors.map(String)).to.deep.equal([food._id, citrus._id]);
+    });
+  });
+
+  describe("DELETE /category/:id", () => {
+    it("should not delete a category that has products", async () => {
+      const res = await chai
+        .request(app)
+        .delete(`/api/category/${fruit._id}`)
+        .set("Authorization", `Bearer ${adminTokens.token}`);
+
+      expect(res.status).to.equal(409);
+      expect(res.body.products).to.equal(1);
+    });
+
+    it("should move the products and children when deleting", async () => {
+      const child = (await create({ name: "Berries", parent: fruit._id })).body;
+
+      const res = await chai
+        .request(app)
+        .delete(`/api/category/${fruit._id}`)
+        .query({ reassign_to: food._id })
+        .set("Authorization", `Bearer ${adminTokens.token}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.reassigned).to.equal(1);
+
+      const apple = await Product.findOne({ title: "Apple" });
+      expect(apple.categories.map(String)).to.deep.equal([food._id]);
+
+      const berries = await Category.findById(child._id);
+      expect(berries.parent.toString()).to.equal(food._id);
+      expect(berries.ancestors.map(String)).to.deep.equal([food._id]);
+
+      const entry = await AuditLog.findOne({
+        action: "product.update",
+        "target.id": apple._id,
+      });
+      expect(entry.changes.categories.to).to.deep.equal([food._id]);
+    });
+  });
+});
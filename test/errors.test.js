@@ -0,0 +1,147 @@
+const chai = require("chai");
+const chaiHttp = require("chai-http");
+const express = require("express");
+const Joi = require("joi");
+const mongoose = require("mongoose");
+const expect = require("chai").expect;
+const { NotFoundError, ValidationError } = require("../errors");
+const requestId = require("../middlewares/requestId");
+const notFound = require("../middlewares/notFound");
+const errorHandler = require("../middlewares/errorHandler");
+
+chai.use(chaiHttp);
+
+describe("Testing errors", () => {
+  const failingApp = (error) => {
+    const app = express();
+
+    app.use(requestId);
+    app.use(express.json());
+    app.post("/api/fail", (req, res, next) => next(error));
+    app.use(notFound);
+    app.use(errorHandler);
+
+    return app;
+  };
+
+  const fail = (error) => chai.request(failingApp(error)).post("/api/fail");
+
+  it("should answer an API error as a problem document", async () => {
+    const res = await fail(
+      new NotFoundError("Product does not exist", {
+        code: "product_not_found",
+      })
+    ).set("X-Request-Id", "abc-123");
+
+    expect(res).to.have.status(404);
+    expect(res.header["content-type"]).to.match(/^application\/problem\+json/);
+    expect(res.body).to.deep.equal({
+      type: "about:blank",
+      title: "Not Found",
+      status: 404,
+      detail: "Product does not exist",
+      message: "Product does not exist",
+      code: "product_not_found",
+      instance: "/api/fail",
+      request_id: "abc-123",
+    });
+  });
+
+  it("should list the errors of a validation", async () => {
+    const res = await fail(
+      new ValidationError('"price" is required', [
+        { path: "price", type: "any.required", message: '"price" is required' },
+      ])
+    );
+
+    expect(res).to.have.status(400);
+    expect(res.body).to.include({ code: "validation_failed", status: 400 });
+    expect(res.body.errors).to.have.lengthOf(1);
+  });
+
+  it("should answer Joi errors as validation errors", async () => {
+    const { error } = Joi.object({
+      title: Joi.string().required(),
+      price: Joi.number(),
+    }).validate({ price: "free" }, { abortEarly: false });
+
+    const res = await fail(error);
+
+    expect(res).to.have.status(400);
+    expect(res.body).to.have.property("code", "validation_failed");
+    expect(res.body.errors.map((item) => item.type)).to.deep.equal([
+      "any.required",
+      "number.base",
+    ]);
+  });
+
+  it("should answer invalid IDs as bad requests", async () => {
+    const error = new mongoose.Error.CastError("ObjectId", "abc", "_id");
+
+    const res = await fail(error);
+
+    expect(res).to.have.status(400);
+    expect(res.body).to.include({
+      code: "invalid_value",
+      detail: '"_id" must be a valid ObjectId',
+    });
+  });
+
+  it("should answer mongoose validation errors", async () => {
+    const Model = mongoose.model(
+      "ErrorsTest",
+      new mongoose.Schema({ title: { type: String, required: true } })
+    );
+    const error = new Model({}).validateSync();
+
+    const res = await fail(error);
+
+    expect(res).to.have.status(400);
+    expect(res.body).to.have.property("code", "validation_failed");
+    expect(res.body.errors[0]).to.include({ path: "title", type: "required" });
+  });
+
+  it("should answer duplicate keys as conflicts", async () => {
+    const error = Object.assign(new Error("E11000 duplicate key error"), {
+      code: 11000,
+      keyValue: { slug: "shoes" },
+    });
+
+    const res = await fail(error);
+
+    expect(res).to.have.status(409);
+    expect(res.body).to.include({ code: "duplicate_key" });
+    expect(res.body.fields).to.deep.equal(["slug"]);
+  });
+
+  it("should hide the detail of unexpected errors", async () => {
+    const res = await fail(new Error("connection string with a password"));
+
+    expect(res).to.have.status(500);
+    expect(res.body).to.include({
+      code: "internal_error",
+      detail: "Internal Error",
+    });
+  });
+
+  it("should answer malformed JSON as a bad request", async () => {
+    const res = await chai
+      .request(failingApp(new Error("unused")))
+      .post("/api/fail")
+      .set("Content-Type", "application/json")
+      .send('{"title":');
+
+    expect(res).to.have.status(400);
+    expect(res.body).to.have.property("code", "entity_parse_failed");
+  });
+
+  it("should answer unknown routes as not found", async () => {
+    const res = await chai.request(failingApp()).get("/api/nowhere");
+
+    expect(res).to.have.status(404);
+    expect(res.body).to.include({
+      code: "route_not_found",
+      detail: "GET /api/nowhere route does not exist",
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+const chai = require("chai");
+const chaiHttp = require("chai-http");
+const express = require("express");
+const Joi = require("joi");
+const expect = require("chai").expect;
+const i18n = require("../helpers/i18n");
+const { NotFoundError } = require("../errors");
+const locale = require("../middlewares/locale");
+const errorHandler = require("../middlewares/errorHandler");
+const objectId = require("../validations/objectId");
+
+chai.use(chaiHttp);
+
+// English messages written in the code, e.g. new NotFoundError("...") or
+// req.t("...")
+const messagesOf = (directory) =>
+  fs.readdirSync(path.join(__dirname, "..", directory)).flatMap((file) => {
+    const source = fs.readFileSync(
+      path.join(__dirname, "..", directory, file),
+      "utf8"
+    );
+
+    return [
+      ...source.matchAll(/new \w+Error\(\s*"((?:[^"\\]|\\.)*)"/g),
+      ...source.matchAll(/req\.t\(\s*"((?:[^"\\]|\\.)*)"/g),
+    ].map((match) => JSON.parse(`"${match[1]}"`));
+  });
+
+describe("Testing localization", () => {
+  const requestWith = (headers, user) => {
+    const req = express.request;
+
+    return Object.assign(Object.create(req), {
+      headers,
+      user,
+      get: (name) => headers[name.toLowerCase()],
+    });
+  };
+
+  it("should translate messages and fill their placeholders", () => {
+    expect(i18n.translate("ru", "Product does not exist")).to.equal(
+      "Товар не существует"
+    );
+    expect(
+      i18n.translate("uz", "Error: {permission} is not allowed", {
+        permission: "product:update",
+      })
+    ).to.equal("Xato: product:update ruxsat etilmagan");
+  });
+
+  it("should keep the English message when there is no translation", () => {
+    expect(i18n.translate("ru", "Something new")).to.equal("Something new");
+    expect(
+      i18n.translate("en", "Error: {permission} is not allowed", {
+        permission: "product:update",
+      })
+    ).to.equal("Error: product:update is not allowed");
+  });
+
+  it("should choose the language of the user, then Accept-Language", () => {
+    const headers = { "accept-language": "uz-UZ,ru;q=0.8" };
+
+    expect(i18n.localeOf(requestWith(headers))).to.equal("uz");
+    expect(i18n.localeOf(requestWith(headers, { language: "ru" }))).to.equal(
+      "ru"
+    );
+    expect(i18n.localeOf(requestWith({ "accept-language": "de" }))).to.equal(
+      "en"
+    );
+    expect(i18n.localeOf(requestWith({}))).to.equal("en");
+  });
+
+  it("should translate the messages of Joi", () => {
+    const schema = Joi.object({ id: objectId, name: Joi.string().required() });
+    const options = { abortEarly: false, messages: i18n.joiDefaults };
+
+    const { error } = schema.validate(
+      { id: "abc" },
+      { ...options, errors: { language: "ru" } }
+    );
+
+    expect(error.details.map((detail) => detail.message)).to.deep.equal([
+      '"id" должно быть корректным ID',
+      '"name" обязательно',
+    ]);
+
+    const english = schema.validate(
+      { id: "abc" },
+      { ...options, errors: { language: "en" } }
+    );
+
+    expect(english.error.message).to.equal(
+      '"id" must be a valid ID. "name" is required'
+    );
+  });
+
+  it("should answer errors and messages in the language of the request", async () => {
+    const app = express();
+
+    app.use(locale);
+    app.get("/missing", () => {
+      throw new NotFoundError("Product does not exist", {
+        code: "product_not_found",
+      });
+    });
+    app.get("/deleted", (req, res) =>
+      res.status(200).send({ message: req.t("Deleted") })
+    );
+    app.use(errorHandler);
+
+    const missing = await chai
+      .request(app)
+      .get("/missing")
+      .set("Accept-Language", "ru");
+
+    expect(missing).to.have.status(404);
+    expect(missing.header).to.have.property("content-language", "ru");
+    expect(missing.header.vary).to.include("Accept-Language");
+    expect(missing.body).to.include({
+      title: "Не найдено",
+      detail: "Товар не существует",
+      code: "product_not_found",
+    });
+
+    const deleted = await chai
+      .request(app)
+      .get("/deleted")
+      .set("Accept-Language", "uz");
+
+    expect(deleted.header).to.have.property("content-language", "uz");
+    expect(deleted.body).to.have.property("message", "O'chirildi");
+  });
+
+  it("should have every message of the code in every catalog", () => {
+    const messages = new Set([
+      ...messagesOf("controllers"),
+      ...messagesOf("middlewares"),
+    ]);
+
+    i18n.locales
+      .filter((name) => name !== i18n.defaultLocale)
+      .forEach((name) => {
+        const missing = [...messages].filter(
+          (message) => i18n.translate(name, message) === message
+        );
+
+        expect(missing, name).to.deep.equal([]);
+      });
+  });
+});
@@ -0,0 +1,263 @@
+const chai = require("chai");
+const chaiHttp = require("chai-http");
+const mongoose = require("mongoose");
+const app = require("../app");
+const expect = require("chai").expect;
+const AuditLog = require("../models/AuditLog.model");
+const Product = require("../models/Product.model");
+const Reservation = require("../models/Reservation.model");
+const User = require("../models/User.model");
+const sessions = require("../services/SessionService");
+const inventory = require("../services/InventoryService");
+
+chai.use(chaiHttp);
+
+describe("Testing inventory", () => {
+  let ownerTokens;
+  let buyerTokens;
+  let otherTokens;
+  let product;
+
+  const reserve = (quantity, tokens = buyerTokens) =>
+    chai
+      .request(app)
+      .post("/api/inventory/reservations")
+      .set("Authorization", `Bearer ${tokens.token}`)
+      .send({ product: product._id, quantity });
+
+  const settle = (reservation, action, tokens = buyerTokens) =>
+    chai
+      .request(app)
+      .post(`/api/inventory/reservations/${reservation._id}/${action}`)
+      .set("Authorization", `Bearer ${tokens.token}`);
+
+  const stockOf = async () =>
+    Product.findById(product._id).select("stock reserved");
+
+  before(async () => {
+    await mongoose.connect("mongodb://localhost:27017/test", {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    const [owner, buyer, other] = await User.create([
+      {
+        full_name: "Owner User",
+        email: "owner@example.com",
+        password: "password",
+      },
+      {
+        full_name: "Buyer User",
+        email: "buyer@example.com",
+        password: "password",
+      },
+      {
+        full_name: "Other User",
+        email: "other@example.com",
+        password: "password",
+      },
+    ]);
+
+    ownerTokens = await sessions.create(owner, {
+      id: owner.id,
+      role: owner.role,
+    });
+    buyerTokens = await sessions.create(buyer, {
+      id: buyer.id,
+      role: buyer.role,
+    });
+    otherTokens = await sessions.create(other, {
+      id: other.id,
+      role: other.role,
+    });
+
+    product = await Product.create({
+      title: "Lamp",
+      price: 2500,
+      currency: "USD",
+      description: "A desk lamp",
+      low_stock_threshold: 2,
+      createdBy: owner._id,
+    });
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  describe("POST /product/:id/stock", () => {
+    it("should let the owner add units", async () => {
+      const res = await chai
+        .request(app)
+        .post(`/api/product/${product._id}/stock`)
+        .set("Authorization", `Bearer ${ownerTokens.token}`)
+        .send({ quantity: 3, reason: "Delivery" });
+
+      expect(res.status).to.equal(200);
+      expect(res.body).to.include({
+        stock: 3,
+        reserved: 0,
+        available: 3,
+        low_stock: false,
+      });
+    });
+
+    it("should not let other users adjust the stock", async () => {
+      const res = await chai
+        .request(app)
+        .post(`/api/product/${product._id}/stock`)
+        .set("Authorization", `Bearer ${otherTokens.token}`)
+        .send({ quantity: 10 });
+
+      expect(res.status).to.equal(403);
+    });
+
+    it("should reject a quantity of zero", async () => {
+      const res = await chai
+        .request(app)
+        .post(`/api/product/${product._id}/stock`)
+        .set("Authorization", `Bearer ${ownerTokens.token}`)
+        .send({ quantity: 0 });
+
+      expect(res.status).to.equal(400);
+    });
+  });
+
+  describe("POST /inventory/reservations", () => {
+    it("should never hold more units than the stock", async () => {
+      const results = await Promise.all([1, 2, 3, 4, 5].map(() => reserve(1)));
+
+      const statuses = results.map((res) => res.status).sort();
+
+      expect(statuses).to.deep.equal([201, 201, 201, 409, 409]);
+      expect((await stockOf()).reserved).to.equal(3);
+
+      await Promise.all(
+        results
+          .filter((res) => res.status === 201)
+          .map((res) => settle(res.body, "release"))
+      );
+    });
+
+    it("should not take reserved units away", async () => {
+      const reservation = (await reserve(2)).body;
+
+      const res = await chai
+        .request(app)
+        .post(`/api/product/${product._id}/stock`)
+        .set("Authorization", `Bearer ${ownerTokens.token}`)
+        .send({ quantity: -2 });
+
+      expect(res.status).to.equal(409);
+
+      await settle(reservation, "release");
+    });
+  });
+
+  describe("POST /inventory/reservations/:id/commit", () => {
+    it("should take the committed units out of the stock", async () => {
+      const reservation = (await reserve(1)).body;
+
+      const res = await settle(reservation, "commit");
+
+      expect(res.status).to.equal(200);
+      expect(res.body.status).to.equal("committed");
+
+      const { stock, reserved } = await stockOf();
+
+      expect({ stock, reserved }).to.deep.equal({ stock: 2, reserved: 0 });
+
+      const entry = await AuditLog.findOne({
+        action: "product.stock_commit",
+        "details.reservation": new mongoose.Types.ObjectId(reservation._id),
+      });
+
+      expect(entry.target.id.toString()).to.equal(product._id.toString());
+      expect(entry.changes.stock).to.deep.equal({ from: 3, to: 2 });
+      expect(entry.details.quantity).to.equal(1);
+    });
+
+    it("should not commit a released reservation", async () => {
+      const reservation = (await reserve(1)).body;
+
+      await settle(reservation, "release");
+
+      const res = await settle(reservation, "commit");
+
+      expect(res.status).to.equal(409);
+    });
+
+    it("should not let other users settle a reservation", async () => {
+      const reservation = (await reserve(1)).body;
+
+      const res = await settle(reservation, "commit", otherTokens);
+
+      expect(res.status).to.equal(403);
+
+      await settle(reservation, "release");
+    });
+  });
+
+  describe("Expiry", () => {
+    it("should give the units of expired reservations back", async () => {
+      const reservation = (await reserve(2)).body;
+
+      await Reservation.updateOne(
+        { _id: reservation._id },
+        { expires_at: new Date(Date.now() - 1000) }
+      );
+
+      expect(await inventory.expire()).to.equal(1);
+      expect((await stockOf()).reserved).to.equal(0);
+
+      const res = await settle(reservation, "commit");
+
+      expect(res.status).to.equal(409);
+    });
+  });
+
+  describe("GET /inventory/low-stock", () => {
+    it("should list the products of the user at their threshold", async () => {
+      const res = await chai
+        .request(app)
+        .get("/api/inventory/low-stock")
+        .set("Authorization", `Bearer ${ownerTokens.token}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.map(({ _id }) => _id)).to.deep.equal([
+        `${product._id}`,
+      ]);
+      expect(res.body.data[0]).to.include({ available: 2, low_stock: true });
+    });
+
+    it("should not list the products of other users", async () => {
+      const res = await chai
+        .request(app)
+        .get("/api/inventory/low-stock")
+        .set("Authorization", `Bearer ${otherTokens.token}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data).to.have.length(0);
+    });
+  });
+
+  describe("GET /product/:id/stock/movements", () => {
+    it("should answer the ledger, newest first", async () => {
+      const res = await chai
+        .request(app)
+        .get(`/api/product/${product._id}/stock/movements?type=commit`)
+        .set("Authorization", `Bearer ${ownerTokens.token}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data).to.have.length(1);
+      expect(res.body.data[0]).to.include({
+        type: "commit",
+        quantity: 1,
+        stock: 2,
+        reserved: 0,
+        low_stock: true,
+      });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const expect = require("chai").expect;
+const { listUsers } = require("../validations");
+
+describe("Testing list queries", () => {
+  const encode = (cursor) =>
+    Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+  const validate = (cursor) => listUsers.validate({ cursor: encode(cursor) });
+
+  it("should decode the cursors of the listing", () => {
+    const cursor = {
+      sort: [
+        ["createdAt", -1],
+        ["_id", 1],
+      ],
+      direction: "next",
+      values: ["2023-01-01T00:00:00.000Z", "642a8b5e0c1d2e3f4a5b6c7d"],
+    };
+    const { error, value } = validate(cursor);
+
+    expect(error).to.equal(undefined);
+    expect(value.cursor).to.deep.equal(cursor);
+  });
+
+  it("should reject cursors sorted by fields that cannot be sorted", () => {
+    const { error } = validate({
+      sort: [["password", 1]],
+      direction: "next",
+      values: ["$2a"],
+    });
+
+    expect(error.details[0].type).to.equal("cursor.invalid");
+  });
+
+  it("should reject cursors with an unknown order", () => {
+    const { error } = validate({
+      sort: [["email", "asc"]],
+      direction: "next",
+      values: ["a@b.c"],
+    });
+
+    expect(error.details[0].type).to.equal("cursor.invalid");
+  });
+
+  it("should reject cursors with values that are not scalars", () => {
+    const { error } = validate({
+      sort: [["email", 1]],
+      direction: "next",
+      values: [{ $ne: null }],
+    });
+
+    expect(error.details[0].type).to.equal("cursor.invalid");
+  });
+
+  it("should reject cursors with a value missing", () => {
+    const { error } = validate({
+      sort: [
+        ["email", 1],
+        ["_id", 1],
+      ],
+      direction: "next",
+      values: ["a@b.c"],
+    });
+
+    expect(error.details[0].type).to.equal("cursor.invalid");
+  });
+});
@@ -0,0 +1,102 @@
+const chai = require("chai");
+const chaiHttp = require("chai-http");
+const express = require("express");
+const expect = require("chai").expect;
+const logger = require("../helpers/logger");
+const requestId = require("../middlewares/requestId");
+const requestContext = require("../helpers/requestContext");
+
+chai.use(chaiHttp);
+
+// The JSON line the logger would write for an entry
+const MESSAGE = Symbol.for("message");
+const line = (entry) =>
+  JSON.parse(
+    logger.format.transform({ level: "info", message: "test", ...entry })[
+      MESSAGE
+    ]
+  );
+
+describe("Testing logging", () => {
+  describe("redaction", () => {
+    it("should redact secrets at any depth", () => {
+      const logged = line({
+        body: { email: "jane@example.com", password: "Orange-Kite-123" },
+        headers: { authorization: "Bearer abc", cookie: "token=abc" },
+        tokens: [{ refresh_token: "abc" }],
+      });
+
+      expect(logged.body).to.deep.equal({
+        email: "jane@example.com",
+        password: "[REDACTED]",
+      });
+      expect(logged.headers).to.deep.equal({
+        authorization: "[REDACTED]",
+        cookie: "[REDACTED]",
+      });
+      expect(logged.tokens).to.equal("[REDACTED]");
+    });
+
+    it("should redact secrets sent in query strings", () => {
+      const logged = line({
+        message: "GET /api/user/verify-email?token=abc&lang=en 200",
+      });
+
+      expect(logged.message).to.equal(
+        "GET /api/user/verify-email?token=[REDACTED]&lang=en 200"
+      );
+    });
+
+    it("should log errors with their message", () => {
+      const logged = line({ error: new Error("Boom") });
+
+      expect(logged.error).to.include({ name: "Error", message: "Boom" });
+    });
+
+    it("should add the ID of the request being handled", () => {
+      const logged = requestContext.run({ requestId: "abc-123" }, () =>
+        line({})
+      );
+
+      expect(logged.request_id).to.equal("abc-123");
+    });
+  });
+
+  describe("request IDs", () => {
+    const app = express();
+
+    app.use(requestId);
+    app.get("/", (req, res) => {
+      res.send({ id: req.id, store: requestContext.getStore() });
+    });
+
+    it("should keep the ID sent by the client", async () => {
+      const res = await chai
+        .request(app)
+        .get("/")
+        .set("X-Request-Id", "client-id-1");
+
+      expect(res.headers["x-request-id"]).to.equal("client-id-1");
+      expect(res.body).to.deep.equal({
+        id: "client-id-1",
+        store: { requestId: "client-id-1" },
+      });
+    });
+
+    it("should give an ID to the other requests", async () => {
+      const res = await chai.request(app).get("/");
+
+      expect(res.headers["x-request-id"]).to.match(/^[0-9a-f-]{36}$/);
+      expect(res.body.id).to.equal(res.headers["x-request-id"]);
+    });
+
+    it("should replace IDs that could break a log line", async () => {
+      const res = await chai
+        .request(app)
+        .get("/")
+        .set("X-Request-Id", "bad id\twith spaces");
+
+      expect(res.headers["x-request-id"]).to.not.equal("bad id\twith spaces");
+    });
+  });
+});
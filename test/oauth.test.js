@@ -0,0 +1,388 @@
+const crypto = require("crypto");
+const chai = require("chai");
+const chaiHttp = require("chai-http");
+const mongoose = require("mongoose");
+const app = require("../app");
+const expect = require("chai").expect;
+const User = require("../models/User.model");
+const sessions = require("../services/SessionService");
+
+chai.use(chaiHttp);
+
+const verifier = () => crypto.randomBytes(32).toString("base64url");
+const challenge = (codeVerifier) =>
+  crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+describe("Testing the OAuth server", () => {
+  const redirectUri = "http://localhost:3000/callback";
+  let user;
+  let userTokens;
+  let adminTokens;
+  let client;
+  let clientSecret;
+
+  const authorization = (codeVerifier, extra = {}) => ({
+    response_type: "code",
+    client_id: client.client_id,
+    redirect_uri: redirectUri,
+    scope: "profile:read product:create",
+    state: "xyz",
+    code_challenge: challenge(codeVerifier),
+    code_challenge_method: "S256",
+    ...extra,
+  });
+
+  const authorize = async (codeVerifier) => {
+    const res = await chai
+      .request(app)
+      .post("/api/oauth/authorize")
+      .set("Authorization", `Bearer ${userTokens.token}`)
+      .send({ ...authorization(codeVerifier), approve: true });
+
+    return new URL(res.body.redirect_to).searchParams.get("code");
+  };
+
+  const exchange = (code, codeVerifier) =>
+    chai.request(app).post("/api/oauth/token").type("form").send({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+      client_id: client.client_id,
+      client_secret: clientSecret,
+    });
+
+  before(async () => {
+    await mongoose.connect("mongodb://localhost:27017/test", {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    user = await User.create({
+      full_name: "OAuth User",
+      email: "oauth-user@example.com",
+      password: "password",
+      is_active: true,
+    });
+
+    const admin = await User.create({
+      full_name: "OAuth Admin",
+      email: "oauth-admin@example.com",
+      password: "password",
+      is_active: true,
+      role: "admin",
+    });
+
+    userTokens = await sessions.create(user, { id: user.id, role: "user" });
+    adminTokens = await sessions.create(admin, { id: admin.id, role: "admin" });
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  describe("Clients", () => {
+    it("should only let admins register clients", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/oauth/clients")
+        .set("Authorization", `Bearer ${userTokens.token}`)
+        .send({ name: "Test App", scopes: ["profile:read"] });
+
+      expect(res).to.have.status(403);
+    });
+
+    it("should register a test client", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/oauth/clients")
+        .set("Authorization", `Bearer ${adminTokens.token}`)
+        .send({
+          name: "Test App",
+          redirect_uris: [redirectUri],
+          grant_types: ["authorization_code", "client_credentials"],
+          scopes: ["profile:read", "product:create"],
+        });
+
+      expect(res).to.have.status(201);
+      expect(res.body.client).to.have.property("client_id");
+      expect(res.body.client).to.not.have.property("client_secret");
+      expect(res.body).to.have.property("client_secret");
+      client = res.body.client;
+      clientSecret = res.body.client_secret;
+    });
+  });
+
+  describe("Authorization code grant", () => {
+    let accessToken;
+
+    it("should describe the consent screen", async () => {
+      const res = await chai
+        .request(app)
+        .get("/api/oauth/authorize")
+        .query(authorization(verifier()))
+        .set("Authorization", `Bearer ${userTokens.token}`);
+
+      expect(res).to.have.status(200);
+      expect(res.body.client).to.deep.equal({
+        client_id: client.client_id,
+        name: "Test App",
+      });
+      expect(res.body.scopes.map((item) => item.scope)).to.deep.equal([
+        "profile:read",
+        "product:create",
+      ]);
+      expect(res.body.consented).to.be.false;
+    });
+
+    it("should reject redirect URIs that are not registered", async () => {
+      const res = await chai
+        .request(app)
+        .get("/api/oauth/authorize")
+        .query(
+          authorization(verifier(), { redirect_uri: "https://evil.test/cb" })
+        )
+        .set("Authorization", `Bearer ${userTokens.token}`);
+
+      expect(res).to.have.status(400);
+      expect(res.body).to.have.property("error", "invalid_request");
+    });
+
+    it("should redirect with an error when the user denies", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/oauth/authorize")
+        .set("Authorization", `Bearer ${userTokens.token}`)
+        .send({ ...authorization(verifier()), approve: false });
+
+      const url = new URL(res.body.redirect_to);
+      expect(url.searchParams.get("error")).to.equal("access_denied");
+      expect(url.searchParams.get("state")).to.equal("xyz");
+    });
+
+    it("should exchange the code and its verifier for a token", async () => {
+      const codeVerifier = verifier();
+      const code = await authorize(codeVerifier);
+
+      const res = await exchange(code, codeVerifier);
+
+      expect(res).to.have.status(200);
+      expect(res.body).to.include({
+        token_type: "Bearer",
+        scope: "profile:read product:create",
+      });
+      expect(res.body.expires_in).to.be.above(0);
+      accessToken = res.body.access_token;
+
+      const replay = await exchange(code, codeVerifier);
+      expect(replay).to.have.status(400);
+      expect(replay.body).to.have.property("error", "invalid_grant");
+    });
+
+    it("should reject a wrong code verifier", async () => {
+      const code = await authorize(verifier());
+
+      const res = await exchange(code, verifier());
+
+      expect(res).to.have.status(400);
+      expect(res.body).to.have.property("error", "invalid_grant");
+    });
+
+    it("should remember the consent", async () => {
+      const res = await chai
+        .request(app)
+        .get("/api/oauth/authorize")
+        .query(authorization(verifier()))
+        .set("Authorization", `Bearer ${userTokens.token}`);
+
+      expect(res.body.consented).to.be.true;
+    });
+
+    it("should call the API within the granted scopes", async () => {
+      const profile = await chai
+        .request(app)
+        .get("/api/oauth/userinfo")
+        .set("Authorization", `Bearer ${accessToken}`);
+
+      expect(profile).to.have.status(200);
+      expect(profile.body).to.include({
+        sub: user.id,
+        email: "oauth-user@example.com",
+      });
+
+      const product = await chai
+        .request(app)
+        .post("/api/product")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .send({ title: "OAuth Product", price: "3", description: "Created" });
+
+      expect(product).to.have.status(200);
+      expect(product.body.createdBy).to.equal(user.id);
+
+      const sessionsRes = await chai
+        .request(app)
+        .get("/api/user/sessions")
+        .set("Authorization", `Bearer ${accessToken}`);
+
+      expect(sessionsRes).to.have.status(403);
+    });
+
+    it("should introspect and revoke the token", async () => {
+      const active = await chai
+        .request(app)
+        .post("/api/oauth/introspect")
+        .auth(client.client_id, clientSecret)
+        .type("form")
+        .send({ token: accessToken });
+
+      expect(active.body).to.include({
+        active: true,
+        client_id: client.client_id,
+        sub: user.id,
+      });
+
+      const revoked = await chai
+        .request(app)
+        .post("/api/oauth/revoke")
+        .auth(client.client_id, clientSecret)
+        .type("form")
+        .send({ token: accessToken });
+
+      expect(revoked).to.have.status(200);
+
+      const inactive = await chai
+        .request(app)
+        .post("/api/oauth/introspect")
+        .auth(client.client_id, clientSecret)
+        .type("form")
+        .send({ token: accessToken });
+
+      expect(inactive.body).to.deep.equal({ active: false });
+    });
+  });
+
+  describe("Client credentials grant", () => {
+    it("should issue a token to the client itself", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/oauth/token")
+        .auth(client.client_id, clientSecret)
+        .type("form")
+        .send({ grant_type: "client_credentials", scope: "profile:read" });
+
+      expect(res).to.have.status(200);
+
+      const introspection = await chai
+        .request(app)
+        .post("/api/oauth/introspect")
+        .auth(client.client_id, clientSecret)
+        .type("form")
+        .send({ token: res.body.access_token });
+
+      expect(introspection.body).to.include({
+        active: true,
+        sub: client.client_id,
+        scope: "profile:read",
+      });
+    });
+
+    it("should reject a wrong secret", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/oauth/token")
+        .auth(client.client_id, "wrong")
+        .type("form")
+        .send({ grant_type: "client_credentials" });
+
+      expect(res).to.have.status(401);
+      expect(res.body).to.have.property("error", "invalid_client");
+    });
+
+    it("should reject malformed Basic credentials", async () => {
+      const credentials = Buffer.from("%E0%A4%A:x").toString("base64");
+
+      const res = await chai
+        .request(app)
+        .post("/api/oauth/token")
+        .set("Authorization", `Basic ${credentials}`)
+        .type("form")
+        .send({ grant_type: "client_credentials" });
+
+      expect(res).to.have.status(401);
+      expect(res.body).to.have.property("error", "invalid_client");
+    });
+  });
+
+  describe("Consents", () => {
+    it("should list and withdraw consents", async () => {
+      const list = await chai
+        .request(app)
+        .get("/api/oauth/consents")
+        .set("Authorization", `Bearer ${userTokens.token}`);
+
+      expect(list.body).to.have.lengthOf(1);
+      expect(list.body[0]).to.include({
+        client_id: client.client_id,
+        name: "Test App",
+      });
+
+      const res = await chai
+        .request(app)
+        .delete(`/api/oauth/consents/${client.client_id}`)
+        .set("Authorization", `Bearer ${userTokens.token}`);
+
+      expect(res).to.have.status(200);
+    });
+
+    it("should reject the tokens of a withdrawn consent", async () => {
+      const codeVerifier = verifier();
+      const token = await exchange(await authorize(codeVerifier), codeVerifier);
+      const accessToken = token.body.access_token;
+
+      await chai
+        .request(app)
+        .delete(`/api/oauth/consents/${client.client_id}`)
+        .set("Authorization", `Bearer ${userTokens.token}`);
+
+      const profile = await chai
+        .request(app)
+        .get("/api/oauth/userinfo")
+        .set("Authorization", `Bearer ${accessToken}`);
+
+      expect(profile).to.have.status(401);
+      expect(profile.body).to.have.property("code", "client_access_revoked");
+
+      const introspection = await chai
+        .request(app)
+        .post("/api/oauth/introspect")
+        .auth(client.client_id, clientSecret)
+        .type("form")
+        .send({ token: accessToken });
+
+      expect(introspection.body).to.deep.equal({ active: false });
+    });
+  });
+
+  describe("Revoked clients", () => {
+    it("should reject the tokens of a revoked client", async () => {
+      const codeVerifier = verifier();
+      const token = await exchange(await authorize(codeVerifier), codeVerifier);
+
+      const revoked = await chai
+        .request(app)
+        .delete(`/api/oauth/clients/${client.client_id}`)
+        .set("Authorization", `Bearer ${adminTokens.token}`);
+
+      expect(revoked).to.have.status(200);
+
+      const profile = await chai
+        .request(app)
+        .get("/api/oauth/userinfo")
+        .set("Authorization", `Bearer ${token.body.access_token}`);
+
+      expect(profile).to.have.status(401);
+      expect(profile.body).to.have.property("code", "client_access_revoked");
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const chai = require("chai");
+const chaiHttp = require("chai-http");
+const express = require("express");
+const sinon = require("sinon");
+const expect = require("chai").expect;
+const policy = require("../services/PolicyService");
+const jwt = require("../services/JwtService");
+const sessions = require("../services/SessionService");
+const apiKeys = require("../services/ApiKeyService");
+const oauth = require("../services/OAuthService");
+const UserPolice = require("../middlewares/userPolice");
+const errorHandler = require("../middlewares/errorHandler");
+
+chai.use(chaiHttp);
+
+describe("Testing policies", () => {
+  const owner = { id: "64b000000000000000000001", role: "user" };
+  const stranger = { id: "64b000000000000000000002", role: "user" };
+  const admin = { id: "64b000000000000000000003", role: "admin" };
+  const product = { createdBy: owner.id };
+
+  describe("product:update", () => {
+    it("should allow the owner of the product", () => {
+      expect(policy.can(owner, "product:update", { resource: product })).to.be
+        .true;
+    });
+
+    it("should allow an admin", () => {
+      expect(policy.can(admin, "product:update", { resource: product })).to.be
+        .true;
+    });
+
+    it("should deny other users", () => {
+      expect(policy.can(stranger, "product:update", { resource: product })).to
+        .be.false;
+    });
+
+    it("should deny products without an owner", () => {
+      expect(policy.can(owner, "product:update", { resource: {} })).to.be.false;
+    });
+  });
+
+  describe("user:update", () => {
+    it("should allow the user to update themselves", () => {
+      const req = { params: { id: owner.id } };
+
+      expect(policy.can(owner, "user:update", { req })).to.be.true;
+    });
+
+    it("should only let admins update another user", () => {
+      const req = { params: { id: owner.id } };
+
+      expect(policy.can(stranger, "user:update", { req })).to.be.false;
+      expect(policy.can(admin, "user:update", { req })).to.be.true;
+    });
+  });
+
+  it("should deny anonymous subjects", () => {
+    expect(policy.can(undefined, "product:create")).to.be.false;
+  });
+
+  it("should deny unknown permissions", () => {
+    expect(policy.can(admin, "product:destroy")).to.be.false;
+  });
+
+  it("should limit subjects with scopes to them", () => {
+    const apiKey = { ...admin, scopes: ["product:create"] };
+
+    expect(policy.can(apiKey, "product:create")).to.be.true;
+    expect(policy.can(apiKey, "product:delete", { resource: product })).to.be
+      .false;
+  });
+
+  describe("UserPolice", () => {
+    const Model = { findById: sinon.stub().resolves(null) };
+
+    const policedApp = (model) => {
+      const app = express();
+
+      app.delete("/:id", UserPolice("product:delete", model), (req, res) =>
+        res.status(404).send({ message: "Product does not exist" })
+      );
+      app.use(errorHandler);
+
+      return app;
+    };
+
+    const remove = (model = Model) =>
+      chai.request(policedApp(model)).delete("/64b000000000000000000009");
+
+    afterEach(() => {
+      sinon.restore();
+      Model.findById.resetHistory();
+    });
+
+    it("should answer failed authentications as they are", async () => {
+      const anonymous = await remove();
+
+      expect(anonymous).to.have.status(403);
+      expect(anonymous.body).to.have.property("code", "not_authenticated");
+
+      const invalid = await remove().set("Authorization", "Bearer invalid");
+
+      expect(invalid).to.have.status(400);
+      expect(invalid.body).to.have.property("code", "token_invalid");
+
+      expect(Model.findById.called).to.be.false;
+    });
+
+    it("should answer revoked sessions with 401", async () => {
+      sinon.stub(sessions, "touch").resolves(null);
+      const { token } = jwt.generateTokens(
+        { id: admin.id, role: "admin" },
+        "sid"
+      );
+
+      const res = await remove().set("Authorization", `Bearer ${token}`);
+
+      expect(res).to.have.status(401);
+      expect(res.body).to.have.property("code", "session_revoked");
+      expect(Model.findById.called).to.be.false;
+    });
+
+    it("should answer unknown API keys with 401", async () => {
+      sinon.stub(apiKeys, "authenticate").resolves(null);
+
+      const res = await remove().set("X-API-Key", "ak_unknown");
+
+      expect(res).to.have.status(401);
+      expect(res.body).to.have.property("code", "api_key_invalid");
+      expect(Model.findById.called).to.be.false;
+    });
+
+    it("should let the controller answer missing documents once authenticated", async () => {
+      sinon.stub(sessions, "touch").resolves({});
+      const { token } = jwt.generateTokens(
+        { id: admin.id, role: "admin" },
+        "sid"
+      );
+
+      const res = await remove().set("Authorization", `Bearer ${token}`);
+
+      expect(res).to.have.status(404);
+      expect(Model.findById.calledOnce).to.be.true;
+    });
+
+    it("should not give clients the rights of an admin", async () => {
+      sinon.stub(oauth, "isGranted").resolves(true);
+      const { access_token } = oauth.issueToken(
+        { client_id: "client" },
+        ["product:delete"],
+        admin
+      );
+
+      const res = await remove({
+        findById: sinon.stub().resolves(product),
+      }).set("Authorization", `Bearer ${access_token}`);
+
+      expect(res).to.have.status(403);
+      expect(res.body).to.have.property("code", "permission_denied");
+    });
+
+    it("should reject the tokens of revoked clients or consents", async () => {
+      sinon.stub(oauth, "isGranted").resolves(false);
+      const { access_token } = oauth.issueToken(
+        { client_id: "client" },
+        ["product:delete"],
+        owner
+      );
+
+      const res = await remove().set("Authorization", `Bearer ${access_token}`);
+
+      expect(res).to.have.status(401);
+      expect(res.body).to.have.property("code", "client_access_revoked");
+      expect(Model.findById.called).to.be.false;
+    });
+  });
+});
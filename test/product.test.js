@@ -4,15 +4,59 @@ const mongoose = require("mongoose");
 const app = require("../app");
 const expect = require("chai").expect;
 const Product = require("../models/Product.model");
+const User = require("../models/User.model");
+const sessions = require("../services/SessionService");
+const trash = require("../services/TrashService");
 
 chai.use(chaiHttp);
 
 describe("Testing products", () => {
+  let owner;
+  let ownerTokens;
+  let otherTokens;
+  let adminTokens;
+
   before(async () => {
     await mongoose.connect("mongodb://localhost:27017/test", {
       useNewUrlParser: true,
       useUnifiedTopology: true,
     });
+
+    owner = new User({
+      full_name: "Product Owner",
+      email: "owner@example.com",
+      password: "password",
+    });
+
+    const other = new User({
+      full_name: "Other User",
+      email: "other@example.com",
+      password: "password",
+    });
+
+    const admin = new User({
+      full_name: "Admin User",
+      email: "admin@example.com",
+      password: "password",
+      role: "admin",
+    });
+
+    await owner.save();
+    await other.save();
+    await admin.save();
+
+    ownerTokens = await sessions.create(owner, {
+      id: owner.id,
+      role: owner.role,
+    });
+    otherTokens = await sessions.create(other, {
+      id: other.id,
+      role: other.role,
+    });
+    adminTokens = await sessions.create(admin, {
+      id: admin.id,
+      role: admin.role,
+    });
   });
 
   after(async () => {
@@ -28,15 +72,84 @@ describe("Testing products", () => {
         description: "This is a test product",
       };
 
-      const res = await chai.request(app).post("/api/product").send(product);
+      const res = await chai
+        .request(app)
+        .post("/api/product")
+        .set("Authorization", `Bearer ${ownerTokens.token}`)
+        .send(product);
 
       expect(res.status).to.equal(200);
       expect(typeof res.body).to.equal("object");
       expect(res.body).to.have.property("_id");
+      expect(res.body.createdBy).to.equal(owner.id);
       expect(res.body.title).to.equal("Test Product");
-      expect(res.body.price).to.equal("10");
+      expect(res.body.price).to.equal("10.00");
+      expect(res.body.currency).to.equal("USD");
+      expect(res.body.price_minor).to.equal(1000);
+      expect(res.body.price_formatted).to.equal("$10.00");
       expect(res.body.description).to.equal("This is a test product");
     });
+
+    it("should check the precision of the price in its currency", async () => {
+      const yen = await chai
+        .request(app)
+        .post("/api/product")
+        .set("Authorization", `Bearer ${ownerTokens.token}`)
+        .send({
+          title: "Tea",
+          price: 1200,
+          currency: "jpy",
+          description: "Tea",
+        });
+
+      expect(yen.status).to.equal(200);
+      expect(yen.body).to.include({
+        price: "1200",
+        currency: "JPY",
+        price_minor: 1200,
+        price_formatted: "¥1,200",
+      });
+
+      const invalid = await chai
+        .request(app)
+        .post("/api/product")
+        .set("Authorization", `Bearer ${ownerTokens.token}`)
+        .send({ title: "Tea", price: "12.5", currency: "JPY" });
+
+      expect(invalid.status).to.equal(400);
+      expect(invalid.body.errors[0].type).to.equal("price.precision");
+
+      const update = await chai
+        .request(app)
+        .put(`/api/product/${yen.body._id}`)
+        .set("Authorization", `Bearer ${ownerTokens.token}`)
+        .send({ price: "0.5" });
+
+      expect(update.status).to.equal(400);
+
+      const notMoney = await chai
+        .request(app)
+        .post("/api/product")
+        .set("Authorization", `Bearer ${ownerTokens.token}`)
+        .send({ title: "Tea", price: "abc" });
+
+      expect(notMoney.status).to.equal(400);
+
+      await Product.deleteOne({ _id: yen.body._id });
+    });
+
+    it("should not let an anonymous user create a product", async () => {
+      const product = {
+        title: "Anonymous Product",
+        price: "10",
+        description: "This product should not be created",
+      };
+
+      const res = await chai.request(app).post("/api/product").send(product);
+
+      expect(res.status).to.equal(403);
+      expect(await Product.countDocuments()).to.equal(1);
+    });
   });
 
   describe("GET /products", () => {
@@ -44,7 +157,176 @@ describe("Testing products", () => {
       const res = await chai.request(app).get("/api/product");
 
       expect(res.status).to.equal(200);
-      expect(res.body.length).to.equal(1);
+      expect(res.body.data.length).to.equal(1);
+    });
+
+    it("should page, filter and sort products", async () => {
+      await Product.create([
+        {
+          title: "Green Apple",
+          price: 300,
+          currency: "USD",
+          description: "Fruit",
+        },
+        {
+          title: "Red Apple",
+          price: 500,
+          currency: "USD",
+          description: "Fruit",
+        },
+        {
+          title: "Yellow Banana",
+          price: 700,
+          currency: "USD",
+          description: "Fruit",
+        },
+      ]);
+
+      const query = { title: "apple", price_min: 4, sort: "title", limit: 1 };
+
+      const first = await chai.request(app).get("/api/product").query(query);
+
+      expect(first.status).to.equal(200);
+      expect(first.body.data.map((product) => product.title)).to.deep.equal([
+        "Red Apple",
+      ]);
+      expect(first.body.meta).to.include({ total: 1, page: 1, pages: 1 });
+      expect(first.body.links.next).to.be.null;
+
+      const page = await chai
+        .request(app)
+        .get("/api/product")
+        .query({ sort: "-title", limit: 2 });
+
+      expect(page.body.data.map((product) => product.title)).to.deep.equal([
+        "Yellow Banana",
+        "Test Product",
+      ]);
+      expect(page.body.links.next).to.include("page=2");
+
+      const next = await chai
+        .request(app)
+        .get("/api/product")
+        .query({ cursor: page.body.meta.next_cursor, limit: 2 });
+
+      expect(next.body.data.map((product) => product.title)).to.deep.equal([
+        "Red Apple",
+        "Green Apple",
+      ]);
+      expect(next.body.meta.next_cursor).to.be.null;
+
+      const prev = await chai
+        .request(app)
+        .get("/api/product")
+        .query({ cursor: next.body.meta.prev_cursor, limit: 2 });
+
+      expect(prev.body.data.map((product) => product.title)).to.deep.equal([
+        "Yellow Banana",
+        "Test Product",
+      ]);
+
+      await Product.deleteMany({ description: "Fruit" });
+    });
+  });
+
+  describe("GET /products/search", () => {
+    before(async () => {
+      await Product.init();
+      await Product.create([
+        {
+          title: "Green Apple",
+          price: 300,
+          currency: "USD",
+          description: "A sour apple for pies",
+        },
+        {
+          title: "Red Apple",
+          price: 500,
+          currency: "USD",
+          description: "Crisp & sweet, from the orchard",
+        },
+        {
+          title: "Banana Bread",
+          price: 1200,
+          currency: "USD",
+          description: "Baked with ripe bananas",
+        },
+      ]);
+    });
+
+    after(async () => {
+      await Product.deleteMany({ title: /Apple|Banana/ });
+    });
+
+    it("should rank the products matching whole words", async () => {
+      const res = await chai
+        .request(app)
+        .get("/api/product/search")
+        .query({ q: "apple" });
+
+      expect(res.status).to.equal(200);
+      expect(res.body.meta).to.include({ match: "text", total: 2 });
+      expect(res.body.data.map((product) => product.title)).to.deep.equal([
+        "Green Apple",
+        "Red Apple",
+      ]);
+      expect(res.body.data[1].highlights).to.deep.equal({
+        title: "Red <mark>Apple</mark>",
+        description: "Crisp &amp; sweet, from the orchard",
+      });
+      expect(res.body.facets.price).to.deep.equal([
+        { from: 0, to: 10, count: 2 },
+      ]);
+    });
+
+    it("should match the start of words and typos", async () => {
+      const prefix = await chai
+        .request(app)
+        .get("/api/product/search")
+        .query({ q: "bana" });
+
+      expect(prefix.body.meta.match).to.equal("fuzzy");
+      expect(prefix.body.data.map((product) => product.title)).to.deep.equal([
+        "Banana Bread",
+      ]);
+      expect(prefix.body.data[0].highlights.title).to.equal(
+        "<mark>Banana</mark> Bread"
+      );
+
+      const typo = await chai
+        .request(app)
+        .get("/api/product/search")
+        .query({ q: "aplpe", price_max: 4 });
+
+      expect(typo.body.data.map((product) => product.title)).to.deep.equal([
+        "Green Apple",
+      ]);
+    });
+
+    it("should page the results", async () => {
+      const first = await chai
+        .request(app)
+        .get("/api/product/search")
+        .query({ q: "apple", limit: 1 });
+
+      const next = await chai
+        .request(app)
+        .get("/api/product/search")
+        .query({ q: "apple", cursor: first.body.meta.next_cursor, limit: 1 });
+
+      expect(next.body.data.map((product) => product.title)).to.deep.equal([
+        "Red Apple",
+      ]);
+      expect(next.body.meta.next_cursor).to.be.null;
+    });
+
+    it("should require searched words", async () => {
+      const res = await chai
+        .request(app)
+        .get("/api/product/search")
+        .query({ q: "?!" });
+
+      expect(res.status).to.equal(400);
     });
   });
 
@@ -52,7 +334,8 @@ describe("Testing products", () => {
     it("should get a product by id", async () => {
       const product = new Product({
         title: "Test Product",
-        price: "10",
+        price: 1000,
+        currency: "USD",
         description: "This is a test product",
       });
 
@@ -64,7 +347,7 @@ describe("Testing products", () => {
       expect(typeof res.body).to.equal("object");
       expect(res.body._id).to.equal(product._id.toString());
       expect(res.body.title).to.equal("Test Product");
-      expect(res.body.price).to.equal("10");
+      expect(res.body.price).to.equal("10.00");
       expect(res.body.description).to.equal("This is a test product");
     });
 
@@ -97,6 +380,7 @@ describe("Testing products", () => {
       const createdProduct = await chai
         .request(app)
         .post("/api/product")
+        .set("Authorization", `Bearer ${ownerTokens.token}`)
         .send(newProduct);
 
       const updatedProduct = {
@@ -108,12 +392,13 @@ describe("Testing products", () => {
       const res = await chai
         .request(app)
         .put(`/api/product/${createdProduct.body._id}`)
+        .set("Authorization", `Bearer ${ownerTokens.token}`)
         .send(updatedProduct);
 
       expect(res.status).to.equal(200);
       expect(res.body.message).to.equal("Updated");
       expect(res.body.product.title).to.equal(updatedProduct.title);
-      expect(res.body.product.price).to.equal(updatedProduct.price);
+      expect(res.body.product.price).to.equal("60.00");
       expect(res.body.product.description).to.equal(updatedProduct.description);
     });
 
@@ -127,11 +412,33 @@ describe("Testing products", () => {
       const res = await chai
         .request(app)
         .put(`/api/product/invalid_id`)
+        .set("Authorization", `Bearer ${ownerTokens.token}`)
         .send(updatedProduct);
 
       expect(res.status).to.equal(400);
       expect(res.body.message).to.equal("Canceled, Invalid ID sent");
     });
+
+    it("should not let another user update the product", async () => {
+      const product = await Product.create({
+        title: "Owned Product",
+        price: 7000,
+        currency: "USD",
+        description: "A product owned by somebody else",
+        createdBy: owner._id,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(`/api/product/${product.id}`)
+        .set("Authorization", `Bearer ${otherTokens.token}`)
+        .send({ title: "Stolen Product" });
+
+      expect(res.status).to.equal(403);
+
+      const unchangedProduct = await Product.findById(product.id);
+      expect(unchangedProduct.title).to.equal("Owned Product");
+    });
   });
 
   describe("deleteProductById", () => {
@@ -140,8 +447,10 @@ describe("Testing products", () => {
     before(async () => {
       product = new Product({
         title: "Test Product",
-        price: "9.99",
+        price: 999,
+        currency: "USD",
         description: "A product for testing purposes",
+        createdBy: owner._id,
       });
 
       await product.save();
@@ -151,8 +460,20 @@ describe("Testing products", () => {
       await Product.deleteMany({});
     });
 
+    it("should not let another user delete the product", async () => {
+      const res = await chai
+        .request(app)
+        .delete(`/api/product/${product.id}`)
+        .set("Authorization", `Bearer ${otherTokens.token}`);
+
+      expect(res.status).to.equal(403);
+    });
+
     it("should delete a product by ID", async () => {
-      const res = await chai.request(app).delete(`/api/product/${product.id}`);
+      const res = await chai
+        .request(app)
+        .delete(`/api/product/${product.id}`)
+        .set("Authorization", `Bearer ${ownerTokens.token}`);
 
       expect(res.status).to.equal(200);
       expect(res.body.message).to.equal("Deleted");
@@ -165,20 +486,284 @@ describe("Testing products", () => {
     });
 
     it("should return a 400 status if an invalid ID is sent", async () => {
-      const res = await chai.request(app).delete("/api/product/invalid-id");
+      const res = await chai
+        .request(app)
+        .delete("/api/product/invalid-id")
+        .set("Authorization", `Bearer ${ownerTokens.token}`);
 
       expect(res.status).to.equal(400);
       expect(res.body.message).to.equal("Canceled, Invalid ID sent");
     });
 
-    it("should return a 400 status if the product was not found", async () => {
-      const res = await chai.request(app).delete(`/api/product/${product.id}`);
+    it("should let an admin delete a product they do not own", async () => {
+      const adminProduct = await Product.create({
+        title: "Admin Deleted Product",
+        price: 500,
+        currency: "USD",
+        description: "A product removed by an admin",
+        createdBy: owner._id,
+      });
 
-      expect(res.status).to.equal(400);
-      expect(res.body.message).to.equal("Product was not found");
+      const res = await chai
+        .request(app)
+        .delete(`/api/product/${adminProduct.id}`)
+        .set("Authorization", `Bearer ${adminTokens.token}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.message).to.equal("Deleted");
+    });
+
+    it("should return a 404 status if the product was not found", async () => {
+      const res = await chai
+        .request(app)
+        .delete(`/api/product/${product.id}`)
+        .set("Authorization", `Bearer ${ownerTokens.token}`);
+
+      expect(res.status).to.equal(404);
+      expect(res.body).to.include({
+        code: "product_not_found",
+        message: "Product does not exist",
+      });
 
       const deletedProduct = await Product.findById(product.id);
       chai.expect(deletedProduct).to.be.null;
     });
   });
+
+  describe("Trash", () => {
+    let product;
+
+    before(async () => {
+      product = await Product.create({
+        title: "Trashed Product",
+        price: 100,
+        currency: "USD",
+        description: "A product to restore",
+        createdBy: owner._id,
+      });
+
+      await chai
+        .request(app)
+        .delete(`/api/product/${product.id}`)
+        .set("Authorization", `Bearer ${ownerTokens.token}`);
+    });
+
+    after(async () => {
+      await Product.deleteMany({ deletedAt: { $ne: null } });
+    });
+
+    it("should hide deleted products", async () => {
+      const res = await chai.request(app).get(`/api/product/${product.id}`);
+
+      expect(res.status).to.equal(404);
+      expect(
+        await Product.countDocuments({ title: "Trashed Product" })
+      ).to.equal(0);
+    });
+
+    it("should list the trash to admins only", async () => {
+      const res = await chai
+        .request(app)
+        .get("/api/product/trash")
+        .set("Authorization", `Bearer ${adminTokens.token}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.map(({ title }) => title)).to.include(
+        "Trashed Product"
+      );
+
+      const ownerRes = await chai
+        .request(app)
+        .get("/api/product/trash")
+        .set("Authorization", `Bearer ${ownerTokens.token}`);
+
+      expect(ownerRes.status).to.equal(403);
+    });
+
+    it("should page through the trash with cursors", async () => {
+      await Product.create(
+        ["First", "Second"].map((title, index) => ({
+          title: `${title} Trashed Product`,
+          price: 100,
+          currency: "USD",
+          description: "Another product of the trash",
+          deletedAt: new Date(Date.now() - (index + 1) * 60 * 1000),
+        }))
+      );
+
+      const titles = [];
+      let cursor;
+      let total;
+
+      do {
+        const res = await chai
+          .request(app)
+          .get("/api/product/trash")
+          .query(cursor ? { cursor, limit: 1 } : { limit: 1 })
+          .set("Authorization", `Bearer ${adminTokens.token}`);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.data).to.have.lengthOf(1);
+
+        titles.push(res.body.data[0].title);
+        total = res.body.meta.total;
+        cursor = res.body.meta.next_cursor;
+      } while (cursor);
+
+      // Every page holds one document, none is skipped or repeated.
+      expect(titles).to.have.lengthOf(total);
+      expect(new Set(titles).size).to.equal(total);
+      expect(titles).to.include.members([
+        "Trashed Product",
+        "First Trashed Product",
+        "Second Trashed Product",
+      ]);
+    });
+
+    it("should restore a deleted product", async () => {
+      const res = await chai
+        .request(app)
+        .post(`/api/product/${product.id}/restore`)
+        .set("Authorization", `Bearer ${adminTokens.token}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.message).to.equal("Restored");
+
+      const getRes = await chai.request(app).get(`/api/product/${product.id}`);
+
+      expect(getRes.status).to.equal(200);
+    });
+
+    it("should only purge products of the trash", async () => {
+      const liveRes = await chai
+        .request(app)
+        .delete(`/api/product/${product.id}/purge`)
+        .set("Authorization", `Bearer ${adminTokens.token}`);
+
+      expect(liveRes.status).to.equal(404);
+
+      await Product.softDeleteById(product.id);
+
+      const res = await chai
+        .request(app)
+        .delete(`/api/product/${product.id}/purge`)
+        .set("Authorization", `Bearer ${adminTokens.token}`);
+
+      expect(res.status).to.equal(200);
+      expect(
+        await Product.exists({ _id: product.id }).setOptions({
+          withDeleted: true,
+        })
+      ).to.be.null;
+    });
+
+    it("should purge products past the retention", async () => {
+      const old = await Product.create({
+        title: "Old Product",
+        price: 100,
+        currency: "USD",
+        description: "Deleted long ago",
+        deletedAt: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000),
+      });
+
+      const purged = await trash.purgeExpired();
+
+      expect(purged.products).to.equal(1);
+      expect(
+        await Product.exists({ _id: old._id }).setOptions({
+          withDeleted: true,
+        })
+      ).to.be.null;
+    });
+  });
+
+  describe("API keys", () => {
+    let key;
+    let keyId;
+
+    before(async () => {
+      await User.updateOne({ _id: owner._id }, { is_active: true });
+    });
+
+    it("should create a key that is shown once", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/user/api-keys")
+        .set("Authorization", `Bearer ${ownerTokens.token}`)
+        .send({ name: "Nightly import", scopes: ["product:create"] });
+
+      expect(res.status).to.equal(201);
+      expect(res.body.key).to.match(/^ak_/);
+      expect(res.body.apiKey).to.not.have.property("key");
+      key = res.body.key;
+      keyId = res.body.apiKey._id;
+
+      const list = await chai
+        .request(app)
+        .get("/api/user/api-keys")
+        .set("Authorization", `Bearer ${ownerTokens.token}`);
+
+      expect(list.body).to.have.lengthOf(1);
+      expect(list.body[0]).to.not.have.property("key");
+      expect(list.body[0]).to.have.property("prefix", key.slice(0, 10));
+    });
+
+    it("should authenticate with the X-API-Key header", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/product")
+        .set("X-API-Key", key)
+        .send({
+          title: "Imported Product",
+          price: "12",
+          description: "A product created with an API key",
+        });
+
+      expect(res.status).to.equal(200);
+      expect(res.body.createdBy).to.equal(owner.id);
+
+      const list = await chai
+        .request(app)
+        .get("/api/user/api-keys")
+        .set("Authorization", `Bearer ${ownerTokens.token}`);
+
+      expect(list.body[0].last_used_at).to.not.be.null;
+    });
+
+    it("should only allow the scopes of the key", async () => {
+      const product = await Product.findOne({ title: "Imported Product" });
+
+      const res = await chai
+        .request(app)
+        .delete(`/api/product/${product.id}`)
+        .set("X-API-Key", key);
+
+      expect(res.status).to.equal(403);
+    });
+
+    it("should reject unknown and revoked keys", async () => {
+      const unknown = await chai
+        .request(app)
+        .post("/api/product")
+        .set("X-API-Key", "ak_unknown")
+        .send({ title: "Unknown", price: "1", description: "Unknown key" });
+
+      expect(unknown.status).to.equal(401);
+
+      const revoked = await chai
+        .request(app)
+        .delete(`/api/user/api-keys/${keyId}`)
+        .set("Authorization", `Bearer ${ownerTokens.token}`);
+
+      expect(revoked.status).to.equal(200);
+
+      const res = await chai
+        .request(app)
+        .post("/api/product")
+        .set("X-API-Key", key)
+        .send({ title: "Revoked", price: "1", description: "Revoked key" });
+
+      expect(res.status).to.equal(401);
+    });
+  });
 });
@@ -0,0 +1,173 @@
+const chai = require("chai");
+const chaiHttp = require("chai-http");
+const express = require("express");
+const sinon = require("sinon");
+const expect = require("chai").expect;
+const RateLimit = require("../middlewares/rateLimit");
+const errorHandler = require("../middlewares/errorHandler");
+const apiKeys = require("../services/ApiKeyService");
+const createRateLimitStore = require("../services/rateLimit");
+
+chai.use(chaiHttp);
+
+describe("Testing rate limiting", () => {
+  describe("memory store", () => {
+    let store;
+
+    beforeEach(() => {
+      store = createRateLimitStore("memory");
+    });
+
+    it("should allow a limited number of hits per fixed window", async () => {
+      const first = await store.fixedWindow("key", 2, 60000);
+      const second = await store.fixedWindow("key", 2, 60000);
+      const third = await store.fixedWindow("key", 2, 60000);
+
+      expect(first).to.include({ allowed: true, remaining: 1 });
+      expect(second).to.include({ allowed: true, remaining: 0 });
+      expect(third).to.include({ allowed: false, remaining: 0 });
+      expect(third.resetMs).to.be.within(1, 60000);
+    });
+
+    it("should take tokens from a bucket until it is empty", async () => {
+      const first = await store.tokenBucket("key", 2, 60000);
+      const second = await store.tokenBucket("key", 2, 60000);
+      const third = await store.tokenBucket("key", 2, 60000);
+
+      expect(first).to.include({ allowed: true, remaining: 1 });
+      expect(second).to.include({ allowed: true, remaining: 0 });
+      expect(third).to.include({ allowed: false, remaining: 0 });
+      expect(third.resetMs).to.be.within(1, 30000);
+    });
+
+    it("should count keys separately", async () => {
+      await store.fixedWindow("first", 1, 60000);
+      const other = await store.fixedWindow("second", 1, 60000);
+
+      expect(other.allowed).to.be.true;
+    });
+  });
+
+  describe("middleware", () => {
+    const limitedApp = (options) => {
+      const app = express();
+
+      app.get("/", RateLimit(`test-${Math.random()}`, options), (req, res) =>
+        res.status(200).send({ message: "OK" })
+      );
+      app.use(errorHandler);
+
+      return app;
+    };
+
+    it("should send RateLimit headers and reject requests over the limit", async () => {
+      const app = limitedApp({
+        algorithm: "fixed-window",
+        limit: 1,
+        window_ms: 60000,
+        key: "ip",
+      });
+
+      const allowed = await chai.request(app).get("/");
+
+      expect(allowed).to.have.status(200);
+      expect(allowed.header).to.have.property("ratelimit-limit", "1");
+      expect(allowed.header).to.have.property("ratelimit-remaining", "0");
+      expect(allowed.header).to.have.property("ratelimit-reset");
+
+      const rejected = await chai.request(app).get("/");
+
+      expect(rejected).to.have.status(429);
+      expect(rejected.header).to.have.property("retry-after");
+      expect(rejected.body).to.include({
+        message: "Too many requests",
+        code: "rate_limited",
+      });
+    });
+
+    it("should key anonymous clients by their IP address", async () => {
+      const app = limitedApp({
+        algorithm: "token-bucket",
+        limit: 1,
+        window_ms: 60000,
+        key: "user",
+      });
+
+      await chai.request(app).get("/");
+      const rejected = await chai
+        .request(app)
+        .get("/")
+        .set("Authorization", "Bearer invalid_token");
+
+      expect(rejected).to.have.status(429);
+    });
+
+    describe("api_key", () => {
+      const app = () =>
+        limitedApp({
+          algorithm: "fixed-window",
+          limit: 1,
+          window_ms: 60000,
+          key: "api_key",
+        });
+
+      afterEach(() => {
+        sinon.restore();
+      });
+
+      it("should key unknown API keys by the IP address", async () => {
+        sinon.stub(apiKeys, "findId").resolves(null);
+        const limited = app();
+
+        await chai.request(limited).get("/").set("X-API-Key", "ak_first");
+        const rejected = await chai
+          .request(limited)
+          .get("/")
+          .set("X-API-Key", "ak_second");
+
+        expect(rejected).to.have.status(429);
+      });
+
+      it("should count the stored keys separately", async () => {
+        const findId = sinon.stub(apiKeys, "findId");
+        findId.withArgs("ak_first").resolves("first");
+        findId.withArgs("ak_second").resolves("second");
+        const authenticate = sinon.spy(apiKeys, "authenticate");
+        const limited = app();
+
+        await chai.request(limited).get("/").set("X-API-Key", "ak_first");
+        const other = await chai
+          .request(limited)
+          .get("/")
+          .set("X-API-Key", "ak_second");
+        const rejected = await chai
+          .request(limited)
+          .get("/")
+          .set("X-API-Key", "ak_first");
+
+        expect(other).to.have.status(200);
+        expect(rejected).to.have.status(429);
+        expect(authenticate.called).to.be.false;
+      });
+    });
+
+    it("should not limit groups without settings", async () => {
+      const app = express();
+
+      app.get("/", RateLimit("not-configured"), (req, res) =>
+        res.status(200).send({ message: "OK" })
+      );
+
+      const res = await chai.request(app).get("/");
+
+      expect(res).to.have.status(200);
+      expect(res.header).to.not.have.property("ratelimit-limit");
+    });
+
+    it("should reject unknown algorithms", () => {
+      expect(() =>
+        RateLimit("test", { algorithm: "sliding-log", key: "ip" })
+      ).to.throw("'sliding-log' rate limit algorithm is not exist");
+    });
+  });
+});
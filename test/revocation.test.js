@@ -0,0 +1,61 @@
+const expect = require("chai").expect;
+const jwt = require("../services/JwtService");
+const createRevocationStore = require("../services/revocation");
+
+describe("Testing token revocation", () => {
+  describe("memory store", () => {
+    let store;
+
+    beforeEach(() => {
+      store = createRevocationStore("memory");
+    });
+
+    it("should deny a revoked token id until it expires", async () => {
+      await store.revoke("jti-1", new Date(Date.now() + 60000));
+
+      expect(await store.isRevoked("jti-1")).to.be.true;
+      expect(await store.isRevoked("jti-2")).to.be.false;
+    });
+
+    it("should forget token ids once they expired", async () => {
+      await store.revoke("jti-1", new Date(Date.now() - 1));
+
+      expect(await store.isRevoked("jti-1")).to.be.false;
+      expect(store.tokens.size).to.equal(0);
+    });
+  });
+
+  it("should reject unknown stores", () => {
+    expect(() => createRevocationStore("redis")).to.throw(
+      "'redis' revocation store is not exist"
+    );
+  });
+
+  describe("JwtService", () => {
+    it("should give every access token a unique jti", async () => {
+      const first = jwt.generateTokens({ id: "1" }, "session");
+      const second = jwt.generateTokens({ id: "1" }, "session");
+
+      const firstData = await jwt.verifyAccess(first.token);
+      const secondData = await jwt.verifyAccess(second.token);
+
+      expect(firstData.jti).to.be.a("string");
+      expect(firstData.jti).to.not.equal(secondData.jti);
+    });
+
+    it("should reject a revoked access token", async () => {
+      const tokens = jwt.generateTokens({ id: "1" }, "session");
+
+      await jwt.revokeAccess(await jwt.verifyAccess(tokens.token));
+
+      let error;
+      try {
+        await jwt.verifyAccess(tokens.token);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.have.property("message", "jwt revoked");
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const expect = require("chai").expect;
+const KeyRing = require("../services/KeyRing");
+
+const pem = (key) => key.export({ type: "pkcs8", format: "pem" });
+const publicPem = (key) => key.export({ type: "spki", format: "pem" });
+
+describe("Testing access token signing", () => {
+  const ec = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const rsa = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+  const oldKey = {
+    kid: "old",
+    algorithm: "ES256",
+    private_key: pem(ec.privateKey),
+  };
+  const newKey = {
+    kid: "new",
+    algorithm: "RS256",
+    private_key: pem(rsa.privateKey),
+  };
+
+  it("should sign with the signing key and name it in the header", () => {
+    const ring = new KeyRing({ signing_kid: "old", keys: [oldKey] });
+    const token = ring.sign({ id: "1" }, { expiresIn: "1m" });
+
+    expect(jwt.decode(token, { complete: true }).header).to.include({
+      alg: "ES256",
+      kid: "old",
+    });
+    expect(ring.verify(token)).to.have.property("id", "1");
+  });
+
+  it("should keep verifying the tokens of a rotated key", () => {
+    const before = new KeyRing({ signing_kid: "old", keys: [oldKey] });
+    const token = before.sign({ id: "1" }, { expiresIn: "1m" });
+
+    const after = new KeyRing({
+      signing_kid: "new",
+      keys: [
+        newKey,
+        {
+          kid: "old",
+          algorithm: "ES256",
+          public_key: publicPem(ec.publicKey),
+        },
+      ],
+    });
+
+    expect(after.verify(token)).to.have.property("id", "1");
+    expect(
+      jwt.decode(after.sign({ id: "2" }), { complete: true }).header
+    ).to.have.property("kid", "new");
+  });
+
+  it("should only accept the algorithm of the key", () => {
+    const ring = new KeyRing({ signing_kid: "new", keys: [newKey] });
+    const forged = jwt.sign({ id: "1" }, "any secret", { keyid: "new" });
+
+    expect(() => ring.verify(forged)).to.throw("invalid algorithm");
+  });
+
+  it("should reject unknown keys", () => {
+    const ring = new KeyRing({ signing_kid: "new", keys: [newKey] });
+    const token = new KeyRing({ signing_kid: "old", keys: [oldKey] }).sign({});
+
+    expect(() => ring.verify(token)).to.throw("jwt kid unknown");
+  });
+
+  it("should verify the HS256 tokens without a kid", () => {
+    const ring = new KeyRing({ signing_kid: "new", keys: [newKey] }, "legacy");
+    const token = jwt.sign({ id: "1" }, "legacy");
+
+    expect(ring.verify(token)).to.have.property("id", "1");
+    expect(new KeyRing({}, "legacy").sign({ id: "1" }).split(".")[0]).to.equal(
+      token.split(".")[0]
+    );
+  });
+
+  it("should publish the public keys only", () => {
+    const ring = new KeyRing({
+      signing_kid: "new",
+      keys: [
+        newKey,
+        oldKey,
+        { kid: "shared", algorithm: "HS256", secret: "secret" },
+      ],
+    });
+
+    const { keys } = ring.jwks();
+
+    expect(keys.map((key) => key.kid)).to.deep.equal(["new", "old"]);
+    expect(keys[0]).to.include({ kty: "RSA", alg: "RS256", use: "sig" });
+    expect(keys[1]).to.include({ kty: "EC", crv: "P-256", alg: "ES256" });
+    keys.forEach((key) => expect(key).to.not.have.property("d"));
+  });
+
+  it("should reject keys that do not match their algorithm", () => {
+    expect(
+      () =>
+        new KeyRing({
+          keys: [{ ...oldKey, algorithm: "RS256" }],
+        })
+    ).to.throw("'old' is not a RS256 key");
+  });
+});
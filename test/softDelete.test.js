@@ -0,0 +1,46 @@
+const expect = require("chai").expect;
+const mongoose = require("mongoose");
+const softDelete = require("../helpers/softDelete");
+
+describe("Testing soft delete", () => {
+  const schema = new mongoose.Schema({ title: String });
+  schema.plugin(softDelete);
+
+  const Model = mongoose.model("SoftDeleteTest", schema);
+
+  // Filter of a query once the middleware of the plugin ran
+  const filterOf = (query) =>
+    new Promise((resolve, reject) => {
+      query._queryMiddleware.execPre("find", query, [], (error) =>
+        error ? reject(error) : resolve(query.getFilter())
+      );
+    });
+
+  it("should leave out the documents of the trash", async () => {
+    expect(await filterOf(Model.find({ title: "a" }))).to.deep.equal({
+      title: "a",
+      deletedAt: null,
+    });
+  });
+
+  it("should keep the filters on deletedAt", async () => {
+    const inTrash = { deletedAt: { $ne: null } };
+
+    expect(await filterOf(Model.find(inTrash))).to.deep.equal(inTrash);
+  });
+
+  it("should keep the filters on deletedAt of $and conditions", async () => {
+    const page = {
+      $and: [{ deletedAt: { $ne: null } }, { _id: { $gt: "64b0" } }],
+    };
+
+    expect(await filterOf(Model.find(page))).to.deep.equal(page);
+  });
+
+  it("should answer every document with the withDeleted option", async () => {
+    const query = Model.find({}).setOptions({ withDeleted: true });
+
+    expect(await filterOf(query)).to.deep.equal({});
+    expect(query.getOptions()).to.not.have.property("withDeleted");
+  });
+});
@@ -1,10 +1,22 @@
 const chai = require("chai");
+const config = require("config");
+const bcrypt = require("bcryptjs");
+const jsonwebtoken = require("jsonwebtoken");
 const chaiHttp = require("chai-http");
 const mongoose = require("mongoose");
 const app = require("../app");
 const expect = require("chai").expect;
 const User = require("../models/User.model");
-const jwt = require("../services/JwtService");
+const ApiKey = require("../models/ApiKey.model");
+const OAuthConsent = require("../models/OAuthConsent.model");
+const Product = require("../models/Product.model");
+const Reservation = require("../models/Reservation.model");
+const Session = require("../models/Session.model");
+const sessions = require("../services/SessionService");
+const apiKeys = require("../services/ApiKeyService");
+const inventory = require("../services/InventoryService");
+const mail = require("../services/MailService");
+const mfa = require("../services/MfaService");
 
 chai.use(chaiHttp);
 
@@ -26,7 +38,7 @@ describe("Testing user service", () => {
       const user = {
         full_name: "John Doe",
         email: "john@example.com",
-        password: "password123",
+        password: "Orange-Kite-123",
         is_active: true,
       };
 
@@ -36,23 +48,27 @@ describe("Testing user service", () => {
       expect(res.body).to.have.property("user");
       expect(res.body.user.full_name).to.equal(user.full_name);
       expect(res.body.user.email).to.equal(user.email);
-      expect(res.body.user.is_active).to.equal(user.is_active);
-      expect(res.body.user).to.have.property("password");
-      expect(res.body).to.have.property("token");
+      expect(res.body.user.is_active).to.equal(false);
+      expect(res.body).to.have.property("message", "Verification email sent");
+      expect(res.body).to.not.have.property("token");
+
+      const message = mail.transport.messages.pop();
+      expect(message.to).to.equal(user.email);
+      expect(message.text).to.include("/api/user/verify-email?token=");
     });
 
     it("should not create a user with a duplicate email", async () => {
       const user = {
         full_name: "John Doe",
         email: "john@example.com",
-        password: "password123",
+        password: "Orange-Kite-123",
         is_active: true,
       };
 
       const existingUser = new User({
         full_name: "Jane Doe",
         email: "john@example.com",
-        password: "password456",
+        password: "Orange-Kite-456",
         is_active: false,
       });
 
@@ -67,10 +83,29 @@ describe("Testing user service", () => {
       const numUsers = await User.countDocuments();
       expect(numUsers).to.equal(2);
     });
+
+    it("should reject a password that does not follow the policy", async () => {
+      const res = await chai.request(app).post("/api/user/signup").send({
+        full_name: "Weak Password",
+        email: "weak@example.com",
+        password: "Password123",
+      });
+
+      expect(res).to.have.status(400);
+      expect(res.body).to.have.property("code", "validation_failed");
+      expect(res.body.errors).to.deep.include({
+        path: "password",
+        type: "password.common",
+        message: '"password" is too common',
+      });
+      expect(res.body.errors.map((detail) => detail.type)).to.include(
+        "string.pattern.name"
+      );
+    });
   });
 
   describe("POST /signIn", () => {
-    it("should return 404 if user does not exist", async () => {
+    it("should return 401 if user does not exist", async () => {
       const payload = {
         email: "nonexistent@example.com",
         password: "password",
@@ -80,22 +115,22 @@ describe("Testing user service", () => {
         .request(app)
         .post("/api/user/signin")
         .send(payload);
-      expect(res).to.have.status(404);
-      expect(res.body).to.have.property("message", "User does not exist");
+      expect(res).to.have.status(401);
+      expect(res.body).to.have.property("message", "Invalid email or password");
     });
 
-    it("should return 400 if password is incorrect", async () => {
+    it("should return the same 401 if password is incorrect", async () => {
       const user = new User({
         full_name: "Jane Doe",
-        email: "nonexistent@example.com",
-        password: "password456",
+        email: "wrong-password@example.com",
+        password: "Orange-Kite-456",
         is_active: true,
       });
 
       await user.save();
 
       const payload = {
-        email: "nonexistent@example.com",
+        email: "wrong-password@example.com",
         password: "wrong_password",
       };
 
@@ -104,23 +139,24 @@ describe("Testing user service", () => {
         .post("/api/user/signin")
         .send(payload);
 
-      expect(res).to.have.status(400);
-      expect(res.body).to.have.property("message", "Password is incorrect");
+      expect(res).to.have.status(401);
+      expect(res.body).to.have.property("message", "Invalid email or password");
     });
 
     it("should sign in the user and return user object and token", async () => {
       const user = {
         full_name: "John Doe",
         email: "other@example.com",
-        password: "password456",
+        password: "Orange-Kite-456",
         is_active: true,
       };
 
       await chai.request(app).post("/api/user/signup").send(user);
+      await User.updateOne({ email: user.email }, { is_active: true });
 
       const payload = {
         email: "other@example.com",
-        password: "password456",
+        password: "Orange-Kite-456",
       };
 
       const res = await chai
@@ -133,13 +169,584 @@ describe("Testing user service", () => {
       expect(res.body.user).to.have.property("id");
       expect(res.body.user).to.have.property("full_name");
       expect(res.body.user).to.have.property("email");
-      expect(res.body.user).to.have.property("password");
+      expect(res.body.user).to.not.have.property("password");
       expect(res.body.user).to.have.property("is_active", true);
       expect(res.body).to.have.property("token");
+      expect(jsonwebtoken.decode(res.body.token)).to.not.have.property(
+        "password"
+      );
       expect(res.header).to.have.property("set-cookie");
     });
   });
 
+  describe("Login protection", () => {
+    const credentials = {
+      email: "guessed@example.com",
+      password: "password987",
+    };
+    let user;
+    let adminTokens;
+
+    before(async () => {
+      user = new User({
+        full_name: "Guessed User",
+        email: credentials.email,
+        password: bcrypt.hashSync(credentials.password, 7),
+        is_active: true,
+      });
+
+      const admin = new User({
+        full_name: "Unlocking Admin",
+        email: "unlocking-admin@example.com",
+        password: "password",
+        role: "admin",
+      });
+
+      await user.save();
+      await admin.save();
+
+      adminTokens = await sessions.create(admin, {
+        id: admin.id,
+        role: admin.role,
+      });
+    });
+
+    it("should throttle an account after failed attempts", async () => {
+      let res;
+
+      for (let i = 0; i <= config.get("login_protection.max_failures"); i++) {
+        res = await chai
+          .request(app)
+          .post("/api/user/signin")
+          .send({ email: credentials.email, password: "wrong_password" });
+
+        if (res.status === 429) {
+          break;
+        }
+
+        expect(res).to.have.status(401);
+      }
+
+      expect(res).to.have.status(429);
+      expect(res.header).to.have.property("retry-after");
+
+      const correct = await chai
+        .request(app)
+        .post("/api/user/signin")
+        .send(credentials);
+
+      expect(correct).to.have.status(429);
+    });
+
+    it("should let an admin unlock the account", async () => {
+      const res = await chai
+        .request(app)
+        .post(`/api/user/${user.id}/unlock`)
+        .set("Authorization", `Bearer ${adminTokens.token}`);
+
+      expect(res).to.have.status(200);
+
+      const signIn = await chai
+        .request(app)
+        .post("/api/user/signin")
+        .send(credentials);
+
+      expect(signIn).to.have.status(200);
+    });
+  });
+
+  describe("Email verification", () => {
+    const user = {
+      full_name: "Pending User",
+      email: "pending@example.com",
+      password: "Orange-Kite-321",
+    };
+    let link;
+
+    before(async () => {
+      await chai.request(app).post("/api/user/signup").send(user);
+
+      const message = mail.transport.messages.pop();
+      link = message.text.match(/\/api\/user\/verify-email\?token=\S+/)[0];
+    });
+
+    it("should not sign in a pending user", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/user/signin")
+        .send({ email: user.email, password: user.password });
+
+      expect(res).to.have.status(403);
+      expect(res.body).to.have.property("message", "Email is not verified");
+    });
+
+    it("should not resend the link during the cooldown", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/user/verify-email/resend")
+        .send({ email: user.email });
+
+      expect(res).to.have.status(429);
+      expect(res.header).to.have.property("retry-after");
+    });
+
+    it("should verify the email address once", async () => {
+      const res = await chai.request(app).get(link);
+
+      expect(res).to.have.status(200);
+      expect(res.body).to.have.property("message", "Email verified");
+
+      const replay = await chai.request(app).get(link);
+
+      expect(replay).to.have.status(400);
+    });
+
+    it("should sign in the verified user", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/user/signin")
+        .send({ email: user.email, password: user.password });
+
+      expect(res).to.have.status(200);
+      expect(res.body).to.have.property("token");
+    });
+  });
+
+  describe("Password reset", () => {
+    const user = {
+      full_name: "Forgetful User",
+      email: "forgetful@example.com",
+      password: "Orange-Kite-654",
+    };
+    let tokens;
+    let resetToken;
+
+    before(async () => {
+      await chai.request(app).post("/api/user/signup").send(user);
+      await User.updateOne({ email: user.email }, { is_active: true });
+
+      const res = await chai
+        .request(app)
+        .post("/api/user/signin")
+        .send({ email: user.email, password: user.password });
+      tokens = res.body;
+    });
+
+    it("should answer the same for an unknown email", async () => {
+      const sent = mail.transport.messages.length;
+
+      const unknown = await chai
+        .request(app)
+        .post("/api/user/forgot-password")
+        .send({ email: "unknown@example.com" });
+
+      const known = await chai
+        .request(app)
+        .post("/api/user/forgot-password")
+        .send({ email: user.email });
+
+      expect(unknown).to.have.status(200);
+      expect(unknown.body).to.deep.equal(known.body);
+      expect(mail.transport.messages.length).to.equal(sent + 1);
+
+      const message = mail.transport.messages.pop();
+      expect(message.to).to.equal(user.email);
+      resetToken = message.text.match(/\?token=(\w+)/)[1];
+    });
+
+    it("should not reset to a recently used password", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/user/reset-password")
+        .send({ token: resetToken, password: user.password });
+
+      expect(res).to.have.status(400);
+      expect(res.body.errors[0]).to.have.property("type", "password.reused");
+    });
+
+    it("should reset the password and revoke every session", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/user/reset-password")
+        .send({ token: resetToken, password: "New-Orange-Kite-654" });
+
+      expect(res).to.have.status(200);
+
+      const rejected = await chai
+        .request(app)
+        .get("/api/user/sessions")
+        .set("Authorization", `Bearer ${tokens.token}`);
+
+      expect(rejected).to.have.status(401);
+
+      const signIn = await chai
+        .request(app)
+        .post("/api/user/signin")
+        .send({ email: user.email, password: "New-Orange-Kite-654" });
+
+      expect(signIn).to.have.status(200);
+    });
+
+    it("should not accept a reset token twice", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/user/reset-password")
+        .send({ token: resetToken, password: "Other-Orange-Kite-654" });
+
+      expect(res).to.have.status(400);
+      expect(res.body).to.have.property(
+        "message",
+        "Reset link is invalid or expired"
+      );
+    });
+  });
+
+  describe("POST /refresh", () => {
+    let refreshToken;
+
+    before(async () => {
+      const user = {
+        full_name: "Refresh User",
+        email: "refresh@example.com",
+        password: "Orange-Kite-789",
+      };
+
+      await chai.request(app).post("/api/user/signup").send(user);
+      await User.updateOne({ email: user.email }, { is_active: true });
+
+      const res = await chai
+        .request(app)
+        .post("/api/user/signin")
+        .send({ email: user.email, password: user.password });
+      refreshToken = res.body.refreshToken;
+    });
+
+    it("should return 400 if refresh token is not provided", async () => {
+      const res = await chai.request(app).post("/api/user/refresh");
+
+      expect(res).to.have.status(400);
+      expect(res.body).to.have.property(
+        "message",
+        "Refresh token does not exist"
+      );
+    });
+
+    it("should rotate the refresh token", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/user/refresh")
+        .send({ refreshToken });
+
+      expect(res).to.have.status(200);
+      expect(res.body).to.have.property("token");
+      expect(res.body).to.have.property("refreshToken");
+      expect(res.body.refreshToken).to.not.equal(refreshToken);
+      expect(res.body.user).to.not.have.property("password");
+      expect(jsonwebtoken.decode(res.body.token)).to.not.have.property(
+        "password"
+      );
+    });
+
+    it("should revoke the session when a used token is replayed", async () => {
+      const replay = await chai
+        .request(app)
+        .post("/api/user/refresh")
+        .send({ refreshToken });
+
+      expect(replay).to.have.status(401);
+      expect(replay.body).to.have.property(
+        "message",
+        "Refresh token is revoked or was already used"
+      );
+
+      const user = await User.findOne({ email: "refresh@example.com" });
+      const activeSessions = await Session.countDocuments({
+        user: user._id,
+        revoked_at: null,
+      });
+      expect(activeSessions).to.equal(0);
+    });
+  });
+
+  describe("Sessions", () => {
+    const credentials = {
+      email: "sessions@example.com",
+      password: "Orange-Kite-123",
+    };
+    let laptop;
+    let phone;
+
+    before(async () => {
+      await chai
+        .request(app)
+        .post("/api/user/signup")
+        .send({ full_name: "Session User", ...credentials });
+      await User.updateOne({ email: credentials.email }, { is_active: true });
+
+      laptop = await chai
+        .request(app)
+        .post("/api/user/signin")
+        .set("User-Agent", "laptop-agent")
+        .send({ ...credentials, device: "Laptop" });
+
+      phone = await chai
+        .request(app)
+        .post("/api/user/signin")
+        .set("User-Agent", "phone-agent")
+        .send({ ...credentials, device: "Phone" });
+    });
+
+    it("should keep the first device signed in", async () => {
+      const res = await chai
+        .request(app)
+        .get("/api/user/sessions")
+        .set("Authorization", `Bearer ${laptop.body.token}`);
+
+      expect(res).to.have.status(200);
+      expect(res.body.length).to.equal(2);
+
+      const current = res.body.find((session) => session.current);
+      expect(current).to.have.property("device", "Laptop");
+      expect(current).to.have.property("user_agent", "laptop-agent");
+      expect(current).to.not.have.property("token");
+    });
+
+    it("should revoke a single session", async () => {
+      const list = await chai
+        .request(app)
+        .get("/api/user/sessions")
+        .set("Authorization", `Bearer ${laptop.body.token}`);
+
+      const phoneSession = list.body.find(
+        (session) => session.device === "Phone"
+      );
+
+      const res = await chai
+        .request(app)
+        .delete(`/api/user/sessions/${phoneSession._id}`)
+        .set("Authorization", `Bearer ${laptop.body.token}`);
+
+      expect(res).to.have.status(200);
+
+      const rejected = await chai
+        .request(app)
+        .get("/api/user/sessions")
+        .set("Authorization", `Bearer ${phone.body.token}`);
+
+      expect(rejected).to.have.status(401);
+      expect(rejected.body).to.have.property("message", "Session is revoked");
+    });
+
+    it("should log out everywhere", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/user/logout-all")
+        .set("Authorization", `Bearer ${laptop.body.token}`);
+
+      expect(res).to.have.status(200);
+      expect(res.body).to.have.property("revoked", 1);
+
+      const rejected = await chai
+        .request(app)
+        .get("/api/user/sessions")
+        .set("Authorization", `Bearer ${laptop.body.token}`);
+
+      expect(rejected).to.have.status(401);
+    });
+  });
+
+  describe("Two-factor authentication", () => {
+    const credentials = {
+      email: "mfa@example.com",
+      password: "Orange-Kite-123",
+    };
+    const nextStep = () => Date.now() + 30000;
+    let tokens;
+    let secret;
+    let recoveryCodes;
+
+    const signIn = () =>
+      chai.request(app).post("/api/user/signin").send(credentials);
+
+    before(async () => {
+      await chai
+        .request(app)
+        .post("/api/user/signup")
+        .send({ full_name: "Mfa User", ...credentials });
+      await User.updateOne({ email: credentials.email }, { is_active: true });
+
+      tokens = (await signIn()).body;
+    });
+
+    it("should generate RFC 6238 codes", () => {
+      expect(mfa.generate("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ", 59000)).to.equal(
+        "287082"
+      );
+    });
+
+    it("should enroll a secret", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/user/mfa/enroll")
+        .set("Authorization", `Bearer ${tokens.token}`);
+
+      expect(res).to.have.status(200);
+      expect(res.body.otpauth_url).to.match(/^otpauth:\/\/totp\//);
+      expect(res.body.otpauth_url).to.include(`secret=${res.body.secret}`);
+      secret = res.body.secret;
+    });
+
+    it("should enable it with a valid code only", async () => {
+      const wrong = await chai
+        .request(app)
+        .post("/api/user/mfa/confirm")
+        .set("Authorization", `Bearer ${tokens.token}`)
+        .send({ code: mfa.generate(secret, Date.now() - 600000) });
+
+      expect(wrong).to.have.status(400);
+
+      const res = await chai
+        .request(app)
+        .post("/api/user/mfa/confirm")
+        .set("Authorization", `Bearer ${tokens.token}`)
+        .send({ code: mfa.generate(secret) });
+
+      expect(res).to.have.status(200);
+      expect(res.body.recovery_codes).to.have.lengthOf(
+        config.get("mfa.recovery_codes")
+      );
+      recoveryCodes = res.body.recovery_codes;
+    });
+
+    it("should ask for a second factor at sign in", async () => {
+      const res = await signIn();
+
+      expect(res).to.have.status(200);
+      expect(res.body).to.have.property("mfa_required", true);
+      expect(res.body).to.not.have.property("token");
+
+      const signedIn = await chai
+        .request(app)
+        .post("/api/user/signin/mfa")
+        .send({
+          mfa_token: res.body.mfa_token,
+          code: mfa.generate(secret, nextStep()),
+        });
+
+      expect(signedIn).to.have.status(200);
+      expect(signedIn.body).to.have.property("token");
+      expect(signedIn.body).to.have.property("refreshToken");
+    });
+
+    it("should not accept a code twice", async () => {
+      const res = await signIn();
+
+      const replay = await chai
+        .request(app)
+        .post("/api/user/signin/mfa")
+        .send({
+          mfa_token: res.body.mfa_token,
+          code: mfa.generate(secret, nextStep()),
+        });
+
+      expect(replay).to.have.status(401);
+      expect(replay.body).to.have.property("message", "Invalid code");
+    });
+
+    it("should accept a recovery code once", async () => {
+      const first = await signIn();
+
+      const res = await chai
+        .request(app)
+        .post("/api/user/signin/mfa")
+        .send({ mfa_token: first.body.mfa_token, code: recoveryCodes[0] });
+
+      expect(res).to.have.status(200);
+
+      const second = await signIn();
+
+      const replay = await chai
+        .request(app)
+        .post("/api/user/signin/mfa")
+        .send({ mfa_token: second.body.mfa_token, code: recoveryCodes[0] });
+
+      expect(replay).to.have.status(401);
+    });
+
+    it("should disable it", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/user/mfa/disable")
+        .set("Authorization", `Bearer ${tokens.token}`)
+        .send({ code: recoveryCodes[1] });
+
+      expect(res).to.have.status(200);
+
+      const signedIn = await signIn();
+      expect(signedIn).to.have.status(200);
+      expect(signedIn.body).to.have.property("token");
+    });
+  });
+
+  describe("POST /tokens/revoke", () => {
+    let tokens;
+    let otherTokens;
+
+    before(async () => {
+      const user = new User({
+        full_name: "Revoking User",
+        email: "revoking@example.com",
+        password: "password",
+      });
+
+      const other = new User({
+        full_name: "Other User",
+        email: "other-revoking@example.com",
+        password: "password",
+      });
+
+      await user.save();
+      await other.save();
+
+      tokens = await sessions.create(user, { id: user.id, role: user.role });
+      otherTokens = await sessions.create(other, {
+        id: other.id,
+        role: other.role,
+      });
+    });
+
+    it("should not revoke the token of another user", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/user/tokens/revoke")
+        .set("Authorization", `Bearer ${tokens.token}`)
+        .send({ token: otherTokens.token });
+
+      expect(res).to.have.status(403);
+    });
+
+    it("should reject a revoked token", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/user/tokens/revoke")
+        .set("Authorization", `Bearer ${tokens.token}`)
+        .send({ token: tokens.token });
+
+      expect(res).to.have.status(200);
+
+      const rejected = await chai
+        .request(app)
+        .get("/api/user/sessions")
+        .set("Authorization", `Bearer ${tokens.token}`);
+
+      expect(rejected).to.have.status(400);
+      expect(rejected.body).to.include({
+        code: "token_invalid",
+        detail: "jwt revoked",
+      });
+    });
+  });
+
   describe("POST /logout", () => {
     let tokens;
 
@@ -149,7 +756,6 @@ describe("Testing user service", () => {
         email: "test@example.com",
         password: "password",
         is_active: false,
-        token: "",
       });
 
       await user.save();
@@ -162,9 +768,7 @@ describe("Testing user service", () => {
         is_active: true,
       };
 
-      tokens = jwt.generateTokens(payload);
-      user.token = tokens.token;
-      await user.save();
+      tokens = await sessions.create(user, payload);
     });
 
     after(async () => {
@@ -196,11 +800,19 @@ describe("Testing user service", () => {
       expect(res.body).to.have.property("user");
       expect(res.body.user).to.have.property("full_name", "Test User");
       expect(res.body.user).to.have.property("email", "test@example.com");
-      expect(res.body.user).to.have.property("token", "");
-      expect(res.body.user).to.have.property("is_active", false);
       expect(res.body).to.have.property("message", "Logout");
       expect(res.header).to.have.property("set-cookie");
     });
+
+    it("should reject the token of the revoked session", async () => {
+      const res = await chai
+        .request(app)
+        .post("/api/user/logout-all")
+        .set("Authorization", `Bearer ${tokens.token}`);
+
+      expect(res).to.have.status(401);
+      expect(res.body).to.have.property("message", "Session is revoked");
+    });
   });
 
   describe("POST /users", () => {
@@ -210,7 +822,6 @@ describe("Testing user service", () => {
         email: "test@example.com",
         password: "password",
         is_active: false,
-        token: "",
       });
 
       await user.save();
@@ -219,7 +830,31 @@ describe("Testing user service", () => {
 
       expect(res).to.have.status(200);
       expect(typeof res.body).to.equal("object");
-      expect(res.body.length).to.equal(1);
+      expect(res.body.data.length).to.equal(1);
+      expect(res.body.meta).to.include({ total: 1, page: 1, pages: 1 });
+    });
+
+    it("should filter users and validate the query", async () => {
+      const res = await chai
+        .request(app)
+        .get("/api/user")
+        .query({ email: "TEST@", is_active: false, sort: "full_name" });
+
+      expect(res).to.have.status(200);
+      expect(res.body.data.map((user) => user.email)).to.deep.equal([
+        "test@example.com",
+      ]);
+
+      const invalid = await chai
+        .request(app)
+        .get("/api/user")
+        .query({ sort: "password", limit: 1000 });
+
+      expect(invalid).to.have.status(400);
+      expect(invalid.body.errors.map((detail) => detail.path)).to.deep.equal([
+        "limit",
+        "sort",
+      ]);
     });
   });
 
@@ -232,7 +867,6 @@ describe("Testing user service", () => {
         email: "email@gmail.com",
         password: "password",
         is_active: true,
-        token: "",
       });
 
       await user.save();
@@ -246,7 +880,6 @@ describe("Testing user service", () => {
       expect(res.body.email).to.equal("email@gmail.com");
       expect(res.body.password).to.equal("password");
       expect(res.body.is_active).to.equal(true);
-      expect(res.body.token).to.equal("");
     });
 
     it("should return an error message for invalid id", async () => {
@@ -277,7 +910,6 @@ describe("Testing user service", () => {
         email: "test@example.com",
         password: "password",
         is_active: false,
-        token: "",
       });
 
       await testUser.save();
@@ -290,9 +922,7 @@ describe("Testing user service", () => {
         is_active: true,
       };
 
-      tokens = jwt.generateTokens(payload);
-      testUser.token = tokens.token;
-      await testUser.save();
+      tokens = await sessions.create(testUser, payload);
     });
 
     after(async () => {
@@ -303,7 +933,7 @@ describe("Testing user service", () => {
       const updateUser = {
         full_name: "Nodir Karimov",
         email: "nodir@gmail.com",
-        password: "password",
+        password: "Nodir-Karimov-2024",
         is_active: false,
       };
 
@@ -321,10 +951,159 @@ describe("Testing user service", () => {
       expect(res.body.user.is_active).to.equal(updateUser.is_active);
       // expect(res.body.user.token).to.equal(updateUser.token);
     });
+
+    it("should not update the password to the current one", async () => {
+      const res = await chai
+        .request(app)
+        .put(`/api/user/${testUser._id.toString()}`)
+        .set("Authorization", `Bearer ${tokens.token}`)
+        .send({ password: "Nodir-Karimov-2024" });
+
+      expect(res.status).to.equal(400);
+      expect(res.body.errors[0]).to.have.property("type", "password.reused");
+    });
+
+    it("should answer in the language of the Accept-Language header", async () => {
+      const res = await chai
+        .request(app)
+        .put(`/api/user/${testUser._id.toString()}`)
+        .set("Authorization", `Bearer ${tokens.token}`)
+        .set("Accept-Language", "ru-RU,ru;q=0.9,en;q=0.8")
+        .send({ password: "Nodir-Karimov-2024" });
+
+      expect(res.status).to.equal(400);
+      expect(res.header).to.have.property("content-language", "ru");
+      expect(res.body).to.include({
+        code: "validation_failed",
+        title: "Неверный запрос",
+      });
+      expect(res.body.errors[0]).to.include({
+        type: "password.reused",
+        message: '"password" недавно уже использовался',
+      });
+    });
+
+    it("should prefer the language chosen by the user", async () => {
+      const updated = await chai
+        .request(app)
+        .put(`/api/user/${testUser._id.toString()}`)
+        .set("Authorization", `Bearer ${tokens.token}`)
+        .send({ language: "uz" });
+
+      expect(updated.status).to.equal(200);
+      expect(updated.body.user).to.have.property("language", "uz");
+
+      // The language is carried by the tokens issued afterwards.
+      const uzTokens = await sessions.create(testUser, {
+        id: testUser.id,
+        role: "user",
+        language: "uz",
+      });
+
+      const res = await chai
+        .request(app)
+        .put(`/api/user/${testUser._id.toString()}`)
+        .set("Authorization", `Bearer ${uzTokens.token}`)
+        .set("Accept-Language", "ru")
+        .send({ full_name: "Nodir" });
+
+      expect(res.status).to.equal(200);
+      expect(res.header).to.have.property("content-language", "uz");
+      expect(res.body.message).to.equal("Yangilandi");
+    });
+
+    it("should reject an unknown language", async () => {
+      const res = await chai
+        .request(app)
+        .put(`/api/user/${testUser._id.toString()}`)
+        .set("Authorization", `Bearer ${tokens.token}`)
+        .send({ language: "de" });
+
+      expect(res.status).to.equal(400);
+      expect(res.body.errors[0]).to.include({
+        path: "language",
+        type: "any.only",
+      });
+    });
+  });
+
+  describe("Roles", () => {
+    let member;
+    let memberTokens;
+    let adminTokens;
+
+    before(async () => {
+      member = new User({
+        full_name: "Member User",
+        email: "member@example.com",
+        password: "password",
+      });
+
+      const admin = new User({
+        full_name: "Admin User",
+        email: "admin@example.com",
+        password: "password",
+        role: "admin",
+      });
+
+      await member.save();
+      await admin.save();
+
+      memberTokens = await sessions.create(member, {
+        id: member.id,
+        role: member.role,
+      });
+      adminTokens = await sessions.create(admin, {
+        id: admin.id,
+        role: admin.role,
+      });
+    });
+
+    after(async () => {
+      await User.deleteMany({});
+    });
+
+    it("should create users with the user role", async () => {
+      expect(member.role).to.equal("user");
+    });
+
+    it("should not let a user change roles", async () => {
+      const res = await chai
+        .request(app)
+        .put(`/api/user/${member.id}/role`)
+        .set("Authorization", `Bearer ${memberTokens.token}`)
+        .send({ role: "admin" });
+
+      expect(res).to.have.status(403);
+    });
+
+    it("should let an admin change the role of a user", async () => {
+      const res = await chai
+        .request(app)
+        .put(`/api/user/${member.id}/role`)
+        .set("Authorization", `Bearer ${adminTokens.token}`)
+        .send({ role: "manager" });
+
+      expect(res).to.have.status(200);
+      expect(res.body.user).to.have.property("role", "manager");
+    });
+
+    it("should let an admin update a user they do not own", async () => {
+      const res = await chai
+        .request(app)
+        .put(`/api/user/${member.id}`)
+        .set("Authorization", `Bearer ${adminTokens.token}`)
+        .send({ full_name: "Renamed Member" });
+
+      expect(res).to.have.status(200);
+      expect(res.body.user).to.have.property("full_name", "Renamed Member");
+    });
   });
 
   describe("deleteUserById", () => {
     let user;
+    let tokens;
+    let adminTokens;
 
     before(async () => {
       user = new User({
@@ -332,7 +1111,6 @@ describe("Testing user service", () => {
         email: "test@example.com",
         password: "password",
         is_active: false,
-        token: "",
       });
 
       await user.save();
@@ -345,9 +1123,21 @@ describe("Testing user service", () => {
         is_active: true,
       };
 
-      tokens = jwt.generateTokens(payload);
-      user.token = tokens.token;
-      await user.save();
+      tokens = await sessions.create(user, payload);
+
+      const admin = new User({
+        full_name: "Admin User",
+        email: "admin@example.com",
+        password: "password",
+        role: "admin",
+      });
+
+      await admin.save();
+
+      adminTokens = await sessions.create(admin, {
+        id: admin.id,
+        role: admin.role,
+      });
     });
 
     it("should delete a user by ID", async () => {
@@ -365,17 +1155,88 @@ describe("Testing user service", () => {
       expect(res.body.user.is_active).to.equal(false);
     });
 
-    it("should return a 400 status if the product was not found", async () => {
+    it("should revoke the sessions of the deleted user", async () => {
       const res = await chai
         .request(app)
         .delete(`/api/user/${user.id}`)
         .set("Authorization", `Bearer ${tokens.token}`);
 
-      expect(res.status).to.equal(400);
-      expect(res.body.message).to.equal("User was not found");
+      expect(res.status).to.equal(401);
+      expect(res.body.message).to.equal("Session is revoked");
+    });
+
+    it("should return a 404 status if the user was not found", async () => {
+      const res = await chai
+        .request(app)
+        .delete(`/api/user/${user.id}`)
+        .set("Authorization", `Bearer ${adminTokens.token}`);
+
+      expect(res.status).to.equal(404);
+      expect(res.body).to.include({
+        code: "user_not_found",
+        message: "User does not exist",
+      });
 
       const deletedUser = await User.findById(user.id);
       chai.expect(deletedUser).to.be.null;
     });
+
+    it("should keep the email of a deleted user", async () => {
+      const res = await chai.request(app).post("/api/user/signup").send({
+        full_name: "Test User",
+        email: "test@example.com",
+        password: "Correct-Horse-42",
+      });
+
+      expect(res.status).to.equal(403);
+      expect(res.body.message).to.equal("Gmail cannot be duplicated");
+    });
+
+    it("should let an admin restore a deleted user", async () => {
+      const res = await chai
+        .request(app)
+        .post(`/api/user/${user.id}/restore`)
+        .set("Authorization", `Bearer ${adminTokens.token}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.message).to.equal("Restored");
+      expect(await User.findById(user.id)).to.not.be.null;
+    });
+
+    it("should purge a user with what belongs to them", async () => {
+      const purged = await User.create({
+        full_name: "Purged User",
+        email: "purged@example.com",
+        password: "password",
+      });
+      const product = await Product.create({
+        title: "Purged Lamp",
+        price: 10,
+        currency: "USD",
+        description: "Reserved by a purged user",
+        stock: 2,
+      });
+
+      await sessions.create(purged, { id: purged.id, role: purged.role });
+      await apiKeys.create(purged, { name: "Purged", scopes: [] });
+      await OAuthConsent.create({ user: purged._id, client_id: "client" });
+      await inventory.reserve(product._id, 1, { user: purged._id });
+      await User.softDeleteById(purged._id);
+
+      const res = await chai
+        .request(app)
+        .delete(`/api/user/${purged.id}/purge`)
+        .set("Authorization", `Bearer ${adminTokens.token}`);
+
+      expect(res.status).to.equal(200);
+
+      const owned = { user: purged._id };
+
+      expect(await Session.countDocuments(owned)).to.equal(0);
+      expect(await ApiKey.countDocuments(owned)).to.equal(0);
+      expect(await OAuthConsent.countDocuments(owned)).to.equal(0);
+      expect(await Reservation.countDocuments(owned)).to.equal(0);
+      expect((await Product.findById(product._id)).reserved).to.equal(0);
+    });
   });
 });
@@ -0,0 +1,13 @@
+const Joi = require("joi");
+
+const adjustStockSchema = Joi.object({
+  quantity: Joi.number()
+    .integer()
+    .min(-1000000)
+    .max(1000000)
+    .invalid(0)
+    .required(),
+  reason: Joi.string().trim().max(200),
+});
+
+module.exports = adjustStockSchema;
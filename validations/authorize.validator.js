@@ -0,0 +1,15 @@
+const Joi = require("joi");
+
+const authorizeSchema = Joi.object({
+  response_type: Joi.string().valid("code").required(),
+  client_id: Joi.string().required(),
+  redirect_uri: Joi.string().required(),
+  scope: Joi.string().trim(),
+  state: Joi.string(),
+  code_challenge: Joi.string()
+    .pattern(/^[A-Za-z0-9_-]{43}$/)
+    .required(),
+  code_challenge_method: Joi.string().valid("S256").default("S256"),
+});
+
+module.exports = authorizeSchema;
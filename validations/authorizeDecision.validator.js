@@ -0,0 +1,8 @@
+const authorize = require("./authorize.validator");
+const Joi = require("joi");
+
+const authorizeDecisionSchema = authorize.keys({
+  approve: Joi.boolean().required(),
+});
+
+module.exports = authorizeDecisionSchema;
@@ -0,0 +1,20 @@
+const Joi = require("joi");
+const objectId = require("./objectId");
+const i18n = require("../helpers/i18n");
+
+const categorySchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  slug: Joi.string()
+    .trim()
+    .lowercase()
+    .max(100)
+    .pattern(/^[\p{L}\p{N}]+(-[\p{L}\p{N}]+)*$/u, { name: "slug" })
+    .messages(
+      i18n.joiMessages({
+        "string.pattern.name": "{{#label}} must be words joined by dashes",
+      })
+    ),
+  parent: objectId.allow(null),
+});
+
+module.exports = categorySchema;
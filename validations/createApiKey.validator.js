@@ -0,0 +1,13 @@
+const Joi = require("joi");
+const scopes = require("../helpers/scopes");
+
+const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...scopes))
+    .unique()
+    .min(1)
+    .required(),
+});
+
+module.exports = createApiKeySchema;
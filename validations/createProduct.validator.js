@@ -1,9 +1,15 @@
 const Joi = require("joi");
+const taxonomy = require("./productTaxonomy");
+const { currency, defaultCurrency, price } = require("./price");
 
+// The currency comes first, the price is checked against it.
 const createProductSchema = Joi.object({
   title: Joi.string().trim().required(),
-  price: Joi.string().required(),
+  currency: currency.default(defaultCurrency),
+  price: price.required(),
   description: Joi.string(),
+  ...taxonomy,
+  low_stock_threshold: Joi.number().integer().min(0),
 });
 
 module.exports = createProductSchema;
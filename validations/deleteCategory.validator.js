@@ -0,0 +1,8 @@
+const Joi = require("joi");
+const objectId = require("./objectId");
+
+const deleteCategorySchema = Joi.object({
+  reassign_to: objectId,
+});
+
+module.exports = deleteCategorySchema;
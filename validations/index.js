@@ -3,6 +3,31 @@ const login = require("./signin.validator");
 const update = require("./update.validator");
 const createProduct = require("./createProduct.validator");
 const updateProduct = require("./updateProduct.validator");
+const refresh = require("./refresh.validator");
+const role = require("./role.validator");
+const revokeToken = require("./revokeToken.validator");
+const resendVerification = require("./resendVerification.validator");
+const forgotPassword = require("./forgotPassword.validator");
+const resetPassword = require("./resetPassword.validator");
+const mfaSignin = require("./mfaSignin.validator");
+const mfaCode = require("./mfaCode.validator");
+const createApiKey = require("./createApiKey.validator");
+const updateApiKey = require("./updateApiKey.validator");
+const oauthClient = require("./oauthClient.validator");
+const authorize = require("./authorize.validator");
+const authorizeDecision = require("./authorizeDecision.validator");
+const listProducts = require("./listProducts.validator");
+const listUsers = require("./listUsers.validator");
+const searchProducts = require("./searchProducts.validator");
+const category = require("./category.validator");
+const updateCategory = require("./updateCategory.validator");
+const deleteCategory = require("./deleteCategory.validator");
+const adjustStock = require("./adjustStock.validator");
+const reservation = require("./reservation.validator");
+const listMovements = require("./listMovements.validator");
+const listLowStock = require("./listLowStock.validator");
+const listTrash = require("./listTrash.validator");
+const listAudit = require("./listAudit.validator");
 
 module.exports = {
   signup,
@@ -10,4 +35,29 @@ module.exports = {
   update,
   createProduct,
   updateProduct,
+  refresh,
+  role,
+  revokeToken,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  mfaSignin,
+  mfaCode,
+  createApiKey,
+  updateApiKey,
+  oauthClient,
+  authorize,
+  authorizeDecision,
+  listProducts,
+  listUsers,
+  searchProducts,
+  category,
+  updateCategory,
+  deleteCategory,
+  adjustStock,
+  reservation,
+  listMovements,
+  listLowStock,
+  listTrash,
+  listAudit,
 };
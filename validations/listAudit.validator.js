@@ -0,0 +1,17 @@
+const Joi = require("joi");
+const listQuery = require("./listQuery");
+const objectId = require("./objectId");
+
+const listAuditSchema = listQuery(["createdAt", "action"], {
+  actor: objectId,
+  // "user.signin" or a prefix such as "user."
+  action: Joi.string().trim().max(100),
+  outcome: Joi.string().valid("success", "failure"),
+  target_type: Joi.string().trim().max(50),
+  target_id: objectId,
+  ip: Joi.string().trim().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref("from")),
+}).with("target_id", "target_type");
+
+module.exports = listAuditSchema;
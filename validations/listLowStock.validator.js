@@ -0,0 +1,5 @@
+const listQuery = require("./listQuery");
+
+const listLowStockSchema = listQuery(["title", "createdAt", "updatedAt"], {});
+
+module.exports = listLowStockSchema;
@@ -0,0 +1,8 @@
+const Joi = require("joi");
+const listQuery = require("./listQuery");
+
+const listMovementsSchema = listQuery(["createdAt"], {
+  type: Joi.string().valid("adjust", "reserve", "commit", "release", "expire"),
+});
+
+module.exports = listMovementsSchema;
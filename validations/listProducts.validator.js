@@ -0,0 +1,13 @@
+const Joi = require("joi");
+const listQuery = require("./listQuery");
+const productFilters = require("./productFilters");
+
+const listProductsSchema = listQuery(
+  ["title", "price", "createdAt", "updatedAt"],
+  {
+    title: Joi.string().trim().max(100),
+    ...productFilters,
+  }
+);
+
+module.exports = listProductsSchema;
@@ -0,0 +1,76 @@
+const Joi = require("joi");
+const i18n = require("../helpers/i18n");
+
+// Values a keyset filter compares to; objects could carry query operators.
+const isScalar = (value) =>
+  value === null || ["string", "number", "boolean"].includes(typeof value);
+
+// Cursors come from the clients, their sort is held to the same fields as
+// `sort`, plus the _id tie-breaker.
+const cursor = (fields) =>
+  Joi.string().custom((value, helpers) => {
+    try {
+      const decoded = JSON.parse(Buffer.from(value, "base64url").toString());
+
+      if (
+        !Array.isArray(decoded.values) ||
+        !Array.isArray(decoded.sort) ||
+        !["next", "prev"].includes(decoded.direction) ||
+        decoded.values.length !== decoded.sort.length ||
+        !decoded.values.every(isScalar) ||
+        !decoded.sort.every(
+          (item) =>
+            Array.isArray(item) &&
+            (fields.includes(item[0]) || item[0] === "_id") &&
+            [1, -1].includes(item[1])
+        )
+      ) {
+        return helpers.error("cursor.invalid");
+      }
+
+      return decoded;
+    } catch (error) {
+      return helpers.error("cursor.invalid");
+    }
+  }, "cursor decoding");
+
+// "-price,title" -> [["price", -1], ["title", 1]]
+const sort = (fields) =>
+  Joi.string().custom((value, helpers) => {
+    const parsed = value.split(",").map((item) => {
+      const field = item.trim().replace(/^[-+]/, "");
+
+      return [field, item.trim().startsWith("-") ? -1 : 1];
+    });
+
+    const unknown = parsed.find(([field]) => !fields.includes(field));
+
+    if (unknown) {
+      return helpers.error("sort.field", { field: unknown[0] });
+    }
+
+    return parsed;
+  }, "sort parsing");
+
+/**
+ * Query of a listing: `page` and `limit`, or a `cursor` returned by a
+ * previous page, a `sort` on some of `sortFields` and the given filters
+ * @param sortFields fields the listing can be sorted on
+ * @param filters Joi schemas of the filters
+ * @returns {Joi.ObjectSchema}
+ */
+module.exports = (sortFields, filters) =>
+  Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    cursor: cursor(sortFields),
+    sort: sort(sortFields),
+    ...filters,
+  })
+    .oxor("page", "cursor")
+    .messages(
+      i18n.joiMessages({
+        "cursor.invalid": "{{#label}} is invalid",
+        "sort.field": "{{#label}} cannot be sorted by '{{#field}}'",
+      })
+    );
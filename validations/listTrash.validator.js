@@ -0,0 +1,5 @@
+const listQuery = require("./listQuery");
+
+const listTrashSchema = listQuery(["deletedAt", "createdAt"], {});
+
+module.exports = listTrashSchema;
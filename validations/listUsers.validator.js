@@ -0,0 +1,14 @@
+const Joi = require("joi");
+const roles = require("../helpers/roles");
+const listQuery = require("./listQuery");
+
+const listUsersSchema = listQuery(["full_name", "email", "role", "createdAt"], {
+  full_name: Joi.string().trim().max(100),
+  email: Joi.string().trim().max(100),
+  role: Joi.string().valid(...roles),
+  is_active: Joi.boolean(),
+  created_from: Joi.date().iso(),
+  created_to: Joi.date().iso().min(Joi.ref("created_from")),
+});
+
+module.exports = listUsersSchema;
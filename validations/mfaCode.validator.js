@@ -0,0 +1,7 @@
+const Joi = require("joi");
+
+const mfaCodeSchema = Joi.object({
+  code: Joi.string().trim().required(),
+});
+
+module.exports = mfaCodeSchema;
@@ -0,0 +1,8 @@
+const Joi = require("joi");
+
+const mfaSigninSchema = Joi.object({
+  mfa_token: Joi.string().required(),
+  code: Joi.string().trim().required(),
+});
+
+module.exports = mfaSigninSchema;
@@ -0,0 +1,31 @@
+const Joi = require("joi");
+const oauthScopes = require("../helpers/oauthScopes");
+
+const oauthClientSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  redirect_uris: Joi.array()
+    .items(Joi.string().uri({ scheme: ["https", "http"] }))
+    .unique()
+    .when("grant_types", {
+      is: Joi.array().items(Joi.any()).has("authorization_code"),
+      then: Joi.array().min(1).required(),
+    }),
+  grant_types: Joi.array()
+    .items(Joi.string().valid("authorization_code", "client_credentials"))
+    .unique()
+    .min(1)
+    .default(["authorization_code"]),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...Object.keys(oauthScopes)))
+    .unique()
+    .min(1)
+    .required(),
+  confidential: Joi.boolean()
+    .default(true)
+    .when("grant_types", {
+      is: Joi.array().items(Joi.any()).has("client_credentials"),
+      then: Joi.valid(true),
+    }),
+});
+
+module.exports = oauthClientSchema;
@@ -0,0 +1,9 @@
+const Joi = require("joi");
+const i18n = require("../helpers/i18n");
+
+// ID of a document, as sent in bodies and queries.
+module.exports = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/, { name: "id" })
+  .messages(
+    i18n.joiMessages({ "string.pattern.name": "{{#label}} must be a valid ID" })
+  );
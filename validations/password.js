@@ -0,0 +1,50 @@
+const fs = require("fs");
+const path = require("path");
+const Joi = require("joi");
+const config = require("config");
+const i18n = require("../helpers/i18n");
+
+const policy = config.get("password_policy");
+
+const commonPasswords = new Set(
+  fs
+    .readFileSync(path.join(__dirname, "common-passwords.txt"), "utf8")
+    .split("\n")
+    .map((line) => line.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+const characterClasses = {
+  lowercase: /[a-z]/,
+  uppercase: /[A-Z]/,
+  digit: /[0-9]/,
+  symbol: /[^a-zA-Z0-9]/,
+};
+
+// bcrypt ignores everything after the first 72 bytes.
+let passwordSchema = Joi.string().min(policy.min_length).max(72);
+
+policy.character_classes.forEach((name) => {
+  if (!characterClasses.hasOwnProperty(name)) {
+    throw new Error(`'${name}' character class is not exist`);
+  }
+
+  passwordSchema = passwordSchema.pattern(characterClasses[name], { name });
+});
+
+if (policy.reject_common) {
+  passwordSchema = passwordSchema.custom((value, helpers) => {
+    if (commonPasswords.has(value.toLowerCase())) {
+      return helpers.error("password.common");
+    }
+
+    return value;
+  }, "common password check");
+}
+
+module.exports = passwordSchema.messages(
+  i18n.joiMessages({
+    "string.pattern.name": "{{#label}} must contain a {{#name}} character",
+    "password.common": "{{#label}} is too common",
+  })
+);
@@ -0,0 +1,55 @@
+const Joi = require("joi");
+const config = require("config");
+const money = require("../helpers/money");
+const i18n = require("../helpers/i18n");
+
+const currency = Joi.string()
+  .trim()
+  .uppercase()
+  .valid(...money.currencies)
+  .messages(
+    i18n.joiMessages({
+      "any.only": "{{#label}} must be an ISO 4217 currency code",
+    })
+  );
+
+// A decimal string or number, checked against the decimals of the currency
+// validated before it in the same object, when there is one.
+const price = Joi.alternatives()
+  .conditional(Joi.number(), {
+    then: Joi.number().min(0).cast("string"),
+    otherwise: Joi.string()
+      .trim()
+      .pattern(/^\d+(\.\d+)?$/, { name: "decimal" }),
+  })
+  .custom((value, helpers) => {
+    const [parent] = helpers.state.ancestors;
+
+    if (value === undefined || !money.currencies.includes(parent.currency)) {
+      return value;
+    }
+
+    try {
+      money.toMinor(value, parent.currency);
+    } catch (error) {
+      return helpers.error("price.precision", {
+        currency: parent.currency,
+        digits: money.digitsOf(parent.currency),
+      });
+    }
+
+    return value;
+  }, "price precision")
+  .messages(
+    i18n.joiMessages({
+      "string.pattern.name": "{{#label}} must be a decimal amount, e.g. 12.50",
+      "price.precision":
+        "{{#label}} must have at most {{#digits}} decimals in {{#currency}}",
+    })
+  );
+
+module.exports = {
+  currency,
+  defaultCurrency: () => config.get("default_currency"),
+  price,
+};
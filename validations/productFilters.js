@@ -0,0 +1,28 @@
+const Joi = require("joi");
+const objectId = require("./objectId");
+const { currency } = require("./price");
+
+// "red,fruit" -> ["red", "fruit"]
+const tags = Joi.string().custom(
+  (value) => [
+    ...new Set(
+      value
+        .split(",")
+        .map((tag) => tag.trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ],
+  "tags parsing"
+);
+
+// Filters shared by the listing and the search of the products. A category
+// includes the ones under it, products have all the tags.
+module.exports = {
+  category: objectId,
+  tags,
+  currency,
+  price_min: Joi.number().min(0),
+  price_max: Joi.number().min(Joi.ref("price_min")),
+  created_from: Joi.date().iso(),
+  created_to: Joi.date().iso().min(Joi.ref("created_from")),
+};
@@ -0,0 +1,11 @@
+const Joi = require("joi");
+const objectId = require("./objectId");
+
+// Categories and tags of a product.
+module.exports = {
+  categories: Joi.array().items(objectId).unique().max(20),
+  tags: Joi.array()
+    .items(Joi.string().trim().lowercase().min(1).max(30))
+    .unique()
+    .max(20),
+};
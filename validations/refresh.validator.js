@@ -0,0 +1,7 @@
+const Joi = require("joi");
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string(),
+});
+
+module.exports = refreshSchema;
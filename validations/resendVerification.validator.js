@@ -0,0 +1,7 @@
+const Joi = require("joi");
+
+const resendVerificationSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+module.exports = resendVerificationSchema;
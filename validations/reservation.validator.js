@@ -0,0 +1,10 @@
+const Joi = require("joi");
+const objectId = require("./objectId");
+
+const reservationSchema = Joi.object({
+  product: objectId.required(),
+  quantity: Joi.number().integer().min(1).max(10000).required(),
+  reference: Joi.string().trim().max(100),
+});
+
+module.exports = reservationSchema;
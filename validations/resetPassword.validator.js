@@ -0,0 +1,9 @@
+const Joi = require("joi");
+const password = require("./password");
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: password.required(),
+});
+
+module.exports = resetPasswordSchema;
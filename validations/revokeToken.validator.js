@@ -0,0 +1,7 @@
+const Joi = require("joi");
+
+const revokeTokenSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
+module.exports = revokeTokenSchema;
@@ -0,0 +1,10 @@
+const Joi = require("joi");
+const roles = require("../helpers/roles");
+
+const roleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...roles)
+    .required(),
+});
+
+module.exports = roleSchema;
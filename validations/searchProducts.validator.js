@@ -0,0 +1,23 @@
+const Joi = require("joi");
+const listQuery = require("./listQuery");
+const productFilters = require("./productFilters");
+const i18n = require("../helpers/i18n");
+
+const searchProductsSchema = listQuery(
+  ["score", "title", "price", "createdAt"],
+  {
+    q: Joi.string()
+      .trim()
+      .max(100)
+      .pattern(/[\p{L}\p{N}]/u, { name: "words" })
+      .required()
+      .messages(
+        i18n.joiMessages({
+          "string.pattern.name": "{{#label}} must contain a word",
+        })
+      ),
+    ...productFilters,
+  }
+);
+
+module.exports = searchProductsSchema;
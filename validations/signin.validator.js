@@ -3,6 +3,7 @@ const Joi = require("joi");
 const loginSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().required(),
+  device: Joi.string().trim().max(100),
 });
 
 module.exports = loginSchema;
@@ -1,9 +1,13 @@
 const Joi = require("joi");
+const password = require("./password");
+const i18n = require("../helpers/i18n");
 
 const userSchema = Joi.object({
   full_name: Joi.string().required(),
   email: Joi.string().email().required(),
-  password: Joi.string().required(),
+  password: password.required(),
+  device: Joi.string().trim().max(100),
+  language: Joi.string().valid(...i18n.locales),
   is_active: Joi.boolean().default(false),
 });
 
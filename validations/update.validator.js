@@ -1,9 +1,12 @@
 const Joi = require("joi");
+const password = require("./password");
+const i18n = require("../helpers/i18n");
 
 const updateSchema = Joi.object({
   full_name: Joi.string(),
   email: Joi.string().email(),
-  password: Joi.string(),
+  password,
+  language: Joi.string().valid(...i18n.locales),
   is_active: Joi.boolean(),
 });
 
@@ -0,0 +1,12 @@
+const Joi = require("joi");
+const scopes = require("../helpers/scopes");
+
+const updateApiKeySchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...scopes))
+    .unique()
+    .min(1),
+});
+
+module.exports = updateApiKeySchema;
@@ -0,0 +1,7 @@
+const category = require("./category.validator");
+
+const updateCategorySchema = category
+  .fork(["name"], (name) => name.optional())
+  .min(1);
+
+module.exports = updateCategorySchema;
@@ -1,9 +1,16 @@
 const Joi = require("joi");
+const taxonomy = require("./productTaxonomy");
+const { currency, price } = require("./price");
 
+// Without a currency the price is in the one of the product. Changing the
+// currency changes the meaning of the price, both are sent together.
 const updateProductSchema = Joi.object({
   title: Joi.string().trim(),
-  price: Joi.string(),
+  currency,
+  price,
   description: Joi.string(),
-});
+  ...taxonomy,
+  low_stock_threshold: Joi.number().integer().min(0),
+}).with("currency", "price");
 
 module.exports = updateProductSchema;